@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+// RegEx Tester Pro - Command Line
+// Runs a pattern over files or stdin and prints the results in the export
+// formats, or runs test suites for CI. Exit status: 0 on success, 1 when a
+// test fails, 2 for bad usage, an invalid pattern or an unreadable file.
+
+const fs = require('fs');
+const path = require('path');
+const { RegexCore } = require('../regex-core.js');
+const { version } = require('../package.json');
+
+const USAGE = `Usage: regex-tester <pattern> [file...] [options]
+       regex-tester <pattern> --tests <file> [options]
+       regex-tester --suite <library.json> [options]
+
+Matches <pattern> against each file, or stdin when there are none or the
+file is -, and prints every match with its groups and positions.
+
+Options:
+  -f, --flags <flags>     Regex flags (default: g)
+  -o, --format <format>   Output format: txt, json or csv (default: txt)
+  -r, --replace <text>    Replacement template, printed with the result
+  -l, --lines             Test every line on its own
+  -a, --analyze           Include the backtracking analysis
+  -t, --tests <file>      Run a test suite (+ should match, - should not)
+  -s, --suite <file>      Run the tests of every pattern in a library export
+  -h, --help              Show this help
+      --version           Show the version`;
+
+const OPTIONS = {
+    '-f': 'flags', '--flags': 'flags',
+    '-o': 'format', '--format': 'format',
+    '-r': 'replace', '--replace': 'replace',
+    '-t': 'tests', '--tests': 'tests',
+    '-s': 'suite', '--suite': 'suite'
+};
+const SWITCHES = {
+    '-l': 'lines', '--lines': 'lines',
+    '-a': 'analyze', '--analyze': 'analyze',
+    '-h': 'help', '--help': 'help',
+    '--version': 'version'
+};
+
+// Reported as exit status 2 without a stack trace
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const args = { flags: 'g', format: 'txt', positional: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [name, inline] = arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg, undefined];
+
+        if (OPTIONS[name]) {
+            const value = inline !== undefined ? inline : argv[++i];
+            if (value === undefined) throw new UsageError(`${name} needs a value`);
+            args[OPTIONS[name]] = value;
+        } else if (SWITCHES[name] && inline === undefined) {
+            args[SWITCHES[name]] = true;
+        } else if (arg === '--') {
+            args.positional.push(...argv.slice(i + 1));
+            break;
+        } else if (arg.startsWith('-') && arg !== '-') {
+            // A pattern may start with a dash only after --
+            throw new UsageError(`Unknown option ${arg}`);
+        } else {
+            args.positional.push(arg);
+        }
+    }
+
+    if (!RegexCore.FORMATS.includes(args.format)) {
+        throw new UsageError(`Unknown format "${args.format}", expected one of ${RegexCore.FORMATS.join(', ')}`);
+    }
+    if (/[^dgimsuvy]/.test(args.flags)) {
+        throw new UsageError(`Unknown flag in "${args.flags}"`);
+    }
+    return args;
+}
+
+// CRLF files match the way they would after pasting into the page
+function readInput(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+    } catch (error) {
+        const reason = { ENOENT: 'no such file', EISDIR: 'is a directory', EACCES: 'permission denied' }[error.code];
+        throw new UsageError(`Cannot read ${file === '-' ? 'stdin' : file}: ${reason || error.message}`);
+    }
+    return text.replace(/\r\n?/g, '\n');
+}
+
+function validate(pattern, flags) {
+    try {
+        new RegExp(pattern, flags);
+    } catch (error) {
+        throw new UsageError(`Invalid pattern: ${error.message}`);
+    }
+}
+
+function runMatch(args) {
+    const [pattern, ...files] = args.positional;
+    validate(pattern, args.flags);
+
+    // A file's final newline ends its last line rather than starting an empty one
+    const read = file => (args.lines ? readInput(file).replace(/\n$/, '') : readInput(file));
+
+    const inputs = files.length > 0 ? files : ['-'];
+    const runs = inputs.map(file => RegexCore.run(pattern, args.flags, read(file), {
+        source: files.length > 0 ? (file === '-' ? '(stdin)' : file) : null,
+        replacement: args.replace,
+        perLine: args.lines,
+        analyze: args.analyze
+    }));
+
+    const output = RegexCore.export(args.format, runs.length > 1 ? runs : runs[0]);
+    process.stdout.write(output.endsWith('\n') ? output : `${output}\n`);
+    return 0;
+}
+
+// suites: [{ title, regex, flags, suite, error }]
+function printSuites(suites, format) {
+    if (format === 'json') {
+        process.stdout.write(JSON.stringify(suites.map(({ suite, ...rest }) => ({
+            ...rest,
+            passed: suite ? suite.passed : 0,
+            failed: suite ? suite.failed : 0,
+            results: suite ? suite.results : []
+        })), null, 2) + '\n');
+        return;
+    }
+
+    if (format === 'csv') {
+        const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+        let csv = 'Pattern,Line,Expect,Input,Pass,Message\n';
+        suites.forEach(({ title, suite, error }) => {
+            if (error) {
+                csv += `${quote(title)},,,,false,${quote(error)}\n`;
+                return;
+            }
+            suite.results.forEach(result => {
+                csv += `${quote(title)},${result.line},${result.expect || ''},${quote(result.input ?? '')},${result.pass},${quote(result.message)}\n`;
+            });
+        });
+        process.stdout.write(csv);
+        return;
+    }
+
+    let content = '';
+    suites.forEach(({ title, regex, flags, suite, error }) => {
+        content += `${title ? `${title} ` : ''}/${regex}/${flags}\n`;
+        if (error) {
+            content += `  error: ${error}\n\n`;
+            return;
+        }
+        suite.results.forEach(result => {
+            const input = result.input === undefined ? '' : ` ${JSON.stringify(result.input)}`;
+            content += `  ${result.pass ? 'pass' : 'FAIL'} line ${result.line}${input}: ${result.message}\n`;
+        });
+        content += `  ${suite.passed} passed, ${suite.failed} failed\n\n`;
+    });
+
+    const failed = suites.filter(({ suite, error }) => error || suite.failed > 0).length;
+    content += `${suites.length - failed} of ${suites.length} suite${suites.length === 1 ? '' : 's'} passed\n`;
+    process.stdout.write(content);
+}
+
+function runTests(args) {
+    const [pattern] = args.positional;
+    validate(pattern, args.flags);
+
+    const suite = RegexCore.test(pattern, args.flags, readInput(args.tests));
+    const suites = [{ title: path.basename(args.tests), regex: pattern, flags: args.flags, suite, error: null }];
+    printSuites(suites, args.format);
+    return suite.failed > 0 ? 1 : 0;
+}
+
+function runLibrary(args) {
+    const source = readInput(args.suite);
+    let data;
+    try {
+        data = JSON.parse(source);
+    } catch (error) {
+        throw new UsageError(`${args.suite} is not valid JSON`);
+    }
+
+    let results;
+    try {
+        results = RegexCore.testLibrary(data);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    // A CI job pointed at the wrong file shouldn't pass with nothing tested
+    if (results.length === 0) {
+        throw new UsageError(`No patterns with tests found in ${args.suite}`);
+    }
+
+    const suites = results.map(({ entry, suite, error }) => ({
+        title: entry.title,
+        regex: entry.regex,
+        flags: entry.flags,
+        suite,
+        error
+    }));
+    printSuites(suites, args.format);
+    return suites.some(({ suite, error }) => error || suite.failed > 0) ? 1 : 0;
+}
+
+function main(argv) {
+    const args = parseArgs(argv);
+
+    if (args.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (args.version) {
+        console.log(version);
+        return 0;
+    }
+    if (args.suite) {
+        return runLibrary(args);
+    }
+    if (args.positional.length === 0) {
+        throw new UsageError('Missing pattern');
+    }
+    return args.tests ? runTests(args) : runMatch(args);
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+    console.error(`regex-tester: ${error.message}`);
+    if (error.message === 'Missing pattern') console.error('Run regex-tester --help for usage.');
+    process.exitCode = 2;
+}
@@ -0,0 +1,698 @@
+// RegEx Tester Pro - Backtracking Analyzer
+// Static ReDoS detection. The pattern is compiled into a position automaton
+// (one state per character matcher; every edge remembers the quantifier that
+// created it) and the automaton is searched for ambiguity:
+//   exponential - a state that loops back to itself along two different
+//                 paths reading the same text, e.g. (a+)+$ or (a|a)*$
+//   polynomial  - two different looping states p and q with a path from p
+//                 to q reading the same text, e.g. \s+$ or \d+\d+$
+// Lookarounds, backreferences and assertions other than $ are treated as
+// empty, so results on patterns using them are an approximation.
+
+class CharSet {
+    constructor(ranges = []) {
+        this.ranges = ranges;
+    }
+
+    static of(...ranges) {
+        return new CharSet(CharSet.normalize(ranges));
+    }
+
+    static normalize(ranges) {
+        const sorted = ranges.map(r => [r[0], r[1]]).sort((a, b) => a[0] - b[0]);
+        const merged = [];
+        sorted.forEach(range => {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1] + 1) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push(range);
+            }
+        });
+        return merged;
+    }
+
+    union(other) {
+        return new CharSet(CharSet.normalize([...this.ranges, ...other.ranges]));
+    }
+
+    intersect(other) {
+        const result = [];
+        let i = 0;
+        let j = 0;
+        while (i < this.ranges.length && j < other.ranges.length) {
+            const [a0, a1] = this.ranges[i];
+            const [b0, b1] = other.ranges[j];
+            const lo = Math.max(a0, b0);
+            const hi = Math.min(a1, b1);
+            if (lo <= hi) result.push([lo, hi]);
+            if (a1 < b1) i++;
+            else j++;
+        }
+        return new CharSet(result);
+    }
+
+    complement(max) {
+        const result = [];
+        let next = 0;
+        this.ranges.forEach(([lo, hi]) => {
+            if (lo > next) result.push([next, lo - 1]);
+            next = hi + 1;
+        });
+        if (next <= max) result.push([next, max]);
+        return new CharSet(result);
+    }
+
+    has(value) {
+        return this.ranges.some(([lo, hi]) => value >= lo && value <= hi);
+    }
+
+    isEmpty() {
+        return this.ranges.length === 0;
+    }
+
+    // Prefer a printable representative so attack strings stay readable
+    sample() {
+        const preferred = [97, 48, 65, 32, 95, 46, 45, 33];
+        const hit = preferred.find(value => this.has(value));
+        if (hit !== undefined) return hit;
+
+        const printable = this.intersect(CharSet.of([33, 126]));
+        if (!printable.isEmpty()) return printable.ranges[0][0];
+        return this.ranges[0][0];
+    }
+}
+
+CharSet.DIGIT = CharSet.of([48, 57]);
+CharSet.WORD = CharSet.of([48, 57], [65, 90], [95, 95], [97, 122]);
+CharSet.SPACE = CharSet.of([9, 13], [32, 32], [160, 160], [5760, 5760], [8192, 8202],
+    [8232, 8233], [8239, 8239], [8287, 8287], [12288, 12288], [65279, 65279]);
+CharSet.LINE_TERMINATORS = CharSet.of([10, 10], [13, 13], [8232, 8233]);
+CharSet.propertyCache = new Map();
+
+class RegexAnalyzer {
+    constructor(ast) {
+        this.ast = ast;
+        this.flags = ast.flags || '';
+        this.ignoreCase = this.flags.includes('i');
+        this.maxCodePoint = /[uv]/.test(this.flags) ? 0x10FFFF : 0xFFFF;
+        this.states = [];
+        this.edges = [];
+        this.approximate = false;
+    }
+
+    static analyze(pattern, flags = '') {
+        return new RegexAnalyzer(RegexAnalyzer.Parser.parse(pattern, flags)).analyze();
+    }
+
+    analyze() {
+        try {
+            this.buildAutomaton();
+        } catch (error) {
+            if (error.message !== RegexAnalyzer.TOO_LARGE) throw error;
+            return { risk: 'unknown', findings: [], approximate: true, message: 'Pattern is too large to analyze' };
+        }
+
+        const product = this.buildProduct();
+        const findings = [...this.findExponential(product), ...this.findPolynomial(product)];
+
+        // Worst first, dropping findings inside an already reported span
+        const unique = [];
+        findings
+            .sort((a, b) => RegexAnalyzer.SEVERITY[b.severity] - RegexAnalyzer.SEVERITY[a.severity] ||
+                (b.end - b.start) - (a.end - a.start))
+            .forEach(finding => {
+                if (!unique.some(kept => kept.start <= finding.start && kept.end >= finding.end)) {
+                    unique.push(finding);
+                }
+            });
+        unique.splice(5);
+
+        return {
+            risk: unique.length > 0 ? unique[0].severity : 'safe',
+            findings: unique,
+            approximate: this.approximate || product.truncated
+        };
+    }
+
+    // ---- Automaton construction ----
+
+    buildAutomaton() {
+        this.addState(null, null);
+
+        const body = this.build(this.ast.body);
+        const entries = [0];
+
+        // An unanchored search retries from every index, which behaves like
+        // a [\s\S]*? loop in front of the pattern
+        if (!this.isAnchored()) {
+            const prefix = this.addState(CharSet.of([0, this.maxCodePoint]), null);
+            this.states[prefix].implicit = true;
+            this.addEdge(0, prefix, null);
+            this.addEdge(prefix, prefix, 'prefix');
+            entries.push(prefix);
+        }
+
+        entries.forEach(entry => body.first.forEach(target => this.addEdge(entry, target, null)));
+
+        this.finals = new Set(body.last);
+        if (body.nullable) entries.forEach(entry => this.finals.add(entry));
+    }
+
+    isAnchored() {
+        if (this.flags.includes('y')) return true;
+        if (this.flags.includes('m')) return false;
+
+        const alternatives = this.ast.body.type === 'disjunction' ? this.ast.body.alternatives : [this.ast.body];
+        return alternatives.every(alternative => {
+            const first = alternative.type === 'alternative' ? alternative.terms[0] : alternative;
+            return first && first.type === 'assertion' && first.kind === 'start';
+        });
+    }
+
+    addState(set, node) {
+        if (this.states.length >= RegexAnalyzer.MAX_STATES) {
+            throw new Error(RegexAnalyzer.TOO_LARGE);
+        }
+        this.states.push({ set, node, end: false });
+        this.edges.push([]);
+        return this.states.length - 1;
+    }
+
+    addEdge(from, to, origin) {
+        this.edges[from].push({ to, origin });
+    }
+
+    empty() {
+        return { first: [], last: [], nullable: true };
+    }
+
+    single(set, node) {
+        const state = this.addState(set, node);
+        return { first: [state], last: [state], nullable: false };
+    }
+
+    concat(a, b) {
+        a.last.forEach(from => b.first.forEach(to => this.addEdge(from, to, null)));
+        return {
+            first: this.unique(a.nullable ? [...a.first, ...b.first] : a.first),
+            last: this.unique(b.nullable ? [...b.last, ...a.last] : b.last),
+            nullable: a.nullable && b.nullable
+        };
+    }
+
+    unique(list) {
+        return [...new Set(list)];
+    }
+
+    build(node) {
+        switch (node.type) {
+            case 'alternative':
+                return node.terms.reduce((acc, term) => this.concat(acc, this.build(term)), this.empty());
+            case 'disjunction': {
+                const branches = node.alternatives.map(alternative => this.build(alternative));
+                return {
+                    first: this.unique(branches.flatMap(b => b.first)),
+                    last: this.unique(branches.flatMap(b => b.last)),
+                    nullable: branches.some(b => b.nullable)
+                };
+            }
+            case 'group':
+                if (node.kind !== 'capture' && node.kind !== 'noncapture') {
+                    this.approximate = true;
+                    return this.empty();
+                }
+                return this.build(node.body);
+            case 'quantifier':
+                return this.buildQuantifier(node);
+            case 'assertion':
+                if (node.kind === 'end') {
+                    const state = this.addState(null, node);
+                    this.states[state].end = true;
+                    return { first: [state], last: [state], nullable: false };
+                }
+                return this.empty();
+            case 'backreference':
+                this.approximate = true;
+                return this.empty();
+            default:
+                return this.single(this.charSetOf(node), node);
+        }
+    }
+
+    // Small bounded counts are unrolled; larger ones are treated as loops
+    buildQuantifier(node) {
+        const { min, max } = node;
+        if (max === 0) return this.empty();
+
+        if (max !== Infinity && max <= 3) {
+            let result = this.empty();
+            for (let i = 0; i < max; i++) {
+                const copy = this.build(node.body);
+                if (i >= min) copy.nullable = true;
+                result = this.concat(result, copy);
+            }
+            return result;
+        }
+
+        const body = this.build(node.body);
+        body.last.forEach(from => body.first.forEach(to => this.addEdge(from, to, node)));
+        return {
+            first: body.first,
+            last: body.last,
+            nullable: body.nullable || min === 0
+        };
+    }
+
+    charSetOf(node) {
+        let set;
+        switch (node.type) {
+            case 'char':
+                set = CharSet.of([node.value, node.value]);
+                break;
+            case 'dot':
+                set = this.flags.includes('s')
+                    ? CharSet.of([0, this.maxCodePoint])
+                    : CharSet.LINE_TERMINATORS.complement(this.maxCodePoint);
+                break;
+            case 'escape-class': {
+                const base = { digit: CharSet.DIGIT, word: CharSet.WORD, space: CharSet.SPACE }[node.kind];
+                set = node.negated ? base.complement(this.maxCodePoint) : base;
+                break;
+            }
+            case 'property':
+                set = this.propertySet(node);
+                break;
+            case 'class':
+                set = this.classSet(node);
+                break;
+            case 'class-strings':
+                set = CharSet.of(...node.strings.filter(s => s).map(s => [s.codePointAt(0), s.codePointAt(0)]));
+                break;
+            case 'range':
+                set = CharSet.of([node.from.value, node.to.value]);
+                break;
+            default:
+                set = CharSet.of([0, this.maxCodePoint]);
+        }
+        return this.ignoreCase ? this.foldCase(set) : set;
+    }
+
+    classSet(node) {
+        const sets = node.items.map(item => this.charSetOf(item));
+        let set;
+        if (node.operation === 'intersection') {
+            set = sets.reduce((acc, s) => acc.intersect(s));
+        } else if (node.operation === 'subtraction') {
+            set = sets.slice(1).reduce((acc, s) => acc.intersect(s.complement(this.maxCodePoint)), sets[0]);
+        } else {
+            set = sets.reduce((acc, s) => acc.union(s), new CharSet());
+        }
+        return node.negated ? set.complement(this.maxCodePoint) : set;
+    }
+
+    // Property sets are computed by letting the engine scan every code
+    // point up to the end of the SIP once, then cached
+    propertySet(node) {
+        const property = node.value !== undefined ? `${node.name}=${node.value}` : node.name;
+        if (!CharSet.propertyCache.has(property)) {
+            if (!CharSet.codePoints) {
+                const chars = [];
+                for (let cp = 0; cp <= 0x2FFFF; cp++) {
+                    if (cp < 0xD800 || cp > 0xDFFF) chars.push(String.fromCodePoint(cp));
+                }
+                CharSet.codePoints = chars.join('');
+            }
+
+            const toCodePoint = index => {
+                if (index < 0xD800) return index;
+                if (index < 0x10000 - 0x800) return index + 0x800;
+                return 0x10000 + (index - (0x10000 - 0x800)) / 2;
+            };
+
+            const ranges = [];
+            for (const match of CharSet.codePoints.matchAll(new RegExp(`\\p{${property}}+`, 'gu'))) {
+                const first = toCodePoint(match.index);
+                const last = toCodePoint(match.index + match[0].length - 1 - (match[0].codePointAt(match[0].length - 2) > 0xFFFF ? 1 : 0));
+                ranges.push([first, last]);
+            }
+            CharSet.propertyCache.set(property, new CharSet(ranges));
+        }
+
+        const set = CharSet.propertyCache.get(property);
+        return node.negated ? set.complement(this.maxCodePoint) : set;
+    }
+
+    foldCase(set) {
+        const extra = [];
+        set.intersect(CharSet.of([65, 90])).ranges.forEach(([lo, hi]) => extra.push([lo + 32, hi + 32]));
+        set.intersect(CharSet.of([97, 122])).ranges.forEach(([lo, hi]) => extra.push([lo - 32, hi - 32]));
+        return extra.length ? set.union(CharSet.of(...extra)) : set;
+    }
+
+    // ---- Ambiguity search ----
+
+    // Reading the same character in both copies of the automaton
+    meet(a, b) {
+        const left = this.states[a];
+        const right = this.states[b];
+        if (left.end || right.end) return left.end && right.end ? RegexAnalyzer.END : null;
+
+        const shared = left.set.intersect(right.set);
+        return shared.isEmpty() ? null : shared.sample();
+    }
+
+    buildProduct() {
+        const n = this.states.length;
+        const index = new Map();
+        const nodes = [];
+        const queue = [];
+        let truncated = false;
+
+        const visit = (p, q) => {
+            const key = p * n + q;
+            if (index.has(key)) return index.get(key);
+            if (nodes.length >= RegexAnalyzer.MAX_PRODUCT) {
+                truncated = true;
+                return -1;
+            }
+            index.set(key, nodes.length);
+            nodes.push({ p, q, out: [] });
+            queue.push(nodes.length - 1);
+            return nodes.length - 1;
+        };
+
+        for (let q = 1; q < n; q++) {
+            if (this.isLooping(q)) visit(q, q);
+        }
+
+        while (queue.length) {
+            const current = queue.shift();
+            const { p, q } = nodes[current];
+
+            this.edges[p].forEach(e1 => {
+                this.edges[q].forEach(e2 => {
+                    const char = this.meet(e1.to, e2.to);
+                    if (char === null) return;
+                    const target = visit(e1.to, e2.to);
+                    if (target !== -1) {
+                        nodes[current].out.push({ to: target, char, e1, e2 });
+                    }
+                });
+            });
+        }
+
+        const component = this.stronglyConnected(nodes);
+        return { nodes, index, component, truncated };
+    }
+
+    isLooping(state) {
+        const seen = new Set([state]);
+        const stack = [state];
+        while (stack.length) {
+            const current = stack.pop();
+            for (const edge of this.edges[current]) {
+                if (edge.to === state) return true;
+                if (!seen.has(edge.to)) {
+                    seen.add(edge.to);
+                    stack.push(edge.to);
+                }
+            }
+        }
+        return false;
+    }
+
+    // Iterative Tarjan; returns a component id per product node
+    stronglyConnected(nodes) {
+        const order = new Array(nodes.length).fill(-1);
+        const low = new Array(nodes.length).fill(0);
+        const onStack = new Array(nodes.length).fill(false);
+        const component = new Array(nodes.length).fill(-1);
+        const stack = [];
+        let counter = 0;
+        let components = 0;
+
+        for (let root = 0; root < nodes.length; root++) {
+            if (order[root] !== -1) continue;
+
+            const work = [[root, 0]];
+            while (work.length) {
+                const frame = work[work.length - 1];
+                const [v, i] = frame;
+
+                if (i === 0) {
+                    order[v] = low[v] = counter++;
+                    stack.push(v);
+                    onStack[v] = true;
+                }
+
+                if (i < nodes[v].out.length) {
+                    frame[1]++;
+                    const w = nodes[v].out[i].to;
+                    if (order[w] === -1) {
+                        work.push([w, 0]);
+                    } else if (onStack[w]) {
+                        low[v] = Math.min(low[v], order[w]);
+                    }
+                    continue;
+                }
+
+                work.pop();
+                if (work.length) {
+                    const parent = work[work.length - 1][0];
+                    low[parent] = Math.min(low[parent], low[v]);
+                }
+
+                if (low[v] === order[v]) {
+                    let w;
+                    do {
+                        w = stack.pop();
+                        onStack[w] = false;
+                        component[w] = components;
+                    } while (w !== v);
+                    components++;
+                }
+            }
+        }
+        return component;
+    }
+
+    findExponential(product) {
+        const { nodes, component } = product;
+        const findings = [];
+        const reported = new Set();
+
+        // Needs a diagonal (q, q) in the same component that can't accept
+        const diagonals = new Map();
+        nodes.forEach((node, i) => {
+            if (node.p === node.q && !this.finals.has(node.p) && !diagonals.has(component[i])) {
+                diagonals.set(component[i], i);
+            }
+        });
+
+        nodes.forEach((node, from) => {
+            node.out.forEach(edge => {
+                const comp = component[from];
+                if (edge.e1 === edge.e2 || component[edge.to] !== comp || reported.has(comp)) return;
+
+                const diagonal = diagonals.get(comp);
+                if (diagonal === undefined) return;
+
+                const inComponent = i => component[i] === comp;
+                const toEdge = this.findPath(nodes, diagonal, from, inComponent);
+                const back = this.findPath(nodes, edge.to, diagonal, inComponent);
+                if (!toEdge || !back) return;
+
+                reported.add(comp);
+                const cycle = [...toEdge, edge, ...back];
+                const state = nodes[diagonal].p;
+
+                findings.push(this.finding('exponential', state, cycle, cycle.flatMap(step => [step.e1, step.e2])));
+            });
+        });
+
+        return findings;
+    }
+
+    findPolynomial(product) {
+        const { nodes, index, component } = product;
+        const n = this.states.length;
+        const findings = [];
+
+        const isCyclic = i => {
+            const comp = component[i];
+            return nodes[i].out.some(edge => component[edge.to] === comp);
+        };
+
+        nodes.forEach((node, start) => {
+            if (node.p !== node.q || !isCyclic(start)) return;
+            const p = node.p;
+
+            // Walk while the first copy stays able to return to p
+            const paths = this.reachable(nodes, start);
+            paths.forEach((path, target) => {
+                const { p: a, q } = nodes[target];
+                if (a !== p || q === p || this.finals.has(q)) return;
+
+                const loop = index.get(q * n + q);
+                if (loop === undefined || !isCyclic(loop) || component[loop] === component[start]) return;
+                if (!this.findPath(nodes, target, loop, () => true)) return;
+
+                // The pumped text has to keep q looping as well
+                const pump = path.map(step => step.char).filter(char => char !== RegexAnalyzer.END);
+                if (!this.canLoop(q, pump)) return;
+
+                const loopEdges = nodes[loop].out
+                    .filter(edge => component[edge.to] === component[loop])
+                    .flatMap(edge => [edge.e1, edge.e2]);
+                const origins = [...path.flatMap(step => [step.e1, step.e2]), ...loopEdges];
+
+                findings.push(this.finding('polynomial', p, path, origins));
+            });
+        });
+
+        return findings;
+    }
+
+    canLoop(state, chars) {
+        let current = new Set([state]);
+        chars.forEach(char => {
+            const next = new Set();
+            current.forEach(from => this.edges[from].forEach(edge => {
+                const target = this.states[edge.to];
+                if (!target.end && target.set.has(char)) next.add(edge.to);
+            }));
+            current = next;
+        });
+        return current.has(state);
+    }
+
+    findPath(nodes, from, to, allowed) {
+        if (from === to) return [];
+        const previous = new Map([[from, null]]);
+        const queue = [from];
+
+        while (queue.length) {
+            const current = queue.shift();
+            for (const edge of nodes[current].out) {
+                if (previous.has(edge.to) || !allowed(edge.to)) continue;
+                previous.set(edge.to, { from: current, edge });
+                if (edge.to === to) {
+                    const path = [];
+                    let step = previous.get(to);
+                    while (step) {
+                        path.unshift(step.edge);
+                        step = previous.get(step.from);
+                    }
+                    return path;
+                }
+                queue.push(edge.to);
+            }
+        }
+        return null;
+    }
+
+    // Shortest path to every node reachable from start
+    reachable(nodes, start) {
+        const paths = new Map([[start, []]]);
+        const queue = [start];
+        while (queue.length) {
+            const current = queue.shift();
+            nodes[current].out.forEach(edge => {
+                if (paths.has(edge.to)) return;
+                paths.set(edge.to, [...paths.get(current), edge]);
+                queue.push(edge.to);
+            });
+        }
+        paths.delete(start);
+        return paths;
+    }
+
+    finding(severity, state, path, edges) {
+        const pump = path.filter(step => step.char !== RegexAnalyzer.END)
+            .map(step => String.fromCodePoint(step.char)).join('');
+        const origins = edges.map(edge => edge.origin).filter(origin => origin && origin !== 'prefix');
+
+        let start;
+        let end;
+        if (origins.length) {
+            start = Math.min(...origins.map(o => o.start));
+            end = Math.max(...origins.map(o => o.end));
+        } else {
+            const node = this.states[state].node || this.ast;
+            start = node.start;
+            end = node.end;
+        }
+
+        const involved = new Set(path.flatMap(step => [step.e1.to, step.e2.to]));
+        const attack = {
+            prefix: this.shortestPrefix(state),
+            pump,
+            repeat: severity === 'exponential' ? 30 : Math.max(1, Math.ceil(20000 / Math.max(pump.length, 1))),
+            suffix: this.failingSuffix(involved)
+        };
+
+        const source = this.ast.source !== undefined ? this.ast.source.slice(start, end) : '';
+        let message;
+        if (severity === 'exponential') {
+            message = `${source} can match the same text in more than one way, so every extra "${pump}" doubles the work on a failing match`;
+        } else if (this.states[state].implicit) {
+            message = `${source} rescans the same run of "${pump}" from every starting position, so the work grows polynomially with the input length`;
+        } else {
+            message = `${source} can hand the same "${pump}" back and forth between adjacent repetitions, so the work grows polynomially with the input length`;
+        }
+
+        return { severity, start, end, message, attack };
+    }
+
+    shortestPrefix(state) {
+        const previous = new Map([[0, null]]);
+        const queue = [0];
+        while (queue.length) {
+            const current = queue.shift();
+            if (current === state) break;
+            this.edges[current].forEach(edge => {
+                if (previous.has(edge.to) || this.states[edge.to].end) return;
+                previous.set(edge.to, current);
+                queue.push(edge.to);
+            });
+        }
+
+        const chars = [];
+        let current = state;
+        while (current !== 0 && previous.has(current)) {
+            const target = this.states[current];
+            if (!target.implicit) chars.unshift(String.fromCodePoint(target.set.sample()));
+            current = previous.get(current);
+        }
+        return chars.join('');
+    }
+
+    // A character none of the looping states can continue with; the end of
+    // the input works as well since the looping state can't accept
+    failingSuffix(states) {
+        let accepted = new CharSet();
+        states.forEach(state => {
+            this.edges[state].forEach(edge => {
+                const target = this.states[edge.to];
+                if (!target.end && !target.implicit) accepted = accepted.union(target.set);
+            });
+        });
+
+        const candidates = ['!', '\u0000', '#', '~', '\n', ' ', 'x', '0', '_'];
+        return candidates.find(ch => !accepted.has(ch.codePointAt(0))) || '';
+    }
+}
+
+RegexAnalyzer.MAX_STATES = 400;
+RegexAnalyzer.MAX_PRODUCT = 40000;
+RegexAnalyzer.TOO_LARGE = 'too large';
+RegexAnalyzer.END = -1;
+RegexAnalyzer.SEVERITY = { exponential: 2, polynomial: 1 };
+
+// regex-parser.js is loaded before this file on the page; Node requires it instead
+RegexAnalyzer.Parser = typeof module !== 'undefined' && module.exports ? require('./regex-parser.js') : RegexParser;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RegexAnalyzer;
+}
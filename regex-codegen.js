@@ -0,0 +1,704 @@
+// RegEx Tester Pro - Code Generator
+// Rewrites a parsed ECMAScript pattern for another engine and wraps it in an
+// idiomatic snippet. Constructs that can't be carried over are reported as
+// warnings { level: 'error' | 'info', message, start, end }.
+
+class RegexCodeGenerator {
+    constructor(language, { pattern, flags = '', mode = 'match', replacement = '', text = '' }) {
+        this.language = language;
+        this.pattern = pattern;
+        this.flags = flags;
+        this.mode = mode;
+        this.replacement = replacement;
+        this.text = text;
+        this.ast = RegexParser.parse(pattern, flags);
+        this.warnings = [];
+        this.anchorsEnd = false;
+    }
+
+    static generate(language, options) {
+        return new RegexCodeGenerator(language, options).generate();
+    }
+
+    generate() {
+        const source = this.language === 'javascript' ? this.pattern : this.emit(this.ast.body);
+        const code = this[this.language](source);
+        return { code, warnings: this.dedupeWarnings() };
+    }
+
+    warn(level, message, node = this.ast) {
+        this.warnings.push({ level, message, start: node.start, end: node.end });
+    }
+
+    dedupeWarnings() {
+        const seen = new Set();
+        return this.warnings.filter(warning => {
+            if (seen.has(warning.message)) return false;
+            seen.add(warning.message);
+            return true;
+        });
+    }
+
+    get engine() {
+        return RegexCodeGenerator.LANGUAGES[this.language];
+    }
+
+    // Pattern rewriting
+
+    emit(node) {
+        switch (node.type) {
+            case 'disjunction':
+                return node.alternatives.map(alternative => this.emit(alternative)).join('|');
+            case 'alternative':
+                return this.emitSequence(node.terms);
+            case 'char':
+                return this.emitChar(node, false);
+            case 'dot':
+                if (!this.flags.includes('s') && this.language !== 'java') {
+                    this.warn('info', `. also matches \\r, \\u2028 and \\u2029 in ${this.engine}; JavaScript excludes them`, node);
+                }
+                return '.';
+            case 'assertion':
+                return this.emitAssertion(node);
+            case 'escape-class':
+                return this.emitEscapeClass(node);
+            case 'property':
+                return this.emitProperty(node);
+            case 'class':
+                return this.emitClass(node);
+            case 'class-strings':
+                this.warn('error', `${this.engine} has no equivalent for \\q{...} strings in a class`, node);
+                return this.pattern.slice(node.start, node.end);
+            case 'backreference':
+                return this.emitBackreference(node);
+            case 'group':
+                return this.emitGroup(node);
+            case 'quantifier':
+                return this.emitQuantifier(node);
+            default:
+                return this.pattern.slice(node.start, node.end);
+        }
+    }
+
+    emitSequence(terms) {
+        let result = '';
+        terms.forEach((term, i) => {
+            let text = this.emit(term);
+            // \1 followed by a literal digit would read as a different group
+            if (term.type === 'backreference' && i + 1 < terms.length && /^[0-9]/.test(this.emit(terms[i + 1]))) {
+                text = `(?:${text})`;
+            }
+            result += text;
+        });
+        return result;
+    }
+
+    emitChar(node, inClass) {
+        const value = node.value;
+        const ch = String.fromCodePoint(value);
+        const named = { 9: '\\t', 10: '\\n', 12: '\\f', 13: '\\r' };
+
+        if (named[value]) return named[value];
+        if (value < 0x20 || value === 0x7F) return this.hexEscape(value);
+
+        if (value < 0x80) {
+            const special = inClass ? '\\]^-[&~' : '\\^$.|?*+()[]{}';
+            if (special.includes(ch) || (ch === '/' && this.language === 'php')) return `\\${ch}`;
+            return ch;
+        }
+
+        // Invisible and separator characters are easier to read as escapes
+        if (/[\p{C}\p{Z}]/u.test(ch)) return this.hexEscape(value);
+        return ch;
+    }
+
+    hexEscape(value) {
+        const hex = value.toString(16).toUpperCase();
+        if (value <= 0xFF) return `\\x${hex.padStart(2, '0')}`;
+
+        switch (this.language) {
+            case 'python':
+                return value <= 0xFFFF ? `\\u${hex.padStart(4, '0')}` : `\\U${hex.padStart(8, '0')}`;
+            case 'csharp':
+                if (value <= 0xFFFF) return `\\u${hex.padStart(4, '0')}`;
+                // .NET matches UTF-16 code units, so astral characters become a surrogate pair
+                return String.fromCodePoint(value).split('')
+                    .map(unit => `\\u${unit.charCodeAt(0).toString(16).toUpperCase()}`)
+                    .join('');
+            default:
+                return `\\x{${hex}}`;
+        }
+    }
+
+    emitAssertion(node) {
+        switch (node.kind) {
+            case 'start':
+                return '^';
+            case 'end':
+                this.anchorsEnd = true;
+                if (this.flags.includes('m')) return '$';
+                // Most engines let $ match before a final newline; JavaScript doesn't
+                if (this.language === 'python') return '\\Z';
+                if (this.language === 'java' || this.language === 'csharp') return '\\z';
+                return '$';
+            case 'word-boundary':
+                this.warnUnicodeClasses(node);
+                return '\\b';
+            default:
+                this.warnUnicodeClasses(node);
+                return '\\B';
+        }
+    }
+
+    emitEscapeClass(node) {
+        if (node.kind !== 'space') this.warnUnicodeClasses(node);
+        const letter = { digit: 'd', word: 'w', space: 's' }[node.kind];
+        return `\\${node.negated ? letter.toUpperCase() : letter}`;
+    }
+
+    warnUnicodeClasses(node) {
+        if (['python', 'csharp', 'rust'].includes(this.language)) {
+            this.warn('info', `\\d, \\w and \\b also match non-ASCII digits and letters in ${this.engine}`, node);
+        }
+    }
+
+    emitProperty(node) {
+        const prefix = node.negated ? '\\P' : '\\p';
+        const names = RegexCodeGenerator.GENERAL_CATEGORIES;
+        let kind = 'binary';
+        let value = node.name;
+
+        if (node.value !== undefined) {
+            value = node.value;
+            kind = ['General_Category', 'gc'].includes(node.name) ? 'category' : 'script';
+            if (['Script_Extensions', 'scx'].includes(node.name)) {
+                this.warn('info', `Script_Extensions is approximated by Script in ${this.engine}`, node);
+            }
+        } else if (names[node.name]) {
+            kind = 'category';
+        }
+        if (kind === 'category' && names[value]) value = names[value];
+
+        if (this.language === 'python') {
+            this.warn('error', 'Python re does not support \\p{...}; use the third-party regex module', node);
+            return this.pattern.slice(node.start, node.end);
+        }
+
+        if (kind === 'category') return `${prefix}{${value}}`;
+
+        if (kind === 'script') {
+            if (this.language === 'csharp') {
+                this.warn('error', '.NET has no Unicode script properties (\\p{IsX} names blocks, not scripts)', node);
+                return this.pattern.slice(node.start, node.end);
+            }
+            return this.language === 'java' ? `${prefix}{Is${value}}` : `${prefix}{${value}}`;
+        }
+
+        switch (this.language) {
+            case 'java':
+                return `${prefix}{Is${value}}`;
+            case 'rust':
+                return `${prefix}{${value}}`;
+            case 'php':
+                this.warn('info', `Binary property ${value} needs a recent PCRE2 version`, node);
+                return `${prefix}{${value}}`;
+            default:
+                this.warn('error', `${this.engine} does not support the binary property ${value}`, node);
+                return this.pattern.slice(node.start, node.end);
+        }
+    }
+
+    emitClass(node) {
+        if (node.operation && node.operation !== 'union') {
+            this.warn('error', `${this.engine} does not support v-flag set operations in a class`, node);
+            return this.pattern.slice(node.start, node.end);
+        }
+
+        if (node.items.length === 0) {
+            // [] never matches and [^] matches anything
+            if (node.negated) return '[\\s\\S]';
+            return ['go', 'rust'].includes(this.language) ? '[^\\x00-\\x{10FFFF}]' : '(?!)';
+        }
+
+        const items = node.items.map(item => {
+            if (item.type === 'range') {
+                return `${this.emitChar(item.from, true)}-${this.emitChar(item.to, true)}`;
+            }
+            if (item.type === 'char') return this.emitChar(item, true);
+            if (item.type === 'class') {
+                this.warn('error', `${this.engine} does not support nested classes`, item);
+                return this.pattern.slice(item.start, item.end);
+            }
+            return this.emit(item);
+        });
+
+        if (this.language === 'csharp' && node.items.some(item => item.type === 'range' && item.to.value > 0xFFFF)) {
+            this.warn('error', '.NET classes work on UTF-16 code units, so astral ranges won\'t match', node);
+        }
+
+        return `[${node.negated ? '^' : ''}${items.join('')}]`;
+    }
+
+    emitBackreference(node) {
+        if (this.language === 'go' || this.language === 'rust') {
+            this.warn('error', `${this.engine} does not support backreferences`, node);
+            return this.pattern.slice(node.start, node.end);
+        }
+
+        if (node.name === undefined && this.language === 'csharp') {
+            const reference = this.csharpGroupReference(node.number);
+            return typeof reference === 'number' ? `\\${reference}` : `\\k<${reference}>`;
+        }
+        if (node.name === undefined) return `\\${node.number}`;
+        if (this.language === 'python') return `(?P=${node.name})`;
+        return `\\k<${node.name}>`;
+    }
+
+    // .NET numbers unnamed groups first and named groups after them
+    csharpGroupReference(number) {
+        const group = this.ast.captures[number - 1];
+        if (group.name !== undefined) return group.name;
+        return this.ast.captures.slice(0, number).filter(capture => capture.name === undefined).length;
+    }
+
+    emitGroup(node) {
+        const body = this.emit(node.body);
+
+        switch (node.kind) {
+            case 'capture':
+                if (node.name === undefined) return `(${body})`;
+                this.checkGroupName(node);
+                if (this.language === 'python' || this.language === 'go') {
+                    this.warn('info', `Named groups are written as (?P<name>...) in ${this.engine}`, node);
+                }
+                return ['python', 'go', 'rust'].includes(this.language)
+                    ? `(?P<${node.name}>${body})`
+                    : `(?<${node.name}>${body})`;
+            case 'noncapture':
+                if (node.modifiers) {
+                    const { add, remove } = node.modifiers;
+                    return `(?${add}${remove ? `-${remove}` : ''}:${body})`;
+                }
+                return `(?:${body})`;
+            case 'lookahead':
+            case 'negative-lookahead':
+                if (this.language === 'go' || this.language === 'rust') {
+                    this.warn('error', `${this.engine} does not support lookahead`, node);
+                }
+                return `(?${node.kind === 'lookahead' ? '=' : '!'}${body})`;
+            default:
+                this.checkLookbehind(node);
+                return `(?<${node.kind === 'lookbehind' ? '=' : '!'}${body})`;
+        }
+    }
+
+    checkGroupName(node) {
+        const { name } = node;
+        if (name.includes('$')) {
+            this.warn('error', `Group name "${name}" contains $, which ${this.engine} doesn't allow`, node);
+        } else if (this.language === 'java' && !/^[a-zA-Z][a-zA-Z0-9]*$/.test(name)) {
+            this.warn('error', `Java group names may only contain ASCII letters and digits ("${name}")`, node);
+        } else if (this.language !== 'python' && !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name)) {
+            this.warn('error', `${this.engine} group names must be ASCII word characters ("${name}")`, node);
+        }
+    }
+
+    checkLookbehind(node) {
+        const width = RegexParser.width(node.body);
+
+        if (this.language === 'go' || this.language === 'rust') {
+            this.warn('error', `${this.engine} does not support lookbehind`, node);
+        } else if (this.language === 'python' && width.min !== width.max) {
+            this.warn('error', 'Python requires a fixed-width lookbehind', node);
+        } else if (this.language === 'java' && width.max === Infinity) {
+            this.warn('error', 'Java requires a lookbehind with a bounded length', node);
+        } else if (this.language === 'php' && width.min !== width.max) {
+            this.warn('info', 'Variable-length lookbehind needs PCRE2 10.43 or later', node);
+        }
+    }
+
+    emitQuantifier(node) {
+        const suffix = this.pattern.slice(node.quantifierStart, node.end);
+        if (this.language === 'go' && Math.max(node.min, node.max === Infinity ? 0 : node.max) > 1000) {
+            this.warn('error', 'Go limits counted repetition to 1000', node);
+        }
+        return `${this.emit(node.body)}${suffix}`;
+    }
+
+    // Replacement templates
+
+    replacementTokens() {
+        const tokens = RegexMatcher.parseReplacement(this.replacement, this.ast.groupCount, this.ast.groupNames.length > 0);
+        return tokens.filter(token => {
+            if (token.type === 'named' && !this.ast.groupNames.includes(token.name)) {
+                // JavaScript substitutes an empty string for unknown names
+                return false;
+            }
+            if ((token.type === 'before' || token.type === 'after') && this.language !== 'csharp') {
+                this.warn('error', `${this.engine} has no replacement token for the text ${token.type} the match ($\` / $')`);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    convertReplacement() {
+        const groupNumber = name => this.ast.captures.find(group => group.name === name).number;
+
+        return this.replacementTokens().map(token => {
+            switch (this.language) {
+                case 'python':
+                    if (token.type === 'literal') return token.text.replace(/\\/g, '\\\\');
+                    if (token.type === 'match') return '\\g<0>';
+                    return `\\g<${token.type === 'named' ? token.name : token.number}>`;
+                case 'java':
+                    if (token.type === 'literal') return token.text.replace(/[\\$]/g, '\\$&');
+                    if (token.type === 'match') return '$0';
+                    return token.type === 'named' ? `\${${token.name}}` : `$${token.number}`;
+                case 'php':
+                    if (token.type === 'literal') return token.text.replace(/[\\$]/g, '\\$&');
+                    if (token.type === 'match') return '${0}';
+                    return `\${${token.type === 'named' ? groupNumber(token.name) : token.number}}`;
+                case 'csharp':
+                    if (token.type === 'before') return '$`';
+                    if (token.type === 'after') return "$'";
+                    if (token.type === 'group') return `\${${this.csharpGroupReference(token.number)}}`;
+                    // falls through
+                default:
+                    if (token.type === 'literal') return token.text.replace(/\$/g, '$$$$');
+                    if (token.type === 'match') return '${0}';
+                    return `\${${token.type === 'named' ? token.name : token.number}}`;
+            }
+        }).join('');
+    }
+
+    // String literals
+
+    // JSON escapes are valid in JavaScript, Python, Java, Go and C# string literals
+    quoted(text) {
+        return JSON.stringify(text);
+    }
+
+    pythonRaw(text) {
+        if (!/[\n\r]/.test(text) && !/\\$/.test(text.replace(/\\\\/g, ''))) {
+            if (!text.includes('"')) return `r"${text}"`;
+            if (!text.includes("'")) return `r'${text}'`;
+        }
+        return this.quoted(text);
+    }
+
+    goRaw(text) {
+        return text.includes('`') || text.includes('\r') ? this.quoted(text) : `\`${text}\``;
+    }
+
+    csharpVerbatim(text) {
+        return `@"${text.replace(/"/g, '""')}"`;
+    }
+
+    phpSingle(text) {
+        return `'${text.replace(/\\(?=[\\']|$)/g, '\\\\').replace(/'/g, "\\'")}'`;
+    }
+
+    phpDouble(text) {
+        const escapes = { '\n': '\\n', '\r': '\\r', '\t': '\\t', '\v': '\\v', '\f': '\\f', '\x1B': '\\e', '\\': '\\\\', '$': '\\$', '"': '\\"' };
+        return `"${text.replace(/[\n\r\t\v\f\x1B\\$"]/g, ch => escapes[ch])}"`;
+    }
+
+    rustRaw(text) {
+        let hashes = '';
+        while (text.includes(`"${hashes}`)) hashes += '#';
+        return `r${hashes}"${text}"${hashes}`;
+    }
+
+    rustString(text) {
+        const escapes = { '\n': '\\n', '\r': '\\r', '\t': '\\t', '\0': '\\0', '\\': '\\\\', '"': '\\"' };
+        return `"${text.replace(/[\n\r\t\0\\"]/g, ch => escapes[ch])}"`;
+    }
+
+    // Flags
+
+    warnSticky() {
+        if (this.flags.includes('y')) {
+            this.warn('error', `${this.engine} has no sticky (y) flag; anchor the pattern instead`);
+        }
+    }
+
+    warnByteOffsets() {
+        if (/[^\x00-\x7F]/.test(this.text)) {
+            this.warn('info', `${this.engine} reports byte offsets into UTF-8, not character offsets`);
+        }
+    }
+
+    inlineFlags() {
+        const flags = ['i', 'm', 's'].filter(flag => this.flags.includes(flag)).join('');
+        return flags ? `(?${flags})` : '';
+    }
+
+    // Snippets, one per language
+
+    javascript() {
+        const regex = `/${new RegExp(this.pattern, this.flags).source}/${this.flags}`;
+        const lines = [`const regex = ${regex};`, `const text = ${this.quoted(this.text)};`, ''];
+
+        if (this.mode === 'replace') {
+            lines.push(`const result = text.replace(regex, ${this.quoted(this.replacement)});`, 'console.log(result);');
+        } else if (this.flags.includes('g')) {
+            lines.push(
+                'for (const match of text.matchAll(regex)) {',
+                '    console.log(match[0], match.index);',
+                '}'
+            );
+        } else {
+            lines.push(
+                'const match = regex.exec(text);',
+                'if (match) {',
+                '    console.log(match[0], match.index);',
+                '}'
+            );
+        }
+        return lines.join('\n');
+    }
+
+    python(source) {
+        const names = { i: 're.IGNORECASE', m: 're.MULTILINE', s: 're.DOTALL' };
+        const flags = Object.keys(names).filter(flag => this.flags.includes(flag)).map(flag => names[flag]);
+        const sticky = this.flags.includes('y');
+        if (sticky && this.flags.includes('g')) {
+            this.warn('error', 'Python has no equivalent of g combined with y; only the first match is anchored');
+        }
+
+        const lines = [
+            'import re',
+            '',
+            `pattern = re.compile(${this.pythonRaw(source)}${flags.length ? `, ${flags.join(' | ')}` : ''})`,
+            `text = ${this.quoted(this.text)}`,
+            ''
+        ];
+
+        if (this.mode === 'replace') {
+            const count = this.flags.includes('g') ? '' : ', count=1';
+            lines.push(`result = pattern.sub(${this.pythonRaw(this.convertReplacement())}, text${count})`, 'print(result)');
+        } else if (this.flags.includes('g') && !sticky) {
+            lines.push(
+                'for match in pattern.finditer(text):',
+                '    print(match.group(), match.start())'
+            );
+        } else {
+            lines.push(
+                `match = pattern.${sticky ? 'match' : 'search'}(text)`,
+                'if match:',
+                '    print(match.group(), match.start())'
+            );
+        }
+        return lines.join('\n');
+    }
+
+    java(source) {
+        const names = { i: 'Pattern.CASE_INSENSITIVE', m: 'Pattern.MULTILINE', s: 'Pattern.DOTALL' };
+        const flags = Object.keys(names).filter(flag => this.flags.includes(flag)).map(flag => names[flag]);
+        if (this.flags.includes('i') && /[uv]/.test(this.flags)) flags.push('Pattern.UNICODE_CASE');
+        this.warnSticky();
+
+        const lines = [
+            'import java.util.regex.Matcher;',
+            'import java.util.regex.Pattern;',
+            '',
+            `Pattern pattern = Pattern.compile(${this.quoted(source)}${flags.length ? `, ${flags.join(' | ')}` : ''});`,
+            `String text = ${this.quoted(this.text)};`,
+            'Matcher matcher = pattern.matcher(text);',
+            ''
+        ];
+
+        if (this.mode === 'replace') {
+            const method = this.flags.includes('g') ? 'replaceAll' : 'replaceFirst';
+            lines.push(`String result = matcher.${method}(${this.quoted(this.convertReplacement())});`, 'System.out.println(result);');
+        } else {
+            lines.push(
+                `${this.flags.includes('g') ? 'while' : 'if'} (matcher.find()) {`,
+                '    System.out.println(matcher.group() + " at " + matcher.start());',
+                '}'
+            );
+        }
+        return lines.join('\n');
+    }
+
+    go(source) {
+        this.warnSticky();
+        const lines = [
+            'package main',
+            '',
+            'import (',
+            '\t"fmt"',
+            '\t"regexp"',
+            ')',
+            '',
+            'func main() {',
+            `\tre := regexp.MustCompile(${this.goRaw(this.inlineFlags() + source)})`,
+            `\ttext := ${this.quoted(this.text)}`,
+            ''
+        ];
+
+        if (this.mode === 'replace' && this.flags.includes('g')) {
+            lines.push(
+                `\tresult := re.ReplaceAllString(text, ${this.goRaw(this.convertReplacement())})`,
+                '\tfmt.Println(result)'
+            );
+        } else if (this.mode === 'replace') {
+            // Go has no replace-first, so expand the template for the first match only
+            lines.push(
+                '\tresult := text',
+                '\tif loc := re.FindStringSubmatchIndex(text); loc != nil {',
+                `\t\texpanded := re.ExpandString(nil, ${this.goRaw(this.convertReplacement())}, text, loc)`,
+                '\t\tresult = text[:loc[0]] + string(expanded) + text[loc[1]:]',
+                '\t}',
+                '\tfmt.Println(result)'
+            );
+        } else if (this.flags.includes('g')) {
+            lines.push(
+                '\tfor _, loc := range re.FindAllStringIndex(text, -1) {',
+                '\t\tfmt.Println(text[loc[0]:loc[1]], loc[0])',
+                '\t}'
+            );
+        } else {
+            lines.push(
+                '\tif loc := re.FindStringIndex(text); loc != nil {',
+                '\t\tfmt.Println(text[loc[0]:loc[1]], loc[0])',
+                '\t}'
+            );
+        }
+        lines.push('}');
+        this.warnByteOffsets();
+        return lines.join('\n');
+    }
+
+    csharp(source) {
+        const names = { i: 'RegexOptions.IgnoreCase', m: 'RegexOptions.Multiline', s: 'RegexOptions.Singleline' };
+        const flags = Object.keys(names).filter(flag => this.flags.includes(flag)).map(flag => names[flag]);
+        this.warnSticky();
+
+        const lines = [
+            'using System;',
+            'using System.Text.RegularExpressions;',
+            '',
+            `var regex = new Regex(${this.csharpVerbatim(source)}${flags.length ? `, ${flags.join(' | ')}` : ''});`,
+            `var text = ${this.quoted(this.text)};`,
+            ''
+        ];
+
+        if (this.mode === 'replace') {
+            const count = this.flags.includes('g') ? '' : ', 1';
+            lines.push(`var result = regex.Replace(text, ${this.csharpVerbatim(this.convertReplacement())}${count});`, 'Console.WriteLine(result);');
+        } else if (this.flags.includes('g')) {
+            lines.push(
+                'foreach (Match match in regex.Matches(text))',
+                '{',
+                '    Console.WriteLine($"{match.Value} at {match.Index}");',
+                '}'
+            );
+        } else {
+            lines.push(
+                'var match = regex.Match(text);',
+                'if (match.Success)',
+                '{',
+                '    Console.WriteLine($"{match.Value} at {match.Index}");',
+                '}'
+            );
+        }
+        return lines.join('\n');
+    }
+
+    php(source) {
+        let modifiers = ['i', 'm', 's'].filter(flag => this.flags.includes(flag)).join('');
+        // u reads the pattern and subject as UTF-8; D keeps $ from matching before a final newline
+        if (/[uv]/.test(this.flags) || /[^\x00-\x7F]|\\x\{/.test(source) || /[^\x00-\x7F]/.test(this.text)) modifiers += 'u';
+        if (this.anchorsEnd && !this.flags.includes('m')) modifiers += 'D';
+        // A anchors every match at the search offset, like the y flag
+        if (this.flags.includes('y')) modifiers += 'A';
+
+        const lines = [
+            '<?php',
+            `$pattern = ${this.phpSingle(`/${source}/${modifiers}`)};`,
+            `$text = ${this.phpDouble(this.text)};`,
+            ''
+        ];
+
+        if (this.mode === 'replace') {
+            const limit = this.flags.includes('g') ? '' : ', 1';
+            lines.push(`$result = preg_replace($pattern, ${this.phpSingle(this.convertReplacement())}, $text${limit});`, 'echo $result;');
+        } else if (this.flags.includes('g')) {
+            lines.push(
+                'if (preg_match_all($pattern, $text, $matches, PREG_OFFSET_CAPTURE)) {',
+                '    foreach ($matches[0] as [$match, $offset]) {',
+                '        echo "$match at $offset\\n";',
+                '    }',
+                '}'
+            );
+        } else {
+            lines.push(
+                'if (preg_match($pattern, $text, $match, PREG_OFFSET_CAPTURE)) {',
+                '    echo "{$match[0][0]} at {$match[0][1]}\\n";',
+                '}'
+            );
+        }
+        this.warnByteOffsets();
+        return lines.join('\n');
+    }
+
+    rust(source) {
+        this.warnSticky();
+        const lines = [
+            'use regex::Regex;',
+            '',
+            'fn main() {',
+            `    let re = Regex::new(${this.rustRaw(this.inlineFlags() + source)}).unwrap();`,
+            `    let text = ${this.rustString(this.text)};`,
+            ''
+        ];
+
+        if (this.mode === 'replace') {
+            const method = this.flags.includes('g') ? 'replace_all' : 'replace';
+            lines.push(`    let result = re.${method}(text, ${this.rustRaw(this.convertReplacement())});`, '    println!("{}", result);');
+        } else if (this.flags.includes('g')) {
+            lines.push(
+                '    for m in re.find_iter(text) {',
+                '        println!("{} at {}", m.as_str(), m.start());',
+                '    }'
+            );
+        } else {
+            lines.push(
+                '    if let Some(m) = re.find(text) {',
+                '        println!("{} at {}", m.as_str(), m.start());',
+                '    }'
+            );
+        }
+        lines.push('}');
+        this.warnByteOffsets();
+        return lines.join('\n');
+    }
+}
+
+RegexCodeGenerator.LANGUAGES = {
+    javascript: 'JavaScript',
+    python: 'Python',
+    java: 'Java',
+    go: 'Go',
+    csharp: 'C#',
+    php: 'PHP',
+    rust: 'Rust'
+};
+
+// Long General_Category names and their short aliases
+RegexCodeGenerator.GENERAL_CATEGORIES = {
+    Letter: 'L', Cased_Letter: 'LC', Uppercase_Letter: 'Lu', Lowercase_Letter: 'Ll', Titlecase_Letter: 'Lt',
+    Modifier_Letter: 'Lm', Other_Letter: 'Lo', Mark: 'M', Nonspacing_Mark: 'Mn', Spacing_Mark: 'Mc',
+    Enclosing_Mark: 'Me', Number: 'N', Decimal_Number: 'Nd', Letter_Number: 'Nl', Other_Number: 'No',
+    Punctuation: 'P', Connector_Punctuation: 'Pc', Dash_Punctuation: 'Pd', Open_Punctuation: 'Ps',
+    Close_Punctuation: 'Pe', Initial_Punctuation: 'Pi', Final_Punctuation: 'Pf', Other_Punctuation: 'Po',
+    Symbol: 'S', Math_Symbol: 'Sm', Currency_Symbol: 'Sc', Modifier_Symbol: 'Sk', Other_Symbol: 'So',
+    Separator: 'Z', Space_Separator: 'Zs', Line_Separator: 'Zl', Paragraph_Separator: 'Zp', Other: 'C',
+    Control: 'Cc', Format: 'Cf', Surrogate: 'Cs', Private_Use: 'Co', Unassigned: 'Cn',
+    L: 'L', LC: 'LC', Lu: 'Lu', Ll: 'Ll', Lt: 'Lt', Lm: 'Lm', Lo: 'Lo', M: 'M', Mn: 'Mn', Mc: 'Mc', Me: 'Me',
+    N: 'N', Nd: 'Nd', Nl: 'Nl', No: 'No', P: 'P', Pc: 'Pc', Pd: 'Pd', Ps: 'Ps', Pe: 'Pe', Pi: 'Pi', Pf: 'Pf',
+    Po: 'Po', S: 'S', Sm: 'Sm', Sc: 'Sc', Sk: 'Sk', So: 'So', Z: 'Z', Zs: 'Zs', Zl: 'Zl', Zp: 'Zp', C: 'C',
+    Cc: 'Cc', Cf: 'Cf', Cs: 'Cs', Co: 'Co', Cn: 'Cn'
+};
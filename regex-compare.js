@@ -0,0 +1,149 @@
+// RegEx Tester Pro - Pattern Comparison
+// Lines up the matches of two patterns over the same text. Entry types:
+// same, only-a, only-b, boundary (the matches overlap but their spans
+// differ) and groups (same span, different captures). The equivalence check
+// looks for a short string the patterns treat differently, trying samples of
+// both patterns, their one-edit variants and every short string over the
+// patterns' own characters.
+
+class RegexCompare {
+    // matchesA/B as produced by RegexMatcher.run → { entries: [{ type, a, b, start, end, groups }], counts }
+    static diff(matchesA, matchesB) {
+        const entries = [];
+        let i = 0;
+        let j = 0;
+
+        while (i < matchesA.length || j < matchesB.length) {
+            const a = matchesA[i];
+            const b = matchesB[j];
+
+            if (a && b && RegexCompare.overlap(a, b)) {
+                entries.push(RegexCompare.pair(a, b));
+                i++;
+                j++;
+            } else if (a && (!b || a.index < b.index || (a.index === b.index && RegexCompare.end(a) <= RegexCompare.end(b)))) {
+                entries.push(RegexCompare.entry('only-a', a, null));
+                i++;
+            } else {
+                entries.push(RegexCompare.entry('only-b', null, b));
+                j++;
+            }
+        }
+
+        const counts = { same: 0, 'only-a': 0, 'only-b': 0, boundary: 0, groups: 0 };
+        entries.forEach(entry => counts[entry.type]++);
+        return { entries, counts };
+    }
+
+    static pair(a, b) {
+        if (a.index !== b.index || a.match !== b.match) return RegexCompare.entry('boundary', a, b);
+
+        const groups = RegexCompare.groupDifferences(a, b);
+        return RegexCompare.entry(groups.length > 0 ? 'groups' : 'same', a, b, groups);
+    }
+
+    static entry(type, a, b, groups = []) {
+        const matches = [a, b].filter(Boolean);
+        return {
+            type,
+            a,
+            b,
+            start: Math.min(...matches.map(match => match.index)),
+            end: Math.max(...matches.map(match => RegexCompare.end(match))),
+            groups
+        };
+    }
+
+    static end(match) {
+        return match.index + match.match.length;
+    }
+
+    // Empty matches count as covering the position they sit at
+    static overlap(a, b) {
+        const endA = Math.max(RegexCompare.end(a), a.index + 1);
+        const endB = Math.max(RegexCompare.end(b), b.index + 1);
+        return a.index < endB && b.index < endA;
+    }
+
+    // [{ label, a, b }] for numbered groups, then named groups, whose values differ
+    static groupDifferences(a, b) {
+        const differences = [];
+        const count = Math.max(a.groups.length, b.groups.length);
+
+        for (let number = 1; number < count; number++) {
+            if (a.groups[number] !== b.groups[number]) {
+                differences.push({ label: `#${number}`, a: a.groups[number], b: b.groups[number] });
+            }
+        }
+
+        const names = new Set([...Object.keys(a.namedGroups), ...Object.keys(b.namedGroups)]);
+        names.forEach(name => {
+            if (a.namedGroups[name] !== b.namedGroups[name]) {
+                differences.push({ label: name, a: a.namedGroups[name], b: b.namedGroups[name] });
+            }
+        });
+        return differences;
+    }
+
+    // a/b: { pattern, flags }. Tries the shortest candidates first until one
+    // tells the patterns apart or the time budget runs out.
+    // → { text, difference, tried, complete } where text is null if none was found
+    static findCounterexample(a, b, options = {}) {
+        const budget = options.budget || RegexCompare.SEARCH_BUDGET;
+        const maxLength = options.maxLength || RegexCompare.MAX_COUNTEREXAMPLE_LENGTH;
+        const deadline = performance.now() + budget;
+        const candidates = RegexCompare.candidates(a, b, maxLength, options.random);
+
+        let tried = 0;
+        for (const text of candidates) {
+            if (performance.now() > deadline) return { text: null, difference: null, tried, complete: false };
+            tried++;
+
+            const { entries } = RegexCompare.diff(
+                RegexMatcher.run(a.pattern, a.flags, text).matches,
+                RegexMatcher.run(b.pattern, b.flags, text).matches
+            );
+            const difference = entries.find(entry => entry.type !== 'same');
+            if (difference) return { text, difference, tried, complete: false };
+        }
+        return { text: null, difference: null, tried, complete: true };
+    }
+
+    // Distinct candidate strings, shortest first
+    static candidates(a, b, maxLength, random) {
+        const alphabet = RegexSampler.alphabet([a, b]);
+        const found = new Set(['']);
+
+        // Every string up to SHORT_LENGTH characters over the alphabet
+        let layer = [''];
+        for (let length = 1; length <= RegexCompare.SHORT_LENGTH; length++) {
+            layer = layer.flatMap(prefix => alphabet.map(ch => prefix + ch));
+            layer.forEach(string => found.add(string));
+        }
+
+        [a, b].forEach(({ pattern, flags }) => {
+            let sampler;
+            try {
+                sampler = new RegexSampler(pattern, flags, { random });
+            } catch (error) {
+                return;
+            }
+            sampler.samples(RegexCompare.SAMPLES, maxLength).forEach(sample => {
+                found.add(sample);
+                RegexSampler.mutations(sample, alphabet, RegexCompare.MUTATIONS).forEach(variant => found.add(variant));
+            });
+        });
+
+        return [...found].sort((x, y) => x.length - y.length);
+    }
+}
+
+RegexCompare.SEARCH_BUDGET = 1500;
+// How long past its budget a search in a worker may run before it is stopped
+RegexCompare.SEARCH_GRACE = 1000;
+RegexCompare.MAX_COUNTEREXAMPLE_LENGTH = 24;
+// On the page a single candidate can't be interrupted, so patterns at risk of backtracking get shorter ones
+RegexCompare.RISKY_COUNTEREXAMPLE_LENGTH = 12;
+RegexCompare.SHORT_LENGTH = 3;
+RegexCompare.SAMPLES = 150;
+RegexCompare.MUTATIONS = 60;
@@ -0,0 +1,532 @@
+// RegEx Tester Pro - Flavor Compatibility
+// Parses a pattern with the extended syntax and checks every construct
+// against a table of what other engines support. Each finding is
+// { name, token, start, end, support } where support maps a flavor to
+// { status: 'ok' | 'note' | 'rewrite' | 'unsupported', note?, edit? }.
+
+class RegexCompatibility {
+    constructor(pattern, flags = '') {
+        this.pattern = pattern;
+        this.flags = flags;
+        this.unicode = /[uv]/.test(flags);
+        this.ast = RegexParser.parse(pattern, flags, { extended: true });
+        this.features = [];
+        this.leadingFlags = this.findLeadingFlags();
+    }
+
+    static check(pattern, flags = '') {
+        return new RegexCompatibility(pattern, flags).check();
+    }
+
+    check() {
+        this.checkFlags();
+        this.visit(this.ast.body, false);
+
+        return {
+            features: this.features,
+            flavors: Object.keys(RegexCompatibility.FLAVORS).map(flavor => this.summarize(flavor))
+        };
+    }
+
+    // support values: true (ok), false (unsupported), a string (rewrite the
+    // range to it) or { note } (works with a caveat)
+    record(name, node, support, range = node) {
+        const normalized = {};
+
+        Object.keys(RegexCompatibility.FLAVORS).forEach(flavor => {
+            const value = support[flavor];
+            if (value === true || value === undefined) {
+                normalized[flavor] = { status: 'ok' };
+            } else if (value === false) {
+                normalized[flavor] = { status: 'unsupported' };
+            } else if (typeof value === 'string') {
+                normalized[flavor] = { status: 'rewrite', edit: { start: range.start, end: range.end, text: value } };
+            } else if (value.flags !== undefined) {
+                normalized[flavor] = { status: 'rewrite', edit: { start: range.start, end: range.end, text: value.text }, flags: value.flags };
+            } else {
+                normalized[flavor] = { status: 'note', note: value.note };
+            }
+        });
+
+        if (Object.values(normalized).every(entry => entry.status === 'ok')) return;
+
+        this.features.push({
+            name,
+            token: this.pattern.slice(node.start, node.end),
+            start: node.start,
+            end: node.end,
+            support: normalized
+        });
+    }
+
+    summarize(flavor) {
+        const issues = this.features.filter(feature => ['rewrite', 'unsupported'].includes(feature.support[flavor].status));
+        const notes = this.features.filter(feature => feature.support[flavor].status === 'note');
+        let status = 'compatible';
+        if (issues.length > 0) {
+            status = issues.every(feature => feature.support[flavor].status === 'rewrite') ? 'rewritable' : 'incompatible';
+        }
+
+        const summary = { id: flavor, name: RegexCompatibility.FLAVORS[flavor], status, issues, notes };
+        if (status === 'rewritable') {
+            Object.assign(summary, this.rewrite(issues.map(feature => feature.support[flavor])));
+        }
+        return summary;
+    }
+
+    rewrite(entries) {
+        let pattern = this.pattern;
+        let flags = this.flags;
+
+        // Apply from the end so earlier offsets stay valid; zero-width inserts go first at a tie
+        entries
+            .map(entry => entry.edit)
+            .sort((a, b) => b.start - a.start || b.end - a.end)
+            .forEach(edit => {
+                pattern = pattern.slice(0, edit.start) + edit.text + pattern.slice(edit.end);
+            });
+
+        entries.forEach(entry => {
+            [...(entry.flags || '')].forEach(flag => {
+                if (!flags.includes(flag)) flags += flag;
+            });
+        });
+
+        return { rewrite: pattern, rewriteFlags: flags };
+    }
+
+    // (?i) before anything else can become a flag in JavaScript
+    findLeadingFlags() {
+        const body = this.ast.body;
+        const first = body.type === 'disjunction' ? body.alternatives[0] : body;
+        const leading = new Set();
+
+        for (const term of first.terms) {
+            if (term.type !== 'inline-flags') break;
+            leading.add(term);
+        }
+        return leading;
+    }
+
+    checkFlags() {
+        const inline = ['i', 'm', 's'].filter(flag => this.flags.includes(flag)).join('');
+        const range = { start: 0, end: 0 };
+
+        if (inline) {
+            const prefix = `(?${inline})`;
+            this.features.push({
+                name: 'Flags',
+                token: `/${inline}`,
+                start: 0,
+                end: 0,
+                support: {
+                    javascript: { status: 'ok' },
+                    pcre: { status: 'rewrite', edit: { ...range, text: prefix } },
+                    python: { status: 'rewrite', edit: { ...range, text: prefix } },
+                    go: { status: 'rewrite', edit: { ...range, text: prefix } },
+                    posix: { status: 'note', note: 'Pass REG_ICASE / REG_NEWLINE to regcomp() instead' }
+                }
+            });
+        }
+
+        if (this.flags.includes('y')) {
+            this.features.push({
+                name: 'Sticky flag',
+                token: '/y',
+                start: 0,
+                end: 0,
+                support: {
+                    javascript: { status: 'ok' },
+                    pcre: { status: 'unsupported' },
+                    python: { status: 'unsupported' },
+                    go: { status: 'unsupported' },
+                    posix: { status: 'unsupported' }
+                }
+            });
+        }
+    }
+
+    visit(node, inClass) {
+        switch (node.type) {
+            case 'disjunction':
+                node.alternatives.forEach(alternative => this.visit(alternative, false));
+                break;
+            case 'alternative':
+                node.terms.forEach(term => this.visit(term, false));
+                break;
+            case 'group':
+                this.visitGroup(node);
+                this.visit(node.body, false);
+                break;
+            case 'quantifier':
+                this.visitQuantifier(node);
+                this.visit(node.body, false);
+                break;
+            case 'class':
+                this.visitClass(node);
+                break;
+            case 'range':
+                this.visit(node.from, true);
+                this.visit(node.to, true);
+                break;
+            case 'char':
+                this.visitChar(node, inClass);
+                break;
+            case 'escape-class':
+                this.visitEscapeClass(node, inClass);
+                break;
+            case 'property':
+                this.visitProperty(node);
+                break;
+            case 'posix-class':
+                this.visitPosixClass(node);
+                break;
+            case 'assertion':
+                this.visitAssertion(node);
+                break;
+            case 'backreference':
+                this.visitBackreference(node);
+                break;
+            case 'inline-flags':
+                this.visitInlineFlags(node);
+                break;
+            case 'class-strings':
+                this.record('Class strings \\q{...}', node, { pcre: false, python: false, go: false, posix: false });
+                break;
+        }
+    }
+
+    visitGroup(node) {
+        const opener = { start: node.start, end: node.body.start };
+
+        switch (node.kind) {
+            case 'capture':
+                if (node.name === undefined) return;
+                if (node.syntax === 'python') {
+                    this.record('Named group (?P<name>)', node, {
+                        javascript: `(?<${node.name}>`,
+                        posix: '('
+                    }, opener);
+                } else {
+                    this.record('Named group (?<name>)', node, {
+                        python: `(?P<${node.name}>`,
+                        go: `(?P<${node.name}>`,
+                        posix: '('
+                    }, opener);
+                }
+                break;
+            case 'noncapture':
+                if (node.modifiers) {
+                    this.record('Modifier group (?i:...)', node, {
+                        javascript: { note: 'New in ES2025; older browsers and Node.js reject it' },
+                        posix: false
+                    });
+                } else {
+                    this.record('Non-capturing group', node, { posix: '(' }, opener);
+                }
+                break;
+            case 'atomic':
+                this.record('Atomic group', node, {
+                    javascript: false,
+                    python: { note: 'Python 3.11 or later' },
+                    go: false,
+                    posix: false
+                });
+                break;
+            case 'lookahead':
+            case 'negative-lookahead':
+                this.record('Lookahead', node, { go: false, posix: false });
+                break;
+            default:
+                this.record('Lookbehind', node, {
+                    pcre: this.pcreLookbehind(node),
+                    python: RegexParser.width(node.body).min === RegexParser.width(node.body).max,
+                    go: false,
+                    posix: false
+                });
+        }
+    }
+
+    // Older PCRE wants every top-level alternative to be fixed-length
+    pcreLookbehind(node) {
+        const alternatives = node.body.type === 'disjunction' ? node.body.alternatives : [node.body];
+        const widths = alternatives.map(alternative => RegexParser.width(alternative));
+        if (widths.some(width => width.max === Infinity)) return false;
+        if (widths.every(width => width.min === width.max)) return true;
+        return { note: 'Variable-length lookbehind needs PCRE2 10.43 or later' };
+    }
+
+    visitQuantifier(node) {
+        const range = { start: node.quantifierStart, end: node.end };
+
+        if (node.possessive) {
+            this.record('Possessive quantifier', range, {
+                javascript: false,
+                python: { note: 'Python 3.11 or later' },
+                go: false,
+                posix: false
+            });
+        } else if (!node.greedy) {
+            this.record('Lazy quantifier', range, { posix: false });
+        }
+
+        if (node.min > 1000 || (node.max !== Infinity && node.max > 1000)) {
+            this.record('Repetition count over 1000', range, { go: false });
+        }
+    }
+
+    visitClass(node) {
+        if (node.operation && node.operation !== 'union') {
+            this.record('Class set operation', node, { pcre: false, python: false, go: false, posix: false });
+        }
+
+        if (node.items.length === 0) {
+            if (node.negated) {
+                this.record('Match-anything class [^]', node, {
+                    pcre: '[\\s\\S]',
+                    python: '[\\s\\S]',
+                    go: '[\\s\\S]',
+                    posix: false
+                });
+            } else {
+                this.record('Empty class []', node, {
+                    pcre: '(?!)',
+                    python: '(?!)',
+                    go: '[^\\x00-\\x{10FFFF}]',
+                    posix: false
+                });
+            }
+            return;
+        }
+
+        node.items.forEach(item => {
+            if (item.type === 'class') {
+                this.record('Nested class', item, { pcre: false, python: false, go: false, posix: false });
+            }
+            this.visit(item, true);
+        });
+    }
+
+    visitChar(node, inClass) {
+        const value = node.value;
+        const hex = value.toString(16).toUpperCase();
+        const hex2 = `\\x${hex.padStart(2, '0')}`;
+        const braced = `\\x{${hex}}`;
+        const python = value <= 0xFFFF ? `\\u${hex.padStart(4, '0')}` : `\\U${hex.padStart(8, '0')}`;
+
+        switch (node.kind) {
+            case 'escape':
+                if (value === 8) {
+                    this.record('Backspace [\\b]', node, { go: hex2, posix: false });
+                } else {
+                    this.record('Control character escape', node, {
+                        pcre: value === 11 ? hex2 : true,
+                        posix: false
+                    });
+                }
+                break;
+            case 'control':
+                this.record('Control escape \\cX', node, { python: hex2, go: hex2, posix: false });
+                break;
+            case 'null':
+                this.record('Null escape \\0', node, { go: hex2, posix: false });
+                break;
+            case 'octal':
+                this.record('Legacy octal escape', node, { pcre: hex2, python: hex2, go: hex2, posix: false });
+                break;
+            case 'hex':
+                this.record('Hex escape \\xHH', node, { posix: false });
+                break;
+            case 'unicode':
+                this.record('Unicode escape \\uXXXX', node, {
+                    pcre: braced,
+                    python: value > 0xFFFF ? python : true,
+                    go: braced,
+                    posix: false
+                });
+                break;
+            case 'codepoint':
+                this.record('Code point escape \\u{...}', node, { pcre: braced, python, go: braced, posix: false });
+                break;
+            case 'hex-braced': {
+                let javascript = false;
+                if (value <= 0xFFFF) javascript = `\\u${hex.padStart(4, '0')}`;
+                else if (this.unicode) javascript = `\\u{${hex}}`;
+                this.record('Braced hex escape \\x{...}', node, { javascript, python, posix: false });
+                break;
+            }
+            case 'identity': {
+                const ch = String.fromCodePoint(value);
+                if (/[A-Za-z0-9]/.test(ch)) {
+                    // Annex B lets JavaScript escape letters that mean something elsewhere
+                    this.record('Escaped letter or digit', node, { pcre: ch, python: ch, go: ch, posix: ch });
+                } else if (value > 0x7F) {
+                    this.record('Escaped non-ASCII character', node, { go: ch, posix: ch });
+                } else if (inClass) {
+                    // Bracket expressions in ERE have no escapes at all
+                    this.record('Escape inside bracket expression', node, { posix: ']\\^-'.includes(ch) ? false : ch });
+                }
+                break;
+            }
+        }
+    }
+
+    visitEscapeClass(node, inClass) {
+        const letter = { digit: 'd', word: 'w', space: 's' }[node.kind];
+        const posix = { digit: '0-9', word: '[:alnum:]_', space: '[:space:]' }[node.kind];
+        let posixRewrite;
+
+        if (inClass) {
+            posixRewrite = node.negated ? false : posix;
+        } else {
+            posixRewrite = `[${node.negated ? '^' : ''}${posix}]`;
+        }
+
+        this.record(`Shorthand class \\${letter}`, node, {
+            python: node.kind === 'space' ? true : { note: 'Matches non-ASCII digits and letters too' },
+            posix: posixRewrite
+        });
+    }
+
+    visitProperty(node) {
+        const categories = RegexCodeGenerator.GENERAL_CATEGORIES;
+        const prefix = node.negated ? '\\P' : '\\p';
+        const isScriptKey = ['Script', 'sc', 'Script_Extensions', 'scx'].includes(node.name);
+        const isCategoryKey = ['General_Category', 'gc'].includes(node.name);
+
+        let kind = 'binary';
+        if (node.value !== undefined) {
+            kind = isCategoryKey ? 'category' : isScriptKey ? 'script' : 'unknown';
+        } else if (categories[node.name]) {
+            kind = 'category';
+        } else if (RegexCompatibility.isScript(node.name)) {
+            kind = 'script';
+        }
+
+        const value = node.value !== undefined ? node.value : node.name;
+        const short = kind === 'category' ? categories[value] : value;
+        const bare = `${prefix}{${short}}`;
+
+        let javascript;
+        if (!this.unicode) {
+            javascript = false;
+        } else if (RegexCompatibility.isValidProperty(node.name, node.value)) {
+            javascript = true;
+        } else if (kind === 'script') {
+            javascript = `${prefix}{Script=${value}}`;
+        } else {
+            javascript = false;
+        }
+
+        let go = false;
+        if (kind === 'category') go = node.value === undefined && short === node.name ? true : bare;
+        if (kind === 'script') go = node.value === undefined ? true : bare;
+
+        let pcre = true;
+        if (kind === 'category' || kind === 'script') pcre = node.value === undefined && short === node.name ? true : bare;
+
+        this.record('Unicode property \\p{...}', node, {
+            javascript,
+            pcre,
+            python: false,
+            go,
+            posix: false
+        });
+    }
+
+    visitPosixClass(node) {
+        const ranges = RegexCompatibility.POSIX_CLASSES[node.name];
+        const rewrite = node.negated || !ranges ? false : ranges;
+        this.record('POSIX class [[:name:]]', node, { javascript: rewrite, python: rewrite });
+    }
+
+    visitAssertion(node) {
+        switch (node.kind) {
+            case 'word-boundary':
+            case 'non-word-boundary':
+                this.record('Word boundary', node, { posix: false });
+                break;
+            case 'end':
+                // Without multiline, Python and PCRE also let $ match before a final newline
+                if (!this.multiline()) {
+                    this.record('End anchor $', node, { pcre: '\\z', python: '\\Z' });
+                }
+                break;
+            case 'string-start':
+                this.record('Start of string \\A', node, { javascript: '(?<![\\s\\S])', posix: false });
+                break;
+            case 'string-end':
+                this.record('End of string \\z', node, { javascript: '(?![\\s\\S])', python: '\\Z', posix: false });
+                break;
+            case 'string-end-newline':
+                this.record('End before final newline \\Z', node, {
+                    javascript: '(?=\\n?(?![\\s\\S]))',
+                    python: '(?=\\n?\\Z)',
+                    go: false,
+                    posix: false
+                });
+                break;
+        }
+    }
+
+    visitBackreference(node) {
+        if (node.name === undefined) {
+            this.record('Backreference', node, { go: false, posix: false });
+        } else if (node.syntax === 'python') {
+            this.record('Named backreference (?P=name)', node, { javascript: `\\k<${node.name}>`, go: false, posix: false });
+        } else {
+            this.record('Named backreference \\k<name>', node, { python: `(?P=${node.name})`, go: false, posix: false });
+        }
+    }
+
+    visitInlineFlags(node) {
+        const leading = this.leadingFlags.has(node);
+        this.record('Inline flags (?i)', node, {
+            javascript: leading && !node.remove ? { text: '', flags: node.add } : false,
+            python: leading,
+            posix: false
+        });
+    }
+
+    multiline() {
+        return this.flags.includes('m') || [...this.leadingFlags].some(node => node.add.includes('m') && !node.remove.includes('m'));
+    }
+
+    static isValidProperty(name, value) {
+        try {
+            new RegExp(`\\p{${value !== undefined ? `${name}=${value}` : name}}`, 'u');
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    static isScript(name) {
+        return RegexCompatibility.isValidProperty('Script', name);
+    }
+}
+
+RegexCompatibility.FLAVORS = {
+    javascript: 'JavaScript',
+    pcre: 'PCRE',
+    python: 'Python re',
+    go: 'Go RE2',
+    posix: 'POSIX ERE'
+};
+
+// ASCII equivalents of POSIX bracket classes for flavors without them
+RegexCompatibility.POSIX_CLASSES = {
+    alpha: 'a-zA-Z',
+    digit: '0-9',
+    alnum: 'a-zA-Z0-9',
+    upper: 'A-Z',
+    lower: 'a-z',
+    space: ' \\t\\n\\r\\f\\v',
+    blank: ' \\t',
+    punct: '!-\\/:-@\\[-`{-~',
+    xdigit: '0-9A-Fa-f',
+    cntrl: '\\x00-\\x1F\\x7F',
+    print: '\\x20-\\x7E',
+    graph: '\\x21-\\x7E',
+    word: '\\w'
+};
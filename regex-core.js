@@ -0,0 +1,107 @@
+// RegEx Tester Pro - Headless Core
+// The matching, test suite, analysis, fixture, library and export modules behind one
+// API that needs no DOM, for Node scripts and the regex-tester command line.
+// Each module requires what it needs, so nothing is added to the host's globals.
+
+const RegexParser = require('./regex-parser.js');
+const RegexMatcher = require('./regex-matcher.js');
+const RegexTestSuite = require('./regex-suite.js');
+const RegexAnalyzer = require('./regex-analyzer.js');
+const RegexSampler = require('./regex-sampler.js');
+const RegexFuzz = require('./regex-fuzz.js');
+const RegexLibrary = require('./regex-library.js');
+const RegexExport = require('./regex-export.js');
+
+class RegexCore {
+    // Matches one input → a run as RegexExport takes it. Throws a SyntaxError for an invalid pattern.
+    // options: { source, replacement, perLine, analyze }
+    static run(pattern, flags, text, options = {}) {
+        new RegExp(pattern, flags);
+
+        const result = options.perLine
+            ? RegexMatcher.runLines(pattern, flags, text)
+            : RegexMatcher.run(pattern, flags, text);
+        const replacing = typeof options.replacement === 'string';
+
+        const run = {
+            source: options.source || null,
+            regex: pattern,
+            flags,
+            mode: options.perLine ? 'lines' : replacing ? 'replace' : 'match',
+            text,
+            matches: result.matches,
+            groupNames: RegexCore.groupNames(pattern, flags),
+            executionTime: result.executionTime,
+            replacement: replacing
+                ? { template: options.replacement, ...RegexMatcher.replace(text, result.matches, options.replacement) }
+                : null,
+            lines: result.lines || null
+        };
+        if (options.analyze) run.analysis = RegexCore.analyze(pattern, flags);
+        return run;
+    }
+
+    static groupNames(pattern, flags) {
+        try {
+            return RegexParser.parse(pattern, flags).captures.map(group => group.name);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // format is txt, json or csv; runs is one run or a list of them
+    static export(format, runs) {
+        if (!RegexCore.FORMATS.includes(format)) {
+            throw new Error(`Unknown format "${format}", expected one of ${RegexCore.FORMATS.join(', ')}`);
+        }
+        return format === 'txt' ? RegexExport.text(runs) : RegexExport[format](runs);
+    }
+
+    static analyze(pattern, flags = '') {
+        return RegexAnalyzer.analyze(pattern, flags);
+    }
+
+    // Matching strings and near misses → { matching, nearMisses, tried, timedOut }
+    // options: { count, maxLength, random, budget }
+    static fuzz(pattern, flags, options = {}) {
+        return RegexFuzz.generate(pattern, flags, options);
+    }
+
+    // source uses the test suite syntax (+ should match, - should not) → { results, passed, failed }
+    static test(pattern, flags, source) {
+        new RegExp(pattern, flags);
+        return RegexTestSuite.run(pattern, flags, RegexTestSuite.parse(source));
+    }
+
+    // Runs the tests of every pattern in a library export, the file the
+    // library dialog saves → [{ entry, suite, error }] for the entries with tests
+    static testLibrary(data) {
+        // Nothing is persisted; import() only needs somewhere to write
+        const library = new RegexLibrary({ getItem: () => null, setItem: () => {} });
+        library.import(data);
+
+        return library.custom
+            .filter(entry => entry.tests.trim())
+            .map(entry => {
+                try {
+                    return { entry, suite: RegexCore.test(entry.regex, entry.flags, entry.tests), error: null };
+                } catch (error) {
+                    return { entry, suite: null, error: error.message };
+                }
+            });
+    }
+}
+
+RegexCore.FORMATS = ['txt', 'json', 'csv'];
+
+module.exports = {
+    RegexCore,
+    RegexParser,
+    RegexMatcher,
+    RegexTestSuite,
+    RegexAnalyzer,
+    RegexSampler,
+    RegexFuzz,
+    RegexLibrary,
+    RegexExport
+};
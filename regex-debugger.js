@@ -0,0 +1,330 @@
+// RegEx Tester Pro - Step-Through Debugger
+// A backtracking matcher over the RegexParser AST that follows the
+// ECMAScript matching semantics (ordered alternation, greedy and lazy
+// repetition with the empty-iteration check, atomic lookarounds, lookbehind
+// matching right to left) and records every step it takes, so a run can be
+// replayed forwards and backwards. Single atoms are tested by the engine
+// itself through a sticky one-atom RegExp, so classes, case folding and
+// Unicode properties behave exactly as in a real match.
+//
+// A step is { type, start, end, pos, span, attempt, captures, backtracks,
+// message }: start/end locate the pattern token, pos is the input position
+// and span the input range the step consumed or tested. type is one of
+// attempt, consume, assert, fail, backtrack, capture, match or no-match.
+
+class RegexDebugger {
+    constructor(pattern, flags) {
+        this.ast = RegexParser.parse(pattern, flags);
+        this.pattern = pattern;
+        this.flags = flags;
+        this.unicode = flags.includes('u') || flags.includes('v');
+        this.atoms = new Map();
+        this.groupNumbers = new Map();
+    }
+
+    // Traces one exec() from position start: { steps, match, backtracks, truncated }
+    static trace(pattern, flags, text, { start = 0, maxSteps = RegexDebugger.MAX_STEPS } = {}) {
+        return new RegexDebugger(pattern, flags).run(text, start, maxSteps);
+    }
+
+    run(text, start, maxSteps) {
+        this.text = text;
+        this.maxSteps = maxSteps;
+        this.steps = [];
+        this.backtracks = 0;
+
+        let match = null;
+        let truncated = null;
+        const sticky = this.flags.includes('y');
+
+        try {
+            for (let index = start; index <= text.length; index = this.nextIndex(index)) {
+                this.attempt = index;
+                const captures = new Array(this.ast.groupCount + 1).fill(null);
+                this.record('attempt', this.ast, index, captures, `Try to match at position ${index}`);
+
+                const result = this.match(this.ast.body, index, captures, this.flags, 1, (pos, caps) => ({ pos, caps }));
+                if (result) {
+                    match = { index, end: result.pos, captures: result.caps };
+                    this.record('match', this.ast, result.pos, result.caps,
+                        `Match found at ${index}-${result.pos}: ${RegexDebugger.quote(text.slice(index, result.pos))}`,
+                        [index, result.pos]);
+                    break;
+                }
+                if (sticky) break;
+            }
+            if (!match) {
+                this.record('no-match', null, text.length, [], sticky
+                    ? `No match at position ${start} (the y flag only tries there)`
+                    : 'No match at any position');
+            }
+        } catch (error) {
+            if (error === RegexDebugger.LIMIT) {
+                truncated = `Stopped after ${maxSteps} steps`;
+            } else if (error instanceof RangeError) {
+                truncated = 'Stopped: the input is too long to trace';
+            } else {
+                throw error;
+            }
+        }
+
+        return { steps: this.steps, match, backtracks: this.backtracks, truncated };
+    }
+
+    // k(pos, captures) continues with the rest of the pattern and returns
+    // the final result or null. dir is 1, or -1 inside a lookbehind.
+    match(node, pos, caps, flags, dir, k) {
+        switch (node.type) {
+            case 'alternative':
+                return this.matchSequence(node.terms, dir === 1 ? 0 : node.terms.length - 1, pos, caps, flags, dir, k);
+            case 'disjunction':
+                return this.matchDisjunction(node, pos, caps, flags, dir, k);
+            case 'group':
+                return this.matchGroup(node, pos, caps, flags, dir, k);
+            case 'quantifier':
+                return this.matchQuantifier(node, 0, pos, caps, flags, dir, k);
+            case 'backreference':
+                return this.matchBackreference(node, pos, caps, flags, dir, k);
+            case 'assertion':
+                return this.matchAssertion(node, pos, caps, flags, k);
+            case 'inline-flags':
+                return k(pos, caps);
+            default:
+                return this.matchAtom(node, pos, caps, flags, dir, k);
+        }
+    }
+
+    matchSequence(terms, i, pos, caps, flags, dir, k) {
+        if (i < 0 || i >= terms.length) return k(pos, caps);
+        return this.match(terms[i], pos, caps, flags, dir,
+            (next, nextCaps) => this.matchSequence(terms, i + dir, next, nextCaps, flags, dir, k));
+    }
+
+    matchDisjunction(node, pos, caps, flags, dir, k) {
+        const count = node.alternatives.length;
+        for (let i = 0; i < count; i++) {
+            if (i > 0) {
+                this.backtrack(node.alternatives[i], pos, caps, `Backtrack: try alternative ${i + 1} of ${count}`);
+            }
+            const result = this.match(node.alternatives[i], pos, caps, flags, dir, k);
+            if (result) return result;
+        }
+        return null;
+    }
+
+    matchGroup(node, pos, caps, flags, dir, k) {
+        if (node.kind === 'capture') {
+            return this.match(node.body, pos, caps, flags, dir, (next, inner) => {
+                const span = dir === 1 ? [pos, next] : [next, pos];
+                const updated = inner.slice();
+                updated[node.number] = span;
+                this.record('capture', node, next, updated,
+                    `${node.name ? `Group ${node.name} (#${node.number})` : `Group #${node.number}`} captured ${RegexDebugger.quote(this.text.slice(span[0], span[1]))}`,
+                    span);
+                return k(next, updated);
+            });
+        }
+
+        if (node.kind.includes('look')) {
+            const behind = node.kind.includes('lookbehind');
+            const negative = node.kind.startsWith('negative');
+            const label = behind ? 'Lookbehind' : 'Lookahead';
+
+            // Lookarounds are atomic: only their first way of matching counts
+            const result = this.match(node.body, pos, caps, flags, behind ? -1 : 1, (next, inner) => ({ pos: next, caps: inner }));
+            if (negative ? result : !result) {
+                this.record('fail', node, pos, caps, negative ? `Negative ${label.toLowerCase()} matched, so it fails` : `${label} failed`);
+                return null;
+            }
+            this.record('assert', node, pos, caps, negative ? `Negative ${label.toLowerCase()} found no match` : `${label} matched`);
+            return k(pos, negative ? caps : result.caps);
+        }
+
+        // Non-capturing, possibly with (?ims-ims:) modifiers
+        let groupFlags = flags;
+        if (node.modifiers) {
+            groupFlags = flags.replace(new RegExp(`[${node.modifiers.remove}${node.modifiers.add}]`, 'g'), '') + node.modifiers.add;
+        }
+        return this.match(node.body, pos, caps, groupFlags, dir, k);
+    }
+
+    matchQuantifier(node, count, pos, caps, flags, dir, k) {
+        if (count >= node.max) return k(pos, caps);
+
+        const iterate = () => {
+            // Each repetition starts with the body's groups unset
+            const cleared = this.clearCaptures(node.body, caps);
+            return this.match(node.body, pos, cleared, flags, dir, (next, inner) => {
+                // An optional repetition that consumed nothing ends the loop
+                if (count >= node.min && next === pos) return null;
+                return this.matchQuantifier(node, count + 1, next, inner, flags, dir, k);
+            });
+        };
+
+        if (count < node.min) return iterate();
+
+        const source = this.pattern.slice(node.start, node.end);
+        if (node.greedy) {
+            const result = iterate();
+            if (result) return result;
+            this.backtrack(node, pos, caps, `Backtrack: ${source} settles for ${count} ${count === 1 ? 'repetition' : 'repetitions'}`);
+            return k(pos, caps);
+        }
+
+        const result = k(pos, caps);
+        if (result) return result;
+        this.backtrack(node, pos, caps, `Backtrack: lazy ${source} tries repetition ${count + 1}`);
+        return iterate();
+    }
+
+    matchBackreference(node, pos, caps, flags, dir, k) {
+        // A duplicate name refers to whichever of its groups took part
+        const numbers = node.number !== undefined
+            ? [node.number]
+            : this.ast.captures.filter(group => group.name === node.name).map(group => group.number);
+        const span = numbers.map(number => caps[number]).find(Boolean);
+
+        if (!span || span[0] === span[1]) {
+            this.record('consume', node, pos, caps, `${span ? 'Group is empty' : 'Group has not matched'}, so the backreference matches nothing`);
+            return k(pos, caps);
+        }
+
+        const value = this.text.slice(span[0], span[1]);
+        const from = dir === 1 ? pos : pos - value.length;
+        const regex = this.stickyRegex(`br:${value}`, value.replace(/[\\^$.*+?()[\]{}|/]/g, '\\$&'), flags);
+        const found = from >= 0 ? this.execAt(regex, from) : null;
+
+        if (!found) {
+            this.record('fail', node, pos, caps, `Backreference ${RegexDebugger.quote(value)} does not match here`);
+            return null;
+        }
+        const next = dir === 1 ? pos + value.length : from;
+        this.record('consume', node, next, caps, `Backreference matched ${RegexDebugger.quote(value)}`, [from, from + value.length]);
+        return k(next, caps);
+    }
+
+    matchAssertion(node, pos, caps, flags, k) {
+        const source = this.pattern.slice(node.start, node.end);
+        const regex = this.stickyRegex(`${node.start}`, source, flags);
+
+        if (!this.execAt(regex, pos)) {
+            this.record('fail', node, pos, caps, `${source} does not hold at position ${pos}`);
+            return null;
+        }
+        this.record('assert', node, pos, caps, `${source} holds at position ${pos}`);
+        return k(pos, caps);
+    }
+
+    matchAtom(node, pos, caps, flags, dir, k) {
+        const source = this.pattern.slice(node.start, node.end);
+        const regex = this.stickyRegex(`${node.start}`, source, flags);
+
+        // Going backwards the atom has to end exactly at pos
+        let from = pos;
+        if (dir === -1) {
+            from = pos - 1;
+            if (this.unicode && from > 0 && RegexDebugger.isLowSurrogate(this.text.charCodeAt(from)) &&
+                RegexDebugger.isHighSurrogate(this.text.charCodeAt(from - 1))) {
+                from--;
+            }
+        }
+
+        const found = from >= 0 ? this.execAt(regex, from) : null;
+        const end = found ? from + found[0].length : -1;
+
+        if (!found || (dir === -1 && end !== pos)) {
+            this.record('fail', node, pos, caps, `${source} does not match ${this.describeAt(from)}`,
+                from >= 0 && from < this.text.length ? [from, from + 1] : null);
+            return null;
+        }
+
+        const next = dir === 1 ? end : from;
+        this.record('consume', node, next, caps, `${source} matched ${RegexDebugger.quote(found[0])}`, [from, end]);
+        return k(next, caps);
+    }
+
+    execAt(regex, index) {
+        regex.lastIndex = index;
+        const found = regex.exec(this.text);
+        return found && found.index === index ? found : null;
+    }
+
+    // Only i, m, s, u and v matter for a single atom
+    stickyRegex(key, source, flags) {
+        const atomFlags = flags.replace(/[^imsuv]/g, '');
+        const cacheKey = `${key}/${atomFlags}`;
+        if (!this.atoms.has(cacheKey)) {
+            this.atoms.set(cacheKey, new RegExp(source, `${atomFlags}y`));
+        }
+        return this.atoms.get(cacheKey);
+    }
+
+    clearCaptures(node, caps) {
+        if (!this.groupNumbers.has(node)) {
+            const numbers = [];
+            const walk = (n) => {
+                if (n.type === 'group' && n.kind === 'capture') numbers.push(n.number);
+                if (n.body) walk(n.body);
+                (n.alternatives || n.terms || []).forEach(walk);
+            };
+            walk(node);
+            this.groupNumbers.set(node, numbers);
+        }
+
+        const numbers = this.groupNumbers.get(node);
+        if (numbers.every(number => caps[number] === null)) return caps;
+
+        const cleared = caps.slice();
+        numbers.forEach(number => {
+            cleared[number] = null;
+        });
+        return cleared;
+    }
+
+    nextIndex(index) {
+        if (!this.unicode) return index + 1;
+        return RegexMatcher.advanceIndex(this.text, index, true);
+    }
+
+    describeAt(index) {
+        if (index < 0) return 'the start of the input';
+        if (index >= this.text.length) return 'the end of the input';
+        return RegexDebugger.quote(String.fromCodePoint(this.text.codePointAt(index)));
+    }
+
+    record(type, node, pos, captures, message, span = null) {
+        if (this.steps.length >= this.maxSteps) throw RegexDebugger.LIMIT;
+        this.steps.push({
+            type,
+            start: node ? node.start : null,
+            end: node ? node.end : null,
+            pos,
+            span,
+            attempt: this.attempt,
+            captures,
+            backtracks: this.backtracks,
+            message
+        });
+    }
+
+    backtrack(node, pos, caps, message) {
+        this.backtracks++;
+        this.record('backtrack', node, pos, caps, message);
+    }
+
+    static quote(text) {
+        return JSON.stringify(text.length > 40 ? `${text.slice(0, 37)}...` : text);
+    }
+
+    static isHighSurrogate(code) {
+        return code >= 0xD800 && code <= 0xDBFF;
+    }
+
+    static isLowSurrogate(code) {
+        return code >= 0xDC00 && code <= 0xDFFF;
+    }
+}
+
+RegexDebugger.MAX_STEPS = 20000;
+// Thrown to unwind the matcher once a trace reaches MAX_STEPS
+RegexDebugger.LIMIT = Symbol('step limit');
@@ -0,0 +1,302 @@
+// RegEx Tester Pro - Pattern Explainer
+// Walks a RegexParser AST and produces a plain-English outline.
+// Each entry is { label, start, end, children } with offsets into the pattern.
+
+class RegexExplainer {
+    constructor(ast) {
+        this.ast = ast;
+        this.flags = ast.flags || '';
+    }
+
+    static explain(pattern, flags = '') {
+        return new RegexExplainer(RegexParser.parse(pattern, flags)).explain();
+    }
+
+    explain() {
+        const items = this.describe(this.ast.body);
+        const flagItem = this.describeFlags();
+        return flagItem ? [...items, flagItem] : items;
+    }
+
+    describeFlags() {
+        const names = {
+            d: 'generate match indices',
+            g: 'global - find all matches',
+            i: 'ignore case',
+            m: 'multiline - ^ and $ match at line breaks',
+            s: 'dotAll - . also matches line terminators',
+            u: 'unicode - match by code point',
+            v: 'unicodeSets - unicode with set notation',
+            y: 'sticky - match only at lastIndex'
+        };
+        const flags = this.flags.split('').filter(flag => names[flag]);
+        if (flags.length === 0) return null;
+
+        return {
+            label: `Flags: ${flags.join('')}`,
+            start: this.ast.end,
+            end: this.ast.end,
+            children: flags.map(flag => ({
+                label: `${flag} - ${names[flag]}`,
+                start: this.ast.end,
+                end: this.ast.end,
+                children: []
+            }))
+        };
+    }
+
+    // Returns a list of entries; sequences expand to several entries
+    describe(node) {
+        switch (node.type) {
+            case 'alternative':
+                return this.describeSequence(node.terms);
+            case 'disjunction':
+                return [{
+                    label: `Either one of ${node.alternatives.length} alternatives`,
+                    start: node.start,
+                    end: node.end,
+                    children: node.alternatives.map((alternative, index) => this.entry(
+                        alternative,
+                        alternative.terms.length === 0
+                            ? `Alternative ${index + 1}: the empty string`
+                            : `Alternative ${index + 1}`,
+                        this.describe(alternative)
+                    ))
+                }];
+            default:
+                return [this.describeAtom(node)];
+        }
+    }
+
+    // Runs of plain characters read better as a single literal string
+    describeSequence(terms) {
+        const entries = [];
+        let run = [];
+
+        const flush = () => {
+            if (run.length === 0) return;
+            if (run.length === 1) {
+                entries.push(this.describeAtom(run[0]));
+            } else {
+                const text = run.map(char => String.fromCodePoint(char.value)).join('');
+                entries.push({
+                    label: `Literal text ${this.quote(text)}${this.caseNote()}`,
+                    start: run[0].start,
+                    end: run[run.length - 1].end,
+                    children: []
+                });
+            }
+            run = [];
+        };
+
+        terms.forEach(term => {
+            if (term.type === 'char' && (term.kind === 'literal' || term.kind === 'identity')) {
+                run.push(term);
+            } else {
+                flush();
+                entries.push(this.describeAtom(term));
+            }
+        });
+        flush();
+
+        return entries;
+    }
+
+    describeAtom(node) {
+        switch (node.type) {
+            case 'char':
+                return this.entry(node, this.describeChar(node));
+            case 'dot':
+                return this.entry(node, this.flags.includes('s')
+                    ? 'Any character, including line terminators'
+                    : 'Any character except line terminators');
+            case 'assertion':
+                return this.entry(node, this.describeAssertion(node));
+            case 'escape-class':
+                return this.entry(node, this.describeEscapeClass(node));
+            case 'property':
+                return this.entry(node, this.describeProperty(node));
+            case 'class':
+                return this.describeClass(node);
+            case 'class-strings':
+                return this.entry(node, `One of the strings ${node.strings.map(s => this.quote(s)).join(', ')}`);
+            case 'backreference':
+                return this.entry(node, node.name !== undefined
+                    ? `The same text as most recently captured by group "${node.name}"`
+                    : `The same text as most recently captured by group #${node.number}`);
+            case 'group':
+                return this.describeGroup(node);
+            case 'quantifier':
+                return this.describeQuantifier(node);
+            default:
+                return this.entry(node, 'Unknown construct');
+        }
+    }
+
+    describeGroup(node) {
+        let label;
+        switch (node.kind) {
+            case 'capture':
+                label = node.name !== undefined
+                    ? `Named capturing group "${node.name}" (#${node.number})`
+                    : `Capturing group #${node.number}`;
+                break;
+            case 'noncapture':
+                label = 'Non-capturing group';
+                if (node.modifiers) {
+                    const changes = [];
+                    if (node.modifiers.add) changes.push(`turns on ${node.modifiers.add}`);
+                    if (node.modifiers.remove) changes.push(`turns off ${node.modifiers.remove}`);
+                    label += ` that ${changes.join(' and ')}`;
+                }
+                break;
+            case 'lookahead':
+                label = 'Positive lookahead - asserts that what follows matches';
+                break;
+            case 'negative-lookahead':
+                label = 'Negative lookahead - asserts that what follows does not match';
+                break;
+            case 'lookbehind':
+                label = 'Positive lookbehind - asserts that what precedes matches';
+                break;
+            case 'negative-lookbehind':
+                label = 'Negative lookbehind - asserts that what precedes does not match';
+                break;
+        }
+
+        const children = this.describe(node.body);
+        if (children.length === 0) {
+            children.push({ label: 'Empty - always matches', start: node.body.start, end: node.body.end, children: [] });
+        }
+        return this.entry(node, label, children);
+    }
+
+    describeQuantifier(node) {
+        const repeat = `${this.describeCount(node.min, node.max)}, ${node.greedy ? 'as many as possible (greedy)' : 'as few as possible (lazy)'}`;
+        const body = this.describeAtom(node.body);
+
+        // Simple atoms fold the quantifier into one line
+        if (body.children.length === 0) {
+            return this.entry(node, `${body.label} - ${repeat}`);
+        }
+        return this.entry(node, `Repeat ${repeat}`, [body]);
+    }
+
+    describeCount(min, max) {
+        if (min === 0 && max === Infinity) return 'zero or more times';
+        if (min === 1 && max === Infinity) return 'one or more times';
+        if (min === 0 && max === 1) return 'optionally (zero or one time)';
+        if (max === Infinity) return `${min} or more times`;
+        if (min === max) return `exactly ${min} ${min === 1 ? 'time' : 'times'}`;
+        return `between ${min} and ${max} times`;
+    }
+
+    describeClass(node) {
+        const children = node.items.map(item => this.describeClassItem(item));
+        let label;
+
+        if (node.operation === 'intersection') {
+            label = node.negated ? 'Any character not in all of these sets' : 'Any character in all of these sets';
+        } else if (node.operation === 'subtraction') {
+            label = node.negated
+                ? 'Any character not in the first set minus the others'
+                : 'Any character in the first set but not in the others';
+        } else if (node.items.length === 0) {
+            label = node.negated ? 'Any character at all' : 'Nothing - an empty class never matches';
+        } else {
+            label = node.negated ? 'Any single character NOT in this set' : 'Any single character in this set';
+        }
+
+        return this.entry(node, `${label}${this.caseNote()}`, children);
+    }
+
+    describeClassItem(item) {
+        if (item.type === 'range') {
+            return this.entry(item, `Range ${this.describeCodePoint(item.from.value)} to ${this.describeCodePoint(item.to.value)}`);
+        }
+        return this.describeAtom(item);
+    }
+
+    describeChar(node) {
+        const names = {
+            0: 'Null character',
+            8: 'Backspace character',
+            9: 'Tab character',
+            10: 'Line feed (newline)',
+            11: 'Vertical tab',
+            12: 'Form feed',
+            13: 'Carriage return'
+        };
+
+        if (names[node.value] && node.kind !== 'literal') {
+            return names[node.value];
+        }
+
+        switch (node.kind) {
+            case 'control':
+                return `Control character ${this.formatCodePoint(node.value)}`;
+            case 'hex':
+            case 'unicode':
+            case 'codepoint':
+            case 'octal':
+                return `Character ${this.describeCodePoint(node.value)}`;
+            case 'identity':
+                return `Literal ${this.describeCodePoint(node.value)} (escaped)${this.caseNote()}`;
+            default:
+                return `Literal ${this.describeCodePoint(node.value)}${this.caseNote()}`;
+        }
+    }
+
+    describeAssertion(node) {
+        const multiline = this.flags.includes('m');
+        switch (node.kind) {
+            case 'start':
+                return multiline ? 'Start of a line' : 'Start of the string';
+            case 'end':
+                return multiline ? 'End of a line' : 'End of the string';
+            case 'word-boundary':
+                return 'Word boundary';
+            default:
+                return 'Not a word boundary';
+        }
+    }
+
+    describeEscapeClass(node) {
+        const descriptions = {
+            digit: ['Any digit (0-9)', 'Any character that is not a digit'],
+            word: ['Any word character (letter, digit or underscore)', 'Any character that is not a word character'],
+            space: ['Any whitespace character', 'Any character that is not whitespace']
+        };
+        return descriptions[node.kind][node.negated ? 1 : 0];
+    }
+
+    describeProperty(node) {
+        const property = node.value !== undefined ? `${node.name}=${node.value}` : node.name;
+        return node.negated
+            ? `Any character without the Unicode property ${property}`
+            : `Any character with the Unicode property ${property}`;
+    }
+
+    describeCodePoint(value) {
+        const char = String.fromCodePoint(value);
+        if (value === 32) return '" " (space)';
+        if (/[\p{L}\p{N}\p{P}\p{S}]/u.test(char)) return this.quote(char);
+        return this.formatCodePoint(value);
+    }
+
+    formatCodePoint(value) {
+        return `U+${value.toString(16).toUpperCase().padStart(4, '0')}`;
+    }
+
+    quote(text) {
+        return `"${text}"`;
+    }
+
+    caseNote() {
+        return this.flags.includes('i') ? ' (case-insensitive)' : '';
+    }
+
+    entry(node, label, children = []) {
+        return { label, start: node.start, end: node.end, children };
+    }
+}
@@ -0,0 +1,154 @@
+// RegEx Tester Pro - Result Export
+// Formats match results as text, JSON or CSV for the export dialog and the
+// command line. A run is { source, regex, flags, mode, text, matches,
+// groupNames, replacement, lines, analysis }: matches come from
+// RegexMatcher, replacement is { template, output, replacements } or null,
+// and source, lines and analysis are optional, as are status and error for
+// a batch input that didn't finish. Every format takes a single run or a
+// list of runs of the same pattern over several inputs.
+
+class RegexExport {
+    static text(runs) {
+        const list = RegexExport.list(runs);
+        const [first] = list;
+
+        let content = `RegEx Tester Pro - Export Results\n`;
+        content += `Generated: ${new Date().toLocaleString()}\n`;
+        content += `Pattern: /${first.regex}/${first.flags}\n`;
+        if (first.replacement) {
+            content += `Replacement: ${first.replacement.template}\n`;
+        }
+        if (first.analysis) {
+            content += `Backtracking risk: ${first.analysis.risk}${first.analysis.approximate ? ' (approximate)' : ''}\n`;
+            first.analysis.findings.forEach(finding => {
+                content += `  ${finding.severity}: ${finding.message}\n`;
+            });
+        }
+
+        list.forEach(run => {
+            if (list.length > 1 || run.source) content += `\nInput: ${run.source}\n`;
+            if (run.lines) {
+                const matched = run.lines.filter(line => line.matches > 0).length;
+                content += `Lines matched: ${matched} of ${run.lines.length}\n`;
+            }
+            content += `Matches: ${run.matches.length}\n\n`;
+
+            run.matches.forEach((match, index) => {
+                content += `Match ${index + 1}:\n`;
+                content += `  Text: "${match.match}"\n`;
+                content += `  Position: ${match.index}-${match.index + match.match.length - 1}\n`;
+
+                if (match.groups.length > 1) {
+                    content += `  Groups:\n`;
+                    RegexExport.groupDetails(match, run.groupNames).forEach(group => {
+                        content += `    Group ${RegexExport.formatGroupLabel(group)}: "${group.value || ''}" at ${RegexExport.formatGroupPosition(group)}\n`;
+                    });
+                }
+                content += '\n';
+            });
+
+            if (run.replacement) {
+                content += `Result:\n${run.replacement.output}\n`;
+            }
+        });
+
+        return content;
+    }
+
+    static json(runs) {
+        const data = RegexExport.list(runs).map(run => RegexExport.data(run));
+        return JSON.stringify(Array.isArray(runs) ? data : data[0], null, 2);
+    }
+
+    static data(run) {
+        const data = {
+            regex: run.regex,
+            flags: run.flags,
+            mode: run.mode,
+            testString: run.text,
+            matches: run.matches.map(match => ({
+                ...match,
+                groupDetails: RegexExport.groupDetails(match, run.groupNames)
+            })),
+            timestamp: new Date().toISOString()
+        };
+
+        if (run.source) data.input = run.source;
+        if (run.status) data.status = run.status;
+        if (run.error) data.error = run.error;
+        if (run.lines) data.lines = run.lines;
+        if (run.analysis) data.analysis = run.analysis;
+        if (run.replacement) {
+            data.replacement = {
+                template: run.replacement.template,
+                result: run.replacement.output,
+                replacements: run.replacement.replacements
+            };
+        }
+
+        return data;
+    }
+
+    // With several inputs, the first column names the input each match came from
+    static csv(runs) {
+        const list = RegexExport.list(runs);
+        const withSource = list.length > 1;
+        const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+
+        let csv = withSource ? 'Input,' : '';
+        csv += 'Match,Text,Position,Length,Groups,Group Positions,Named Groups';
+        csv += list.some(run => run.replacement) ? ',Replacement\n' : '\n';
+
+        list.forEach(run => {
+            run.matches.forEach((match, index) => {
+                const details = RegexExport.groupDetails(match, run.groupNames);
+                const groups = details.map(g => g.value || '').join(';');
+                const positions = details.map(g => RegexExport.formatGroupPosition(g)).join(';');
+                const named = details.filter(g => g.name).map(g => `${g.name}=${g.value || ''}`).join(';');
+
+                if (withSource) csv += `${quote(run.source)},`;
+                csv += `${index + 1},${quote(match.match)},${match.index},${match.match.length},${quote(groups)},${quote(positions)},${quote(named)}`;
+                if (run.replacement) {
+                    csv += `,${quote(run.replacement.replacements[index].replacement)}`;
+                }
+                csv += '\n';
+            });
+        });
+
+        return csv;
+    }
+
+    static list(runs) {
+        return Array.isArray(runs) ? runs : [runs];
+    }
+
+    // Exact per-group details for a match, built from match.indices;
+    // groupNames has the name of each capture group, or undefined
+    static groupDetails(match, groupNames = []) {
+        return match.groups.slice(1).map((value, i) => {
+            const number = i + 1;
+            const span = match.indices[number];
+            return {
+                number,
+                name: groupNames[i],
+                value,
+                start: span ? span[0] : null,
+                end: span ? span[1] : null
+            };
+        });
+    }
+
+    static formatGroupLabel(group) {
+        return group.name ? `${group.name} (#${group.number})` : `#${group.number}`;
+    }
+
+    static formatGroupPosition(group) {
+        if (group.start === null) return '-';
+        if (group.start === group.end) return `${group.start} (empty)`;
+        return `${group.start}-${group.end - 1}`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RegexExport;
+}
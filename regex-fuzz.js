@@ -0,0 +1,94 @@
+// RegEx Tester Pro - Fixture Generator
+// Random strings the pattern matches, built from its AST, and near misses:
+// strings one edit away from a match that the pattern rejects. Every string
+// is checked against the real engine the way a test case would be, so the
+// lists can go straight into a test set. Test strings and test cases hold
+// one string per line, so strings with a line break are left out.
+
+class RegexFuzz {
+    // options: { count, maxLength, random, budget }
+    // → { matching, nearMisses: [{ text, from }], tried, timedOut }
+    static generate(pattern, flags, options = {}) {
+        const count = options.count || RegexFuzz.DEFAULT_COUNT;
+        const maxLength = options.maxLength || RegexFuzz.DEFAULT_MAX_LENGTH;
+        const random = options.random || Math.random;
+        const deadline = performance.now() + (options.budget || RegexFuzz.SEARCH_BUDGET);
+
+        const sampler = new RegexFuzz.Sampler(pattern, flags, { random });
+        const accepts = RegexFuzz.acceptor(pattern, flags);
+        const fits = text => !/[\n\r\u2028\u2029]/.test(text) && [...text].length <= maxLength;
+
+        // The sampler ignores anchors and lookarounds, so some samples fail and more are drawn
+        const matching = new Set();
+        let tried = 0;
+        let timedOut = false;
+        for (let i = 0; i < count * RegexFuzz.ATTEMPTS && matching.size < count; i++) {
+            if (performance.now() > deadline) {
+                timedOut = true;
+                break;
+            }
+            const text = sampler.sample(maxLength);
+            if (text === null || matching.has(text) || !fits(text)) continue;
+            tried++;
+            if (accepts(text)) matching.add(text);
+        }
+
+        // Takes near misses from every matching string in turn, so one long sample doesn't supply them all
+        const alphabet = RegexFuzz.Sampler.alphabet([{ pattern, flags }]);
+        const queues = [...matching].map(from => ({
+            from,
+            variants: RegexFuzz.shuffle(RegexFuzz.Sampler.mutations(from, alphabet), random)
+        }));
+        const nearMisses = new Map();
+        while (!timedOut && nearMisses.size < count && queues.some(queue => queue.variants.length > 0)) {
+            if (performance.now() > deadline) {
+                timedOut = true;
+                break;
+            }
+            queues.forEach(queue => {
+                const text = queue.variants.pop();
+                if (text === undefined || nearMisses.size >= count || nearMisses.has(text) || matching.has(text) || !fits(text)) return;
+                tried++;
+                if (!accepts(text)) nearMisses.set(text, { text, from: queue.from });
+            });
+        }
+
+        return {
+            matching: [...matching],
+            nearMisses: [...nearMisses.values()],
+            tried,
+            timedOut
+        };
+    }
+
+    // Whether the pattern finds a match anywhere in the text, as RegexTestSuite decides
+    static acceptor(pattern, flags) {
+        const regex = new RegExp(pattern, flags.replace('g', ''));
+        return text => {
+            regex.lastIndex = 0;
+            return regex.test(text);
+        };
+    }
+
+    static shuffle(items, random) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+}
+
+RegexFuzz.DEFAULT_COUNT = 10;
+RegexFuzz.DEFAULT_MAX_LENGTH = 32;
+RegexFuzz.MAX_COUNT = 200;
+RegexFuzz.MAX_LENGTH = 256;
+RegexFuzz.ATTEMPTS = 20;
+RegexFuzz.SEARCH_BUDGET = 1500;
+
+// The page loads the sampler just before this file
+RegexFuzz.Sampler = typeof module !== 'undefined' && module.exports ? require('./regex-sampler.js') : RegexSampler;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RegexFuzz;
+}
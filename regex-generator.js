@@ -0,0 +1,341 @@
+// RegEx Tester Pro - Pattern Generator
+// Infers patterns from example spans of a text: positives the pattern should
+// match exactly and negatives it should leave alone. Candidates come from
+// aligning the positives' character runs at three levels of detail (so
+// 2024-01-15 gives \d{4}-\d{2}-\d{2} and \d+-\d+-\d+), from per-position
+// character sets when the positives have equal length, and from a factored
+// list of the literals. Every candidate runs over the text itself and is
+// ranked by accuracy first, then specificity and readability.
+
+class RegexGenerator {
+    // examples: [{ start, end, positive }] spans of text
+    // Returns [{ pattern, found, positives, avoided, negatives, otherMatches, specificity, readability, score }]
+    static generate(text, examples, flags = '') {
+        const positives = examples.filter(example => example.positive);
+        const negatives = examples.filter(example => !example.positive);
+        if (positives.length === 0) return [];
+
+        const strings = [...new Set(positives.map(example => text.slice(example.start, example.end)))];
+        const averageLength = strings.reduce((sum, string) => sum + [...string].length, 0) / strings.length;
+        const options = { ignoreCase: flags.includes('i'), unicodeSets: flags.includes('v') };
+        const seen = new Set();
+        const candidates = [];
+
+        RegexGenerator.propose(strings, options).forEach(({ pattern, breadth }) => {
+            if (seen.has(pattern)) return;
+            seen.add(pattern);
+
+            const result = RegexGenerator.score(pattern, flags, text, positives, negatives);
+            if (!result) return;
+
+            // Half how much the pattern could accept, half its unmarked matches in the text,
+            // which only count softly since the user may not have marked every wanted match
+            const specificity = 0.5 / (1 + breadth / (8 * averageLength)) +
+                0.5 / (1 + result.otherMatches / (2 * positives.length));
+            const readability = RegexGenerator.readability(pattern);
+            candidates.push({ pattern, ...result, specificity, readability, score: (specificity + readability) / 2 });
+        });
+
+        return candidates
+            .sort((a, b) => (b.accuracy - a.accuracy) || (b.score - a.score) || (a.pattern.length - b.pattern.length))
+            .slice(0, RegexGenerator.MAX_CANDIDATES);
+    }
+
+    // [{ pattern, breadth }] where breadth estimates, in bits, how much the pattern accepts
+    static propose(strings, options) {
+        const proposals = [];
+        const startsWord = strings.every(string => /^\w/.test(string));
+        const endsWord = strings.every(string => /\w$/.test(string));
+        const add = (pattern, breadth) => {
+            proposals.push({ pattern, breadth });
+            // Word boundaries keep a match from starting or ending inside a longer word
+            if (startsWord || endsWord) {
+                proposals.push({ pattern: `${startsWord ? '\\b' : ''}${pattern}${endsWord ? '\\b' : ''}`, breadth: Math.max(0, breadth - 1) });
+            }
+        };
+
+        RegexGenerator.LEVELS.forEach(level => {
+            const columns = RegexGenerator.align(strings.map(string => RegexGenerator.tokenize(string, level, options)));
+            if (!columns) return;
+            [false, true].forEach(loose => {
+                const parts = columns.map(column => RegexGenerator.renderColumn(column, loose, options));
+                add(parts.map(part => part.source).join(''), parts.reduce((sum, part) => sum + part.breadth, 0));
+            });
+        });
+
+        const positional = RegexGenerator.positional(strings, options);
+        if (positional) add(positional.source, positional.breadth);
+
+        add(RegexGenerator.literals(strings), Math.log2(strings.length));
+
+        const union = RegexGenerator.union(strings, options);
+        const maxLength = Math.max(...strings.map(string => [...string].length));
+        add(`${union.source}+`, Math.log2(union.size) * (maxLength + RegexGenerator.LOOSE_EXTRA));
+
+        return proposals;
+    }
+
+    // Runs of one kind become one token; any other character is a token of its own
+    static tokenize(string, level, options) {
+        const tokens = [];
+        for (const ch of string) {
+            const kind = RegexGenerator.classify(ch, level, options);
+            const last = tokens[tokens.length - 1];
+            if (kind !== 'literal' && last && last.kind === kind) {
+                last.chars.push(ch);
+            } else {
+                tokens.push({ kind, chars: [ch] });
+            }
+        }
+        return tokens;
+    }
+
+    static classify(ch, level, options) {
+        if (/\s/.test(ch)) return 'space';
+        if (level === 'words') return /\w/.test(ch) ? 'word' : 'literal';
+        if (/\d/.test(ch)) return 'digit';
+        if (!/[a-zA-Z]/.test(ch)) return 'literal';
+        if (level === 'letters' || options.ignoreCase) return options.ignoreCase ? 'lower' : 'alpha';
+        return ch === ch.toLowerCase() ? 'lower' : 'upper';
+    }
+
+    // Lines the token lists up column by column, or null when they have different shapes
+    static align(tokenLists) {
+        const length = tokenLists[0].length;
+        if (tokenLists.some(tokens => tokens.length !== length)) return null;
+
+        const columns = [];
+        for (let i = 0; i < length; i++) {
+            let kind = tokenLists[0][i].kind;
+            const chars = new Set();
+            let min = Infinity;
+            let max = 0;
+
+            for (const tokens of tokenLists) {
+                const token = tokens[i];
+                kind = RegexGenerator.joinKinds(kind, token.kind);
+                if (!kind) return null;
+                token.chars.forEach(ch => chars.add(ch));
+                min = Math.min(min, token.chars.length);
+                max = Math.max(max, token.chars.length);
+            }
+            columns.push({ kind, chars, min, max });
+        }
+        return columns;
+    }
+
+    // The narrowest kind covering both, e.g. lower and upper join to alpha
+    static joinKinds(a, b) {
+        if (a === b) return a;
+        if (a === 'literal' || b === 'literal') return null;
+
+        const covers = new Set([...RegexGenerator.KINDS[a].covers, ...RegexGenerator.KINDS[b].covers]);
+        return Object.keys(RegexGenerator.KINDS).find(kind => {
+            const kindCovers = RegexGenerator.KINDS[kind].covers;
+            return [...covers].every(category => kindCovers.includes(category));
+        }) || null;
+    }
+
+    static renderColumn(column, loose, options) {
+        const { kind, chars, min, max } = column;
+
+        if (kind === 'literal') {
+            if (chars.size === 1) return { source: RegexGenerator.escape([...chars][0]), breadth: 0 };
+            return { source: RegexGenerator.classOf([...chars], options), breadth: Math.log2(chars.size) };
+        }
+
+        let source = RegexGenerator.KINDS[kind].source;
+        let size = RegexGenerator.KINDS[kind].size;
+        if (options.ignoreCase && kind === 'alnum') source = '[a-z0-9]';
+        if (kind === 'space' && [...chars].every(ch => ch === ' ')) {
+            source = ' ';
+            size = 1;
+        }
+
+        if (loose) {
+            const single = min === 1 && max === 1;
+            return {
+                source: source + (single ? '' : '+'),
+                breadth: Math.log2(size) * (single ? 1 : min + RegexGenerator.LOOSE_EXTRA)
+            };
+        }
+        return {
+            source: source + RegexGenerator.quantifier(min, max),
+            breadth: Math.log2(size) * max + Math.log2(max - min + 1)
+        };
+    }
+
+    // Equal-length positives: the characters seen at each position, repeats folded into {n}
+    static positional(strings, options) {
+        const split = strings.map(string => [...string]);
+        const length = split[0].length;
+        if (strings.length < 2 || length > RegexGenerator.MAX_POSITIONAL || split.some(chars => chars.length !== length)) {
+            return null;
+        }
+
+        const parts = [];
+        let breadth = 0;
+        for (let i = 0; i < length; i++) {
+            const chars = [...new Set(split.map(chars => chars[i]))].sort();
+            const source = chars.length === 1 ? RegexGenerator.escape(chars[0]) : RegexGenerator.classOf(chars, options);
+            breadth += Math.log2(chars.length);
+
+            const last = parts[parts.length - 1];
+            if (last && last.source === source) {
+                last.count++;
+            } else {
+                parts.push({ source, count: 1 });
+            }
+        }
+        return {
+            source: parts.map(part => part.source + RegexGenerator.quantifier(part.count, part.count)).join(''),
+            breadth
+        };
+    }
+
+    // The positives themselves, with a shared prefix and suffix pulled out of the alternation
+    static literals(strings) {
+        if (strings.length === 1) return RegexGenerator.escapeString(strings[0]);
+
+        const split = strings.map(string => [...string]);
+        const shortest = Math.min(...split.map(chars => chars.length));
+        let prefix = 0;
+        while (prefix < shortest && split.every(chars => chars[prefix] === split[0][prefix])) prefix++;
+        let suffix = 0;
+        while (suffix < shortest - prefix &&
+            split.every(chars => chars[chars.length - 1 - suffix] === split[0][split[0].length - 1 - suffix])) {
+            suffix++;
+        }
+
+        const middles = split.map(chars => chars.slice(prefix, chars.length - suffix).join(''));
+        // Longest first, so a shorter alternative never cuts a longer one short
+        const alternatives = middles.filter(Boolean).sort((a, b) => b.length - a.length).map(RegexGenerator.escapeString);
+        const optional = middles.some(middle => !middle) ? '?' : '';
+        const group = alternatives.length === 1 && optional
+            ? RegexGenerator.quantifiable(alternatives[0]) + optional
+            : `(?:${alternatives.join('|')})${optional}`;
+
+        return RegexGenerator.escapeString(split[0].slice(0, prefix).join('')) + group +
+            RegexGenerator.escapeString(split[0].slice(split[0].length - suffix).join(''));
+    }
+
+    // A class of every kind of character the positives use, for shapes that do not align
+    static union(strings, options) {
+        const all = strings.join('');
+        const parts = [];
+        let size = 0;
+
+        if (/\w/.test(all)) {
+            parts.push('\\w');
+            size += RegexGenerator.KINDS.word.size;
+        }
+        if (/\s/.test(all)) {
+            parts.push('\\s');
+            size += RegexGenerator.KINDS.space.size;
+        }
+        const others = [...new Set([...all].filter(ch => !/[\w\s]/.test(ch)))].sort();
+        const escaped = others.map(ch => RegexGenerator.escapeClassChar(ch, options));
+        size += others.length;
+
+        const items = [...parts, ...escaped];
+        return { source: items.length === 1 && parts.length === 1 ? parts[0] : `[${items.join('')}]`, size };
+    }
+
+    static quantifier(min, max) {
+        if (min === max) return min === 1 ? '' : `{${min}}`;
+        return `{${min},${max}}`;
+    }
+
+    static quantifiable(source) {
+        return [...source].length === 1 || /^\\.$/.test(source) ? source : `(?:${source})`;
+    }
+
+    static classOf(chars, options) {
+        return `[${chars.map(ch => RegexGenerator.escapeClassChar(ch, options)).join('')}]`;
+    }
+
+    static escape(ch) {
+        if (RegexGenerator.CONTROL_ESCAPES[ch]) return RegexGenerator.CONTROL_ESCAPES[ch];
+        if (/[\\^$.*+?()[\]{}|/]/.test(ch)) return `\\${ch}`;
+        if (ch < ' ') return `\\x${ch.charCodeAt(0).toString(16).padStart(2, '0')}`;
+        return ch;
+    }
+
+    static escapeString(string) {
+        return [...string].map(RegexGenerator.escape).join('');
+    }
+
+    // The v flag reserves more punctuation inside classes
+    static escapeClassChar(ch, options) {
+        if (RegexGenerator.CONTROL_ESCAPES[ch]) return RegexGenerator.CONTROL_ESCAPES[ch];
+        if (/[\\\]\[^-]/.test(ch)) return `\\${ch}`;
+        if (options.unicodeSets && /[(){}/|&!#%,:;<=>@`~$*+.?]/.test(ch)) return `\\${ch}`;
+        if (ch < ' ') return `\\x${ch.charCodeAt(0).toString(16).padStart(2, '0')}`;
+        return ch;
+    }
+
+    // Runs the candidate over the text: a positive is found when a match covers exactly
+    // its span, a negative is avoided when no match touches it
+    static score(pattern, flags, text, positives, negatives) {
+        let regex;
+        try {
+            regex = new RegExp(pattern, flags.replace(/[gyd]/g, '') + 'g');
+        } catch (error) {
+            return null;
+        }
+
+        const matches = [];
+        let match;
+        while (matches.length < RegexGenerator.MAX_MATCHES && (match = regex.exec(text)) !== null) {
+            if (match[0] === '') {
+                regex.lastIndex++;
+                continue;
+            }
+            matches.push([match.index, match.index + match[0].length]);
+        }
+
+        const exact = example => matches.some(([start, end]) => start === example.start && end === example.end);
+        const found = positives.filter(exact).length;
+        const avoided = negatives.filter(example =>
+            !matches.some(([start, end]) => start < example.end && end > example.start)
+        ).length;
+        const otherMatches = matches.filter(([start, end]) =>
+            !positives.some(example => example.start === start && example.end === end)
+        ).length;
+
+        return {
+            found,
+            positives: positives.length,
+            avoided,
+            negatives: negatives.length,
+            otherMatches,
+            accuracy: (found + avoided) / (positives.length + negatives.length)
+        };
+    }
+
+    // Short patterns with few alternatives and bracketed classes read best
+    static readability(pattern) {
+        const alternatives = (pattern.match(/(?<!\\)\|/g) || []).length;
+        const classes = (pattern.match(/(?<!\\)\[/g) || []).length;
+        return (1 / (1 + pattern.length / 40)) * Math.pow(0.7, alternatives) * Math.pow(0.9, classes);
+    }
+}
+
+// covers: d digits, l lowercase, u uppercase, _ underscore, s whitespace
+RegexGenerator.KINDS = {
+    digit: { source: '\\d', size: 10, covers: 'd' },
+    lower: { source: '[a-z]', size: 26, covers: 'l' },
+    upper: { source: '[A-Z]', size: 26, covers: 'u' },
+    alpha: { source: '[a-zA-Z]', size: 52, covers: 'lu' },
+    alnum: { source: '[a-zA-Z0-9]', size: 62, covers: 'dlu' },
+    word: { source: '\\w', size: 63, covers: 'dlu_' },
+    space: { source: '\\s', size: 6, covers: 's' }
+};
+
+RegexGenerator.LEVELS = ['case', 'letters', 'words'];
+RegexGenerator.CONTROL_ESCAPES = { '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+// Extra characters a + is assumed to cover when estimating breadth
+RegexGenerator.LOOSE_EXTRA = 8;
+RegexGenerator.MAX_POSITIONAL = 64;
+RegexGenerator.MAX_MATCHES = 10000;
+RegexGenerator.MAX_CANDIDATES = 6;
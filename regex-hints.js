@@ -0,0 +1,252 @@
+// RegEx Tester Pro - Pattern Autocomplete
+// Works out what can be typed at the cursor and returns suggestions with a
+// one-line description each. Contexts: property (after \p{), reference
+// (after \k<), escape (after a backslash), group (after an opening paren),
+// posix (after [: inside a class), class (anywhere else inside a class) and
+// general. An item's select range is what to select after inserting it, so
+// placeholders such as "name" in (?<name>...) can be typed over.
+
+class RegexHints {
+    // { context, from, to, items: [{ text, label, description, select }] } or null
+    static complete(pattern, cursor, flags = '') {
+        const before = pattern.slice(0, cursor);
+        const after = pattern.slice(cursor);
+        const unicodeSets = flags.includes('v');
+        const unicode = unicodeSets || flags.includes('u');
+        const inClass = RegexHints.isInClass(before, unicodeSets);
+        // Names replace the whole word at the cursor and close it unless it already is
+        const rest = /^[$\w]*/.exec(after)[0];
+        const close = (text, ch) => (after.startsWith(ch, rest.length) ? text : text + ch);
+
+        let match = /\\[pP]\{(?:([A-Za-z_]+)=)?([A-Za-z_]*)$/.exec(before);
+        if (match) {
+            const key = match[1];
+            let names;
+            if (!key) {
+                names = [...RegexHints.PROPERTIES, ...RegexHints.SCRIPTS.map(([name, description]) => [`Script=${name}`, description])];
+            } else {
+                names = /^(Script|sc|Script_Extensions|scx)$/.test(key) ? RegexHints.SCRIPTS : RegexHints.CATEGORIES;
+            }
+            const items = names.map(([name, description]) => ({
+                text: name.endsWith('=') ? name : close(name, '}'),
+                label: name,
+                description
+            }));
+            return RegexHints.result('property', cursor - match[2].length, cursor + rest.length, items, match[2], true);
+        }
+
+        match = /\\k<([$\w]*)$/.exec(before);
+        if (match) {
+            const items = RegexHints.groupNames(pattern).map(name => ({
+                text: close(name, '>'),
+                label: name,
+                description: `Text captured by the group named ${name}`
+            }));
+            return RegexHints.result('reference', cursor - match[1].length, cursor + rest.length, items, match[1]);
+        }
+
+        // An odd number of backslashes means the last one starts an escape
+        match = /(\\+)([a-zA-Z]?)$/.exec(before);
+        if (match && match[1].length % 2 === 1) {
+            const items = inClass ? RegexHints.classEscapes(unicodeSets) : RegexHints.escapes(pattern, flags, unicode);
+            const from = cursor - match[2].length - 1;
+            return RegexHints.result('escape', from, cursor, items, `\\${match[2]}`);
+        }
+
+        if (inClass) {
+            match = /\[:([a-z]*)$/.exec(before);
+            if (match) {
+                return RegexHints.result('posix', cursor - match[0].length, cursor, RegexHints.POSIX, match[0]);
+            }
+            return RegexHints.result('class', cursor, cursor, [...RegexHints.classEscapes(unicodeSets), ...RegexHints.POSIX], '');
+        }
+
+        match = /\((\?[^()]*)?$/.exec(before);
+        if (match) {
+            return RegexHints.result('group', cursor - match[0].length, cursor, RegexHints.GROUPS, match[0]);
+        }
+
+        return RegexHints.result('general', cursor, cursor, RegexHints.CONSTRUCTS, '');
+    }
+
+    static result(context, from, to, items, prefix, ignoreCase = false) {
+        const fold = text => (ignoreCase ? text.toLowerCase() : text);
+        const typed = fold(prefix);
+        const label = item => fold(item.label || item.text);
+        const starts = items.filter(item => label(item).startsWith(typed));
+        // Property names are also found by any part, e.g. "cyr" finds Script=Cyrillic
+        const contains = ignoreCase && typed
+            ? items.filter(item => !starts.includes(item) && label(item).includes(typed))
+            : [];
+        const list = [...starts, ...contains];
+
+        if (list.length === 0) return null;
+        return { context, from, to, items: list };
+    }
+
+    // Whether the cursor sits inside a [...] set; with the v flag sets nest
+    static isInClass(before, unicodeSets) {
+        let depth = 0;
+        for (let i = 0; i < before.length; i++) {
+            const ch = before[i];
+            if (ch === '\\') {
+                i++;
+            } else if (ch === '[' && (depth === 0 || unicodeSets)) {
+                depth++;
+            } else if (ch === ']' && depth > 0) {
+                depth--;
+            }
+        }
+        return depth > 0;
+    }
+
+    // Read straight from the source, so they are found while the pattern is still incomplete
+    static groupNames(pattern) {
+        const names = [];
+        const regex = /\(\?<([$_\p{ID_Start}][$\u200C\u200D\p{ID_Continue}]*)>/gu;
+        let match;
+        while ((match = regex.exec(pattern)) !== null) {
+            if (!names.includes(match[1])) names.push(match[1]);
+        }
+        return names;
+    }
+
+    static escapes(pattern, flags, unicode) {
+        const items = [...RegexHints.ESCAPES];
+        const groupCount = new RegexParser(pattern, flags).totalGroups;
+
+        for (let number = 1; number <= Math.min(groupCount, 9); number++) {
+            items.push({ text: `\\${number}`, description: `Text captured by group #${number}` });
+        }
+        RegexHints.groupNames(pattern).forEach(name => {
+            items.push({ text: `\\k<${name}>`, description: `Text captured by the group named ${name}` });
+        });
+        if (unicode) {
+            items.push({ text: '\\u{1F600}', label: '\\u{…}', description: 'Code point by hex value (u or v flag)', select: [3, 8] });
+        }
+        return items;
+    }
+
+    static classEscapes(unicodeSets) {
+        const items = RegexHints.CLASS_ESCAPES;
+        if (!unicodeSets) return items;
+        return [...items, { text: '\\q{abc}', label: '\\q{…}', description: 'Literal strings inside a class, separated by | (v flag)', select: [3, 6] }];
+    }
+}
+
+RegexHints.PROPERTY = { text: '\\p{L}', label: '\\p{…}', description: 'Character with a Unicode property (u or v flag)', select: [3, 4] };
+RegexHints.NEGATED_PROPERTY = { text: '\\P{L}', label: '\\P{…}', description: 'Character without a Unicode property (u or v flag)', select: [3, 4] };
+
+RegexHints.ESCAPES = [
+    { text: '\\d', description: 'Digit 0-9' },
+    { text: '\\D', description: 'Anything but a digit' },
+    { text: '\\w', description: 'Word character: letter, digit or underscore' },
+    { text: '\\W', description: 'Anything but a word character' },
+    { text: '\\s', description: 'Whitespace, including line breaks' },
+    { text: '\\S', description: 'Anything but whitespace' },
+    { text: '\\b', description: 'Word boundary' },
+    { text: '\\B', description: 'Not a word boundary' },
+    RegexHints.PROPERTY,
+    RegexHints.NEGATED_PROPERTY,
+    { text: '\\n', description: 'Line feed' },
+    { text: '\\r', description: 'Carriage return' },
+    { text: '\\t', description: 'Tab' },
+    { text: '\\x41', label: '\\xHH', description: 'Character by two hex digits', select: [2, 4] },
+    { text: '\\u0041', label: '\\uHHHH', description: 'Character by four hex digits', select: [2, 6] },
+    { text: '\\cJ', label: '\\cX', description: 'Control character, e.g. \\cJ is a line feed', select: [2, 3] },
+    { text: '\\0', description: 'Null character' },
+    { text: '\\.', description: 'A literal dot' },
+    { text: '\\\\', description: 'A literal backslash' }
+];
+
+RegexHints.CLASS_ESCAPES = [
+    { text: '\\d', description: 'Digit 0-9' },
+    { text: '\\D', description: 'Anything but a digit' },
+    { text: '\\w', description: 'Word character: letter, digit or underscore' },
+    { text: '\\W', description: 'Anything but a word character' },
+    { text: '\\s', description: 'Whitespace, including line breaks' },
+    { text: '\\S', description: 'Anything but whitespace' },
+    RegexHints.PROPERTY,
+    RegexHints.NEGATED_PROPERTY,
+    { text: '\\n', description: 'Line feed' },
+    { text: '\\t', description: 'Tab' },
+    { text: '\\b', description: 'Backspace (inside a class \\b is not a word boundary)' },
+    { text: '\\-', description: 'A literal hyphen' },
+    { text: '\\]', description: 'A literal closing bracket' },
+    { text: '\\\\', description: 'A literal backslash' }
+];
+
+// JavaScript has no [:alpha:] classes; these insert the equivalent ranges
+RegexHints.POSIX = [
+    ['[:alpha:]', 'a-zA-Z', 'Letters'],
+    ['[:digit:]', '0-9', 'Digits'],
+    ['[:alnum:]', 'a-zA-Z0-9', 'Letters and digits'],
+    ['[:upper:]', 'A-Z', 'Uppercase letters'],
+    ['[:lower:]', 'a-z', 'Lowercase letters'],
+    ['[:space:]', '\\s', 'Whitespace'],
+    ['[:blank:]', ' \\t', 'Space and tab'],
+    ['[:punct:]', '!-\\/:-@\\[-`{-~', 'ASCII punctuation'],
+    ['[:xdigit:]', '0-9A-Fa-f', 'Hex digits'],
+    ['[:word:]', '\\w', 'Word characters'],
+    ['[:cntrl:]', '\\x00-\\x1F\\x7F', 'Control characters']
+].map(([label, text, description]) => ({ text, label, description: `${description} (${text})` }));
+
+RegexHints.GROUPS = [
+    { text: '(?<name>)', label: '(?<name>…)', description: 'Named capturing group', select: [3, 7] },
+    { text: '(?:)', label: '(?:…)', description: 'Group without capturing', select: [3, 3] },
+    { text: '(?=)', label: '(?=…)', description: 'Lookahead: followed by', select: [3, 3] },
+    { text: '(?!)', label: '(?!…)', description: 'Negative lookahead: not followed by', select: [3, 3] },
+    { text: '(?<=)', label: '(?<=…)', description: 'Lookbehind: preceded by', select: [4, 4] },
+    { text: '(?<!)', label: '(?<!…)', description: 'Negative lookbehind: not preceded by', select: [4, 4] },
+    { text: '(?i:)', label: '(?i:…)', description: 'Case-insensitive section (modifiers, newer engines)', select: [4, 4] },
+    { text: '()', label: '(…)', description: 'Capturing group', select: [1, 1] }
+];
+
+RegexHints.CONSTRUCTS = [
+    { text: '.', description: 'Any character except line breaks (any at all with s)' },
+    { text: '\\d', description: 'Digit 0-9' },
+    { text: '\\w', description: 'Word character: letter, digit or underscore' },
+    { text: '\\s', description: 'Whitespace, including line breaks' },
+    { text: '[]', label: '[…]', description: 'One of the listed characters', select: [1, 1] },
+    { text: '[^]', label: '[^…]', description: 'Any character not listed', select: [2, 2] },
+    { text: '^', description: 'Start of input (start of line with m)' },
+    { text: '$', description: 'End of input (end of line with m)' },
+    { text: '\\b', description: 'Word boundary' },
+    { text: '*', description: 'Zero or more of the previous item' },
+    { text: '+', description: 'One or more of the previous item' },
+    { text: '?', description: 'Optional previous item' },
+    { text: '{2,5}', label: '{n,m}', description: 'Between n and m of the previous item', select: [1, 4] },
+    { text: '|', description: 'Alternative: either side matches' },
+    ...RegexHints.GROUPS,
+    RegexHints.PROPERTY
+];
+
+RegexHints.CATEGORIES = [
+    ['L', 'Letter'], ['Lu', 'Uppercase letter'], ['Ll', 'Lowercase letter'], ['Lt', 'Titlecase letter'],
+    ['Lm', 'Modifier letter'], ['Lo', 'Other letter, e.g. CJK ideographs'], ['M', 'Combining mark'],
+    ['Mn', 'Non-spacing mark'], ['N', 'Number'], ['Nd', 'Decimal digit in any script'], ['Nl', 'Letter number, e.g. Roman numerals'],
+    ['No', 'Other number, e.g. superscripts'], ['P', 'Punctuation'], ['Pd', 'Dash punctuation'], ['Ps', 'Opening punctuation'],
+    ['Pe', 'Closing punctuation'], ['Po', 'Other punctuation'], ['S', 'Symbol'], ['Sc', 'Currency symbol'], ['Sm', 'Math symbol'],
+    ['So', 'Other symbol'], ['Z', 'Separator'], ['Zs', 'Space separator'], ['C', 'Control, format or unassigned'],
+    ['Cc', 'Control character'], ['Cf', 'Format character, e.g. zero-width joiner']
+];
+
+RegexHints.SCRIPTS = [
+    ['Latin', 'Latin script'], ['Greek', 'Greek script'], ['Cyrillic', 'Cyrillic script'], ['Armenian', 'Armenian script'],
+    ['Hebrew', 'Hebrew script'], ['Arabic', 'Arabic script'], ['Devanagari', 'Devanagari script (Hindi, Marathi, ...)'],
+    ['Bengali', 'Bengali script'], ['Tamil', 'Tamil script'], ['Thai', 'Thai script'], ['Georgian', 'Georgian script'],
+    ['Hangul', 'Korean Hangul'], ['Hiragana', 'Japanese Hiragana'], ['Katakana', 'Japanese Katakana'],
+    ['Han', 'Chinese characters (Hanzi, Kanji, Hanja)'], ['Ethiopic', 'Ethiopic script'], ['Khmer', 'Khmer script'],
+    ['Common', 'Characters shared by many scripts: digits, punctuation'], ['Inherited', 'Marks that take the script of their base']
+];
+
+RegexHints.PROPERTIES = [
+    ...RegexHints.CATEGORIES,
+    ['Script=', 'Script=…: characters of one writing system'],
+    ['Script_Extensions=', 'Script_Extensions=…: characters used by a writing system'],
+    ['Alphabetic', 'Alphabetic characters, including letter-like marks'], ['White_Space', 'Whitespace characters'],
+    ['Emoji', 'Characters with emoji forms (includes digits and #)'], ['Emoji_Presentation', 'Characters shown as emoji by default'],
+    ['Extended_Pictographic', 'Pictographs, the basis of emoji sequences'], ['Uppercase', 'Uppercase characters'],
+    ['Lowercase', 'Lowercase characters'], ['ASCII', 'Code points 0-127'], ['ASCII_Hex_Digit', '0-9, A-F and a-f'],
+    ['Any', 'Any code point'], ['Assigned', 'Any assigned code point']
+];
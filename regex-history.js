@@ -0,0 +1,207 @@
+// RegEx Tester Pro - History & Saved Patterns
+// Both collections live in localStorage. A snapshot is everything testRegex()
+// reads: { pattern, flags, text, mode, replacement, tests, comparePattern,
+// compareFlags }, the last two being pattern B in compare mode. History entries
+// add { id, time, pinned }; saved patterns add { id, name, tags, notes,
+// created, updated, pinned }. A test string over MAX_TEXT_LENGTH is stored
+// as its start, with textLength giving the full length.
+
+class RegexHistory {
+    constructor(storage = localStorage) {
+        this.storage = storage;
+        this.entries = this.read(RegexHistory.HISTORY_KEY);
+        this.saved = this.read(RegexHistory.SAVED_KEY);
+        // Runs only coalesce into an entry recorded in this session
+        this.openId = null;
+    }
+
+    read(key) {
+        try {
+            const items = JSON.parse(this.storage.getItem(key));
+            return Array.isArray(items) ? items : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    // When storage is full the oldest unpinned history goes first, a quarter
+    // of it per retry so a full store costs a few attempts rather than one per entry
+    write(key, items) {
+        for (;;) {
+            try {
+                this.storage.setItem(key, JSON.stringify(items));
+                return true;
+            } catch (e) {
+                if (!this.dropOldest()) return false;
+                if (key !== RegexHistory.HISTORY_KEY) this.persistHistory();
+            }
+        }
+    }
+
+    dropOldest() {
+        const unpinned = this.entries.filter(entry => !entry.pinned).length;
+        if (unpinned === 0) return false;
+
+        // In place, since write() may be holding this very list
+        let drop = Math.ceil(unpinned / 4);
+        for (let i = this.entries.length - 1; i >= 0 && drop > 0; i--) {
+            if (!this.entries[i].pinned) {
+                this.entries.splice(i, 1);
+                drop--;
+            }
+        }
+        return true;
+    }
+
+    persistHistory() {
+        return this.write(RegexHistory.HISTORY_KEY, this.entries);
+    }
+
+    persistSaved() {
+        return this.write(RegexHistory.SAVED_KEY, this.saved);
+    }
+
+    // Debounced runs while typing collapse into one entry until the user
+    // pauses for COALESCE_MS; an identical rerun just refreshes the time.
+    record(snapshot) {
+        const now = Date.now();
+        const latest = this.entries[0];
+
+        if (latest && RegexHistory.sameSnapshot(latest, snapshot)) {
+            latest.time = now;
+        } else if (latest && !latest.pinned && latest.id === this.openId && now - latest.time < RegexHistory.COALESCE_MS) {
+            Object.assign(latest, RegexHistory.snapshot(snapshot), { time: now });
+        } else {
+            this.entries.unshift({ id: RegexHistory.newId(), time: now, pinned: false, ...RegexHistory.snapshot(snapshot) });
+            this.trim();
+        }
+
+        this.openId = this.entries[0].id;
+        this.persistHistory();
+        return this.entries[0];
+    }
+
+    // The next run starts a new entry, e.g. after restoring an old one
+    seal() {
+        this.openId = null;
+    }
+
+    trim() {
+        let unpinned = 0;
+        this.entries = this.entries.filter(entry => entry.pinned || ++unpinned <= RegexHistory.MAX_ENTRIES);
+    }
+
+    save(snapshot, { name, tags = [], notes = '' }) {
+        const now = Date.now();
+        const item = {
+            id: RegexHistory.newId(),
+            name,
+            tags,
+            notes,
+            created: now,
+            updated: now,
+            pinned: false,
+            ...RegexHistory.snapshot(snapshot)
+        };
+
+        this.saved.unshift(item);
+        return this.persistSaved() ? item : null;
+    }
+
+    update(id, changes) {
+        const item = this.find('saved', id);
+        if (!item) return null;
+
+        Object.assign(item, changes, { updated: Date.now() });
+        return this.persistSaved() ? item : null;
+    }
+
+    togglePin(collection, id) {
+        const item = this.find(collection, id);
+        if (!item) return;
+
+        item.pinned = !item.pinned;
+        if (collection === 'saved') {
+            this.persistSaved();
+        } else {
+            this.trim();
+            this.persistHistory();
+        }
+    }
+
+    remove(collection, id) {
+        if (collection === 'saved') {
+            this.saved = this.saved.filter(item => item.id !== id);
+            this.persistSaved();
+        } else {
+            this.entries = this.entries.filter(entry => entry.id !== id);
+            if (this.openId === id) this.openId = null;
+            this.persistHistory();
+        }
+    }
+
+    clear() {
+        this.entries = this.entries.filter(entry => entry.pinned);
+        this.openId = null;
+        this.persistHistory();
+    }
+
+    find(collection, id) {
+        const items = collection === 'saved' ? this.saved : this.entries;
+        return items.find(item => item.id === id) || null;
+    }
+
+    // Every whitespace-separated term has to appear somewhere in the item;
+    // pinned items come first, then the most recent
+    search(collection, query = '') {
+        const items = collection === 'saved' ? this.saved : this.entries;
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const timeOf = item => item.time || item.updated;
+
+        return items
+            .filter(item => {
+                const haystack = [
+                    item.name, item.notes, ...(item.tags || []).map(tag => `#${tag}`),
+                    item.pattern, item.flags, item.text, item.replacement, item.tests, item.comparePattern
+                ].filter(Boolean).join('\n').toLowerCase();
+                return terms.every(term => haystack.includes(term));
+            })
+            .sort((a, b) => (b.pinned - a.pinned) || (timeOf(b) - timeOf(a)));
+    }
+
+    static snapshot({
+        pattern = '', flags = '', text = '', mode = 'match', replacement = '', tests = '',
+        comparePattern = '', compareFlags = '', textLength
+    }) {
+        const snapshot = { pattern, flags, text, mode, replacement, tests, comparePattern, compareFlags };
+        if (text.length > RegexHistory.MAX_TEXT_LENGTH) {
+            snapshot.text = text.slice(0, RegexHistory.MAX_TEXT_LENGTH);
+            snapshot.textLength = text.length;
+        } else if (textLength) {
+            snapshot.textLength = textLength;
+        }
+        return snapshot;
+    }
+
+    static sameSnapshot(a, b) {
+        const x = RegexHistory.snapshot(a);
+        const y = RegexHistory.snapshot(b);
+        return Object.keys(x).every(key => x[key] === y[key]) && x.textLength === y.textLength;
+    }
+
+    // "api, Logs ,,x" -> ['api', 'logs', 'x']
+    static parseTags(source) {
+        const tags = source.split(',').map(tag => tag.trim().replace(/^#/, '').toLowerCase()).filter(Boolean);
+        return [...new Set(tags)];
+    }
+
+    static newId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+}
+
+RegexHistory.HISTORY_KEY = 'history';
+RegexHistory.SAVED_KEY = 'savedPatterns';
+RegexHistory.MAX_ENTRIES = 200;
+RegexHistory.COALESCE_MS = 5000;
+RegexHistory.MAX_TEXT_LENGTH = 20000;
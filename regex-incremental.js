@@ -0,0 +1,137 @@
+// RegEx Tester Pro - Incremental Matching
+// After an edit to the test string only the lines around it are matched
+// again. That is sound when no part of the pattern, lookarounds included,
+// can read a line terminator: every match attempt then sees nothing past its
+// own line, and the global scan enters each line at its first character.
+// Other patterns, and sticky or non-global runs, always get a full run.
+
+class RegexIncremental {
+    static isLineLocal(pattern, flags) {
+        if (!flags.includes('g') || flags.includes('y')) return false;
+
+        let ast;
+        try {
+            ast = RegexParser.parse(pattern, flags);
+        } catch (e) {
+            return false;
+        }
+
+        const atomFlags = flags.replace(/[dgy]/g, '');
+        const readsTerminator = (node) => {
+            switch (node.type) {
+                case 'disjunction':
+                    return node.alternatives.some(readsTerminator);
+                case 'alternative':
+                    return node.terms.some(readsTerminator);
+                case 'group':
+                case 'quantifier':
+                    return readsTerminator(node.body);
+                case 'assertion':
+                case 'backreference':
+                    // Assertions look one character either side; a backreference
+                    // only repeats what its (already checked) group consumed
+                    return false;
+                default: {
+                    // Characters, classes, dots, escapes and properties: let the engine decide
+                    let atom;
+                    try {
+                        atom = new RegExp(pattern.slice(node.start, node.end), atomFlags);
+                    } catch (e) {
+                        return true;
+                    }
+                    return RegexIncremental.TERMINATORS.some(ch => atom.test(ch));
+                }
+            }
+        };
+
+        return !readsTerminator(ast.body);
+    }
+
+    // The edit as old [start, oldEnd) replaced by new [start, newEnd)
+    static findEdit(oldText, newText) {
+        const shorter = Math.min(oldText.length, newText.length);
+
+        let start = 0;
+        while (start < shorter && oldText.charCodeAt(start) === newText.charCodeAt(start)) start++;
+
+        let suffix = 0;
+        while (suffix < shorter - start &&
+            oldText.charCodeAt(oldText.length - 1 - suffix) === newText.charCodeAt(newText.length - 1 - suffix)) {
+            suffix++;
+        }
+
+        return { start, oldEnd: oldText.length - suffix, newEnd: newText.length - suffix };
+    }
+
+    // Widens [start, end) to whole lines. The window ends just past the last
+    // line's terminator, or at length + 1 on the final line so that an empty
+    // match at the very end of the text falls inside it.
+    static lineWindow(text, start, end) {
+        let from = start;
+        while (from > 0 && !RegexIncremental.isTerminator(text.charCodeAt(from - 1))) from--;
+
+        let to = end;
+        while (to < text.length && !RegexIncremental.isTerminator(text.charCodeAt(to))) to++;
+
+        return { start: from, end: to < text.length ? to + 1 : text.length + 1 };
+    }
+
+    // Returns { oldWindow, window } to rematch, or null when a full run is needed
+    static plan(pattern, flags, oldText, newText) {
+        if (!RegexIncremental.isLineLocal(pattern, flags)) return null;
+
+        const edit = RegexIncremental.findEdit(oldText, newText);
+        const oldWindow = RegexIncremental.lineWindow(oldText, edit.start, edit.oldEnd);
+        const window = RegexIncremental.lineWindow(newText, edit.start, edit.newEnd);
+
+        // Rematching most of the text gains nothing over a clean full run
+        if (window.end - window.start > newText.length * RegexIncremental.MAX_WINDOW_SHARE) return null;
+
+        return { oldWindow, window };
+    }
+
+    // Matches before the window are kept, the window's are swapped in and the
+    // ones after it move by however much the text grew or shrank
+    static merge(previous, windowMatches, oldWindow, window) {
+        const delta = window.end - oldWindow.end;
+        const before = RegexIncremental.firstAtOrAfter(previous, oldWindow.start);
+        const after = RegexIncremental.firstAtOrAfter(previous, oldWindow.end);
+
+        const shifted = previous.slice(after).map(match => delta === 0 ? match : RegexIncremental.shift(match, delta));
+        return [...previous.slice(0, before), ...windowMatches, ...shifted];
+    }
+
+    static shift(match, delta) {
+        const move = span => span && [span[0] + delta, span[1] + delta];
+        const namedIndices = {};
+        Object.keys(match.namedIndices).forEach(name => {
+            namedIndices[name] = move(match.namedIndices[name]);
+        });
+
+        return { ...match, index: match.index + delta, indices: match.indices.map(move), namedIndices };
+    }
+
+    // Matches are in text order, so a binary search finds the first one at or after index
+    static firstAtOrAfter(matches, index) {
+        let low = 0;
+        let high = matches.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (matches[mid].index < index) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    static isTerminator(code) {
+        return code === 0x0A || code === 0x0D || code === 0x2028 || code === 0x2029;
+    }
+}
+
+RegexIncremental.TERMINATORS = ['\n', '\r', '\u2028', '\u2029'];
+// Texts shorter than this are always matched in full
+RegexIncremental.MIN_LENGTH = 50000;
+RegexIncremental.MAX_WINDOW_SHARE = 0.25;
@@ -0,0 +1,286 @@
+// RegEx Tester Pro - Pattern Library
+// The built-in patterns plus the user's own, which are kept in localStorage
+// and can be exchanged as JSON. An entry is { id, title, regex, flags,
+// category, tags, description, samples, tests, builtin }; samples are test
+// strings and tests use the RegexTestSuite syntax.
+
+class RegexLibrary {
+    constructor(storage = localStorage) {
+        this.storage = storage;
+        this.custom = this.read();
+    }
+
+    read() {
+        try {
+            const items = JSON.parse(this.storage.getItem(RegexLibrary.STORAGE_KEY));
+            return Array.isArray(items) ? items.map(item => RegexLibrary.normalize(item, item.id)) : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    persist() {
+        try {
+            this.storage.setItem(RegexLibrary.STORAGE_KEY, JSON.stringify(this.custom));
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Persists, or puts back what storage still holds when that fails
+    commit() {
+        if (this.persist()) return true;
+        this.custom = this.read();
+        return false;
+    }
+
+    all() {
+        return [...RegexLibrary.BUILTIN, ...this.custom];
+    }
+
+    find(id) {
+        return this.all().find(entry => entry.id === id) || null;
+    }
+
+    // Every whitespace-separated term has to appear in the entry. A query
+    // searches the whole library; without one the category filters it.
+    search(query = '', category = 'all') {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+        if (terms.length === 0) {
+            return this.all().filter(entry => category === 'all' || entry.category === category);
+        }
+
+        return this.all().filter(entry => {
+            const haystack = [
+                entry.title, entry.regex, entry.description, entry.tests,
+                RegexLibrary.CATEGORIES[entry.category],
+                ...entry.tags.map(tag => `#${tag}`),
+                ...entry.samples
+            ].join('\n').toLowerCase();
+            return terms.every(term => haystack.includes(term));
+        });
+    }
+
+    // Returns null when storage is full, leaving the library as it was
+    create(fields) {
+        const entry = RegexLibrary.normalize(fields);
+        this.custom.push(entry);
+        return this.commit() ? entry : null;
+    }
+
+    update(id, fields) {
+        const index = this.custom.findIndex(entry => entry.id === id);
+        if (index === -1) return null;
+
+        this.custom[index] = RegexLibrary.normalize(fields, id);
+        return this.commit() ? this.custom[index] : null;
+    }
+
+    // Built-ins can be duplicated but not edited; the copy is the user's own
+    duplicate(id) {
+        const original = this.find(id);
+        if (!original) return null;
+
+        return this.create({ ...original, title: `${original.title} (copy)` });
+    }
+
+    remove(id) {
+        this.custom = this.custom.filter(entry => entry.id !== id);
+        this.persist();
+    }
+
+    export() {
+        return {
+            version: RegexLibrary.FORMAT_VERSION,
+            exported: new Date().toISOString(),
+            patterns: this.custom.map(({ builtin, ...entry }) => entry)
+        };
+    }
+
+    // Accepts an export file or a bare array. Entries whose id is already in
+    // the library replace it, so re-importing a shared file picks up edits.
+    import(data) {
+        const patterns = Array.isArray(data) ? data : data && data.patterns;
+        if (!Array.isArray(patterns)) {
+            throw new Error('Expected a library export with a "patterns" list');
+        }
+        if (data.version > RegexLibrary.FORMAT_VERSION) {
+            throw new Error(`Library file version ${data.version} is newer than this app supports`);
+        }
+
+        const summary = { added: 0, updated: 0, skipped: 0 };
+        patterns.forEach(item => {
+            if (!item || typeof item.title !== 'string' || typeof item.regex !== 'string' || !item.title.trim()) {
+                summary.skipped++;
+                return;
+            }
+
+            const index = this.custom.findIndex(entry => entry.id === item.id);
+            if (index !== -1) {
+                this.custom[index] = RegexLibrary.normalize(item, item.id);
+                summary.updated++;
+            } else {
+                const builtinId = RegexLibrary.BUILTIN.some(entry => entry.id === item.id);
+                this.custom.push(RegexLibrary.normalize(item, builtinId ? undefined : item.id));
+                summary.added++;
+            }
+        });
+
+        if (!this.commit()) {
+            throw new Error('Browser storage is full');
+        }
+        return summary;
+    }
+
+    static normalize(fields, id = RegexLibrary.newId()) {
+        const text = value => typeof value === 'string' ? value : '';
+        const list = value => Array.isArray(value) ? value.filter(item => typeof item === 'string') : [];
+
+        return {
+            // Ids come from shared files and end up in markup, so only plain ones are kept
+            id: typeof id === 'string' && /^[\w-]+$/.test(id) ? id : RegexLibrary.newId(),
+            title: text(fields.title).trim(),
+            regex: text(fields.regex),
+            flags: text(fields.flags).replace(/[^dgimsuvy]/g, ''),
+            category: RegexLibrary.CATEGORIES[fields.category] ? fields.category : 'custom',
+            tags: [...new Set(list(fields.tags).map(tag => tag.trim().replace(/^#/, '').toLowerCase()).filter(Boolean))],
+            description: text(fields.description).trim(),
+            samples: list(fields.samples),
+            tests: text(fields.tests),
+            builtin: false
+        };
+    }
+
+    static fromCategories(categories) {
+        return Object.entries(categories).flatMap(([category, patterns]) =>
+            patterns.map((pattern, i) => ({
+                id: `builtin-${category}-${i + 1}`,
+                flags: 'g',
+                category,
+                tags: [],
+                samples: [],
+                tests: '',
+                ...pattern,
+                builtin: true
+            }))
+        );
+    }
+
+    static newId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+}
+
+RegexLibrary.STORAGE_KEY = 'library';
+RegexLibrary.FORMAT_VERSION = 1;
+
+RegexLibrary.CATEGORIES = {
+    common: 'Common',
+    validation: 'Validation',
+    parsing: 'Parsing',
+    advanced: 'Advanced',
+    custom: 'Custom'
+};
+
+RegexLibrary.BUILTIN = RegexLibrary.fromCategories({
+    common: [
+        {
+            title: "Email Address",
+            regex: "[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}",
+            description: "Matches most email addresses"
+        },
+        {
+            title: "URL/Website",
+            regex: "https?:\\/\\/(www\\.)?[-a-zA-Z0-9@:%._\\+~#=]{1,256}\\.[a-zA-Z0-9()]{1,6}\\b([-a-zA-Z0-9()@:%_\\+.~#?&//=]*)",
+            description: "Matches HTTP and HTTPS URLs"
+        },
+        {
+            title: "Phone Number (US)",
+            regex: "(\\+1\\s?)?\\(?([0-9]{3})\\)?[\\s.-]?([0-9]{3})[\\s.-]?([0-9]{4})",
+            description: "Matches US phone numbers in various formats"
+        },
+        {
+            title: "IP Address",
+            regex: "\\b(?:[0-9]{1,3}\\.){3}[0-9]{1,3}\\b",
+            description: "Matches IPv4 addresses"
+        },
+        {
+            title: "Date (MM/DD/YYYY)",
+            regex: "(0[1-9]|1[0-2])\\/(0[1-9]|[12][0-9]|3[01])\\/(19|20)\\d\\d",
+            description: "Matches dates in MM/DD/YYYY format"
+        }
+    ],
+    validation: [
+        {
+            title: "Strong Password",
+            regex: "^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)(?=.*[@$!%*?&])[A-Za-z\\d@$!%*?&]{8,}$",
+            description: "At least 8 chars, 1 uppercase, 1 lowercase, 1 digit, 1 special char"
+        },
+        {
+            title: "Credit Card Number",
+            regex: "^(?:4[0-9]{12}(?:[0-9]{3})?|5[1-5][0-9]{14}|3[47][0-9]{13}|3[0-9]{13}|6(?:011|5[0-9]{2})[0-9]{12})$",
+            description: "Matches Visa, MasterCard, American Express, Discover"
+        },
+        {
+            title: "Social Security Number",
+            regex: "^(?!666|000|9\\d{2})\\d{3}-(?!00)\\d{2}-(?!0{4})\\d{4}$",
+            description: "Validates US SSN format (XXX-XX-XXXX)"
+        },
+        {
+            title: "ZIP Code",
+            regex: "^\\d{5}(-\\d{4})?$",
+            description: "Matches US ZIP codes (5 or 9 digits)"
+        }
+    ],
+    parsing: [
+        {
+            title: "HTML Tags",
+            regex: "<\\/?([a-z][a-z0-9]*)\\b[^>]*>",
+            description: "Matches HTML opening and closing tags"
+        },
+        {
+            title: "CSS Hex Colors",
+            regex: "#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})\\b",
+            description: "Matches hex color codes (#RGB or #RRGGBB)"
+        },
+        {
+            title: "JSON String Values",
+            regex: "\"([^\"\\\\]|\\\\.)*\"",
+            description: "Matches JSON string values with escape sequences"
+        },
+        {
+            title: "CSV Fields",
+            regex: "(?:^|,)(\"(?:[^\"]+|\"\")*\"|[^,]*)",
+            description: "Parses CSV fields, handles quoted values"
+        }
+    ],
+    advanced: [
+        {
+            title: "Balanced Parentheses",
+            regex: "\\(([^()]|\\([^()]*\\))*\\)",
+            description: "Matches balanced parentheses (one level deep)"
+        },
+        {
+            title: "Mathematical Expressions",
+            regex: "^[-+]?\\d*\\.?\\d+([eE][-+]?\\d+)?$",
+            description: "Matches floating-point numbers with scientific notation"
+        },
+        {
+            title: "Unicode Emoji",
+            regex: "[\\u{1F600}-\\u{1F64F}]|[\\u{1F300}-\\u{1F5FF}]|[\\u{1F680}-\\u{1F6FF}]|[\\u{1F1E0}-\\u{1F1FF}]",
+            flags: "gu",
+            description: "Matches common Unicode emoji ranges"
+        },
+        {
+            title: "Base64 Encoded",
+            regex: "^[A-Za-z0-9+/]*={0,2}$",
+            description: "Validates Base64 encoded strings"
+        }
+    ]
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RegexLibrary;
+}
@@ -0,0 +1,224 @@
+// RegEx Tester Pro - Matching Core
+// The exec loop shared by the match worker and the main-thread fallback.
+
+class RegexMatcher {
+    // A region { start, end } limits a global run to matches starting inside it
+    static run(pattern, flags, text, region = null) {
+        const startTime = performance.now();
+        // Indices are always requested; the d flag doesn't change what matches
+        const regex = new RegExp(pattern, flags.includes('d') ? flags : `${flags}d`);
+        const matches = [];
+
+        if (flags.includes('g')) {
+            // Global matching
+            let match;
+            if (region) regex.lastIndex = region.start;
+            while ((match = regex.exec(text)) !== null) {
+                if (region && match.index >= region.end) break;
+                matches.push(RegexMatcher.toMatch(match));
+
+                // Prevent infinite loop
+                if (match.index === regex.lastIndex) {
+                    regex.lastIndex = RegexMatcher.advanceIndex(text, regex.lastIndex, regex.unicode || regex.unicodeSets);
+                }
+            }
+        } else {
+            // Single match
+            const match = regex.exec(text);
+            if (match) {
+                matches.push(RegexMatcher.toMatch(match));
+            }
+        }
+
+        return {
+            matches,
+            executionTime: performance.now() - startTime
+        };
+    }
+
+    // Runs the pattern against every line on its own, so ^ and $ anchor to the
+    // line without the m flag. Match positions are into the whole text.
+    // → { matches, lines: [{ start, end, matches }], executionTime }
+    static runLines(pattern, flags, text) {
+        const startTime = performance.now();
+        const matches = [];
+        const lines = [];
+
+        let start = 0;
+        text.split('\n').forEach(line => {
+            const found = RegexMatcher.run(pattern, flags, line).matches;
+            found.forEach(match => matches.push(RegexMatcher.offsetMatch(match, start)));
+            lines.push({ start, end: start + line.length, matches: found.length });
+            start += line.length + 1;
+        });
+
+        return {
+            matches,
+            lines,
+            executionTime: performance.now() - startTime
+        };
+    }
+
+    static offsetMatch(match, offset) {
+        const shift = span => (span ? [span[0] + offset, span[1] + offset] : span);
+        const namedIndices = {};
+        Object.keys(match.namedIndices).forEach(name => {
+            namedIndices[name] = shift(match.namedIndices[name]);
+        });
+        return { ...match, index: match.index + offset, indices: match.indices.map(shift), namedIndices };
+    }
+
+    // Steps over a whole surrogate pair in unicode mode, like String.prototype.replace
+    static advanceIndex(text, index, unicode) {
+        if (!unicode || index + 1 >= text.length) return index + 1;
+        const code = text.charCodeAt(index);
+        const next = text.charCodeAt(index + 1);
+        return code >= 0xD800 && code <= 0xDBFF && next >= 0xDC00 && next <= 0xDFFF ? index + 2 : index + 1;
+    }
+
+    // String.prototype.split ignores g and y and always walks every match,
+    // so split mode matches with these flags instead of the selected ones
+    static splitFlags(flags) {
+        return flags.includes('g') ? flags.replace('y', '') : `${flags.replace('y', '')}g`;
+    }
+
+    // Splits text the way String.prototype.split does, given a match list
+    // produced by run() with splitFlags. → [{ value, group }] where group is
+    // null for a piece of the text and the group number for a captured separator.
+    static split(text, matches) {
+        if (text.length === 0) return matches.length > 0 ? [] : [{ value: text, group: null }];
+
+        const items = [];
+        let lastIndex = 0;
+        matches.forEach(match => {
+            const end = match.index + match.match.length;
+            // split never separates at the very end, nor with an empty match right where the previous piece ends
+            if (match.index >= text.length || end === lastIndex) return;
+
+            items.push({ value: text.slice(lastIndex, match.index), group: null });
+            match.groups.slice(1).forEach((value, i) => items.push({ value, group: i + 1 }));
+            lastIndex = end;
+        });
+        items.push({ value: text.slice(lastIndex), group: null });
+        return items;
+    }
+
+    // Applies a replacement template to a match list produced by run()
+    static replace(text, matches, template) {
+        const replacements = [];
+        let output = '';
+        let lastIndex = 0;
+
+        matches.forEach(match => {
+            const replacement = RegexMatcher.expandReplacement(template, match, text);
+            output += text.slice(lastIndex, match.index) + replacement;
+            lastIndex = match.index + match.match.length;
+            replacements.push({ index: match.index, length: match.match.length, replacement });
+        });
+        output += text.slice(lastIndex);
+
+        return { output, replacements };
+    }
+
+    static expandReplacement(template, match, text) {
+        const tokens = RegexMatcher.parseReplacement(
+            template,
+            match.groups.length - 1,
+            Object.keys(match.namedGroups).length > 0
+        );
+
+        return tokens.map(token => {
+            switch (token.type) {
+                case 'match':
+                    return match.match;
+                case 'before':
+                    return text.slice(0, match.index);
+                case 'after':
+                    return text.slice(match.index + match.match.length);
+                case 'group':
+                    return match.groups[token.number] ?? '';
+                case 'named':
+                    return match.namedGroups[token.name] ?? '';
+                default:
+                    return token.text;
+            }
+        }).join('');
+    }
+
+    // Follows GetSubstitution from the spec: $$, $&, $`, $', $n, $nn and $<name>.
+    // Returns tokens of type literal, match, before, after, group and named.
+    static parseReplacement(template, captureCount, hasNamedGroups) {
+        const tokens = [];
+        let literal = '';
+
+        const push = (token) => {
+            if (literal) tokens.push({ type: 'literal', text: literal });
+            literal = '';
+            tokens.push(token);
+        };
+
+        for (let i = 0; i < template.length; i++) {
+            const ch = template[i];
+            const next = template[i + 1];
+
+            if (ch !== '$' || next === undefined) {
+                literal += ch;
+            } else if (next === '$') {
+                literal += '$';
+                i++;
+            } else if (next === '&') {
+                push({ type: 'match' });
+                i++;
+            } else if (next === '`') {
+                push({ type: 'before' });
+                i++;
+            } else if (next === "'") {
+                push({ type: 'after' });
+                i++;
+            } else if (/[0-9]/.test(next)) {
+                const twoDigits = template.slice(i + 1, i + 3);
+                let digits = null;
+                if (/^[0-9]{2}$/.test(twoDigits) && +twoDigits >= 1 && +twoDigits <= captureCount) {
+                    digits = twoDigits;
+                } else if (+next >= 1 && +next <= captureCount) {
+                    digits = next;
+                }
+
+                if (digits) {
+                    push({ type: 'group', number: +digits });
+                    i += digits.length;
+                } else {
+                    literal += ch;
+                }
+            } else if (next === '<' && hasNamedGroups) {
+                const close = template.indexOf('>', i + 2);
+                if (close === -1) {
+                    literal += ch;
+                } else {
+                    push({ type: 'named', name: template.slice(i + 2, close) });
+                    i = close;
+                }
+            } else {
+                literal += ch;
+            }
+        }
+        if (literal) tokens.push({ type: 'literal', text: literal });
+
+        return tokens;
+    }
+
+    static toMatch(match) {
+        return {
+            match: match[0],
+            index: match.index,
+            groups: [...match],
+            namedGroups: match.groups || {},
+            indices: [...match.indices],
+            namedIndices: match.indices.groups || {}
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RegexMatcher;
+}
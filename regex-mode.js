@@ -0,0 +1,112 @@
+// RegEx Tester Pro - Regex Editor Mode
+// A CodeMirror mode for ECMAScript pattern syntax. Token styles (as
+// cm-regex-*): escape, charclass, class (set contents), bracket (the [ ] of
+// a set), quantifier, group, anchor, backref, alternation and error. Both
+// halves of a bracket pair share a style, which is what the matchbrackets
+// addon compares, so escaped or in-class parentheses never pair up.
+
+class RegexEditorMode {
+    // { unicodeSets } turns on v-flag nested classes and set operators
+    constructor(options = {}) {
+        this.unicodeSets = Boolean(options.unicodeSets);
+    }
+
+    startState() {
+        return { classDepth: 0, groupDepth: 0 };
+    }
+
+    copyState(state) {
+        return { ...state };
+    }
+
+    token(stream, state) {
+        const ch = stream.next();
+
+        if (ch === '\\') return this.tokenEscape(stream, state);
+        if (state.classDepth > 0) return this.tokenClass(ch, stream, state);
+
+        switch (ch) {
+            case '[':
+                state.classDepth = 1;
+                stream.eat('^');
+                return 'regex-bracket';
+            case '(':
+                // (?: (?= (?! (?<= (?<! (?<name> and (?ims-ims:
+                if (stream.eat('?')) stream.match(/^(?:[:=!]|<[=!]|<[^>]*>|[ims]*-?[ims]*:)/);
+                state.groupDepth++;
+                return 'regex-group';
+            case ')':
+                if (state.groupDepth === 0) return 'regex-error';
+                state.groupDepth--;
+                return 'regex-group';
+            case '|':
+                return 'regex-alternation';
+            case '^':
+            case '$':
+                return 'regex-anchor';
+            case '.':
+                return 'regex-charclass';
+            case '*':
+            case '+':
+            case '?':
+                stream.eat('?');
+                return 'regex-quantifier';
+            case '{':
+                if (stream.match(/^\d+(?:,\d*)?\}/)) {
+                    stream.eat('?');
+                    return 'regex-quantifier';
+                }
+                return null;
+            default:
+                return null;
+        }
+    }
+
+    tokenClass(ch, stream, state) {
+        if (ch === ']') {
+            state.classDepth--;
+            return 'regex-bracket';
+        }
+        if (this.unicodeSets) {
+            if (ch === '[') {
+                state.classDepth++;
+                stream.eat('^');
+                return 'regex-bracket';
+            }
+            if ((ch === '&' && stream.eat('&')) || (ch === '-' && stream.eat('-'))) {
+                return 'regex-alternation';
+            }
+        }
+        return 'regex-class';
+    }
+
+    tokenEscape(stream, state) {
+        if (stream.eol()) return 'regex-error';
+        const ch = stream.next();
+
+        if (state.classDepth === 0) {
+            if (ch === 'b' || ch === 'B') return 'regex-anchor';
+            if (/[1-9]/.test(ch)) {
+                stream.eatWhile(/\d/);
+                return 'regex-backref';
+            }
+            if (ch === 'k' && stream.match(/^<[^>]*>/)) return 'regex-backref';
+        }
+
+        if (/[dDwWsS]/.test(ch)) return 'regex-charclass';
+        if ((ch === 'p' || ch === 'P') && stream.match(/^\{[^}]*\}/)) return 'regex-charclass';
+
+        if (ch === 'x') {
+            stream.match(/^[0-9a-fA-F]{2}/);
+        } else if (ch === 'u') {
+            stream.match(/^(?:\{[0-9a-fA-F]+\}|[0-9a-fA-F]{4})/);
+        } else if (ch === 'c') {
+            stream.match(/^[a-zA-Z]/);
+        } else if (ch === 'q' && state.classDepth > 0) {
+            stream.match(/^\{[^}]*\}/);
+        }
+        return 'regex-escape';
+    }
+}
+
+CodeMirror.defineMode('regex', (config, options) => new RegexEditorMode(options));
@@ -0,0 +1,713 @@
+// RegEx Tester Pro - Pattern Parser
+// Turns an ECMAScript pattern into an AST. Every node carries start/end
+// offsets into the pattern so the UI can point back at the source text.
+// With { extended: true } it also accepts the common PCRE/Python/Go syntax
+// (atomic groups, possessive quantifiers, (?P<name>), inline flags, \A \z \Z,
+// \x{...} and POSIX classes) so other flavors' patterns can be checked.
+
+class RegexSyntaxError extends SyntaxError {
+    constructor(message, position) {
+        super(message);
+        this.name = 'RegexSyntaxError';
+        this.position = position;
+    }
+}
+
+class RegexParser {
+    constructor(pattern, flags = '', options = {}) {
+        this.pattern = pattern;
+        this.flags = flags;
+        this.extended = Boolean(options.extended);
+        this.unicodeSets = flags.includes('v');
+        this.unicode = flags.includes('u') || this.unicodeSets;
+        this.pos = 0;
+        this.groupCount = 0;
+        this.groupNames = [];
+        this.captures = [];
+        this.backreferences = [];
+        this.totalGroups = this.countGroups();
+        this.hasNamedGroups = this.extended ? /\(\?P?<(?![=!])/.test(pattern) : /\(\?<(?![=!])/.test(pattern);
+    }
+
+    static parse(pattern, flags = '', options = {}) {
+        return new RegexParser(pattern, flags, options).parse();
+    }
+
+    // { min, max } number of characters a node can match
+    static width(node) {
+        switch (node.type) {
+            case 'disjunction': {
+                const widths = node.alternatives.map(alternative => RegexParser.width(alternative));
+                return {
+                    min: Math.min(...widths.map(w => w.min)),
+                    max: Math.max(...widths.map(w => w.max))
+                };
+            }
+            case 'alternative':
+                return node.terms.reduce((total, term) => {
+                    const w = RegexParser.width(term);
+                    return { min: total.min + w.min, max: total.max + w.max };
+                }, { min: 0, max: 0 });
+            case 'group':
+                return node.kind.includes('look') ? { min: 0, max: 0 } : RegexParser.width(node.body);
+            case 'quantifier': {
+                const w = RegexParser.width(node.body);
+                return { min: w.min * node.min, max: w.max === 0 ? 0 : w.max * node.max };
+            }
+            case 'assertion':
+            case 'inline-flags':
+                return { min: 0, max: 0 };
+            case 'backreference':
+                return { min: 0, max: Infinity };
+            case 'class-strings': {
+                const lengths = node.strings.map(string => [...string].length);
+                return { min: Math.min(...lengths), max: Math.max(...lengths) };
+            }
+            default:
+                return { min: 1, max: 1 };
+        }
+    }
+
+    parse() {
+        const body = this.parseDisjunction();
+
+        if (this.pos < this.pattern.length) {
+            throw this.error(this.current() === ')' ? "Unmatched ')'" : `Unexpected character '${this.current()}'`);
+        }
+
+        this.backreferences.forEach(ref => {
+            if (ref.name !== undefined && !this.groupNames.includes(ref.name)) {
+                throw new RegexSyntaxError('Invalid named capture referenced', ref.start);
+            }
+        });
+
+        return {
+            type: 'pattern',
+            body,
+            source: this.pattern,
+            flags: this.flags,
+            groupCount: this.groupCount,
+            groupNames: this.groupNames,
+            captures: this.captures,
+            start: 0,
+            end: this.pattern.length
+        };
+    }
+
+    // Pre-scan so that \N can be told apart from a legacy octal escape
+    // before the group it refers to has been parsed.
+    countGroups() {
+        const p = this.pattern;
+        let count = 0;
+        let classDepth = 0;
+
+        for (let i = 0; i < p.length; i++) {
+            const ch = p[i];
+            if (ch === '\\') {
+                i++;
+            } else if (classDepth > 0) {
+                if (ch === ']') classDepth--;
+                else if (ch === '[' && this.unicodeSets) classDepth++;
+            } else if (ch === '[') {
+                classDepth = 1;
+            } else if (ch === '(' && (p[i + 1] !== '?' || (p[i + 2] === '<' && p[i + 3] !== '=' && p[i + 3] !== '!'))) {
+                count++;
+            } else if (this.extended && p.startsWith('(?P<', i)) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    parseDisjunction() {
+        const start = this.pos;
+        const alternatives = [this.parseAlternative()];
+
+        while (this.eat('|')) {
+            alternatives.push(this.parseAlternative());
+        }
+
+        if (alternatives.length === 1) return alternatives[0];
+        return { type: 'disjunction', alternatives, start, end: this.pos };
+    }
+
+    parseAlternative() {
+        const start = this.pos;
+        const terms = [];
+
+        while (this.pos < this.pattern.length && this.current() !== '|' && this.current() !== ')') {
+            terms.push(this.parseTerm());
+        }
+
+        return { type: 'alternative', terms, start, end: this.pos };
+    }
+
+    parseTerm() {
+        const atom = this.parseAtom();
+        const quantifier = this.parseQuantifier();
+        if (!quantifier) return atom;
+
+        if (!this.isQuantifiable(atom)) {
+            throw this.error('Nothing to repeat', quantifier.start);
+        }
+
+        const node = {
+            type: 'quantifier',
+            min: quantifier.min,
+            max: quantifier.max,
+            greedy: quantifier.greedy,
+            body: atom,
+            quantifierStart: quantifier.start,
+            start: atom.start,
+            end: this.pos
+        };
+        if (quantifier.possessive) node.possessive = true;
+        return node;
+    }
+
+    isQuantifiable(atom) {
+        if (atom.type === 'assertion' || atom.type === 'inline-flags') return false;
+        if (atom.type === 'group' && atom.kind.includes('lookbehind')) return false;
+        if (atom.type === 'group' && atom.kind.includes('lookahead')) return !this.unicode;
+        return true;
+    }
+
+    parseQuantifier() {
+        const start = this.pos;
+        let min;
+        let max;
+
+        switch (this.current()) {
+            case '*':
+                min = 0;
+                max = Infinity;
+                this.pos++;
+                break;
+            case '+':
+                min = 1;
+                max = Infinity;
+                this.pos++;
+                break;
+            case '?':
+                min = 0;
+                max = 1;
+                this.pos++;
+                break;
+            case '{': {
+                const braces = this.matchBraceQuantifier();
+                if (!braces) {
+                    if (this.unicode) throw this.error('Incomplete quantifier');
+                    return null;
+                }
+                min = braces.min;
+                max = braces.max;
+                this.pos += braces.length;
+                if (max < min) throw this.error('numbers out of order in {} quantifier', start);
+                break;
+            }
+            default:
+                return null;
+        }
+
+        const greedy = !this.eat('?');
+        const possessive = this.extended && greedy && this.eat('+');
+        return { min, max, greedy, possessive, start };
+    }
+
+    matchBraceQuantifier() {
+        const match = /^\{(\d+)(,(\d*))?\}/.exec(this.pattern.slice(this.pos));
+        if (!match) return null;
+
+        const min = parseInt(match[1], 10);
+        let max = min;
+        if (match[2]) {
+            max = match[3] === '' ? Infinity : parseInt(match[3], 10);
+        }
+        return { min, max, length: match[0].length };
+    }
+
+    parseAtom() {
+        const start = this.pos;
+        const ch = this.current();
+
+        switch (ch) {
+            case '^':
+                this.pos++;
+                return { type: 'assertion', kind: 'start', start, end: this.pos };
+            case '$':
+                this.pos++;
+                return { type: 'assertion', kind: 'end', start, end: this.pos };
+            case '.':
+                this.pos++;
+                return { type: 'dot', start, end: this.pos };
+            case '(':
+                return this.parseGroup();
+            case '[':
+                return this.parseClass();
+            case '\\':
+                return this.parseAtomEscape();
+            case '*':
+            case '+':
+            case '?':
+                throw this.error('Nothing to repeat');
+            case '{':
+                if (this.unicode) throw this.error('Lone quantifier brackets');
+                if (this.matchBraceQuantifier()) throw this.error('Nothing to repeat');
+                return this.parseLiteral();
+            case '}':
+            case ']':
+                if (this.unicode) throw this.error('Lone quantifier brackets');
+                return this.parseLiteral();
+            default:
+                return this.parseLiteral();
+        }
+    }
+
+    parseLiteral() {
+        const start = this.pos;
+        const value = this.readCodePoint();
+        return { type: 'char', kind: 'literal', value, start, end: this.pos };
+    }
+
+    parseGroup() {
+        const start = this.pos;
+        this.pos++;
+
+        let kind = 'capture';
+        let name;
+        let modifiers;
+        let syntax;
+
+        if (this.eat('?')) {
+            if (this.eat(':')) {
+                kind = 'noncapture';
+            } else if (this.eat('=')) {
+                kind = 'lookahead';
+            } else if (this.eat('!')) {
+                kind = 'negative-lookahead';
+            } else if (this.eatString('<=')) {
+                kind = 'lookbehind';
+            } else if (this.eatString('<!')) {
+                kind = 'negative-lookbehind';
+            } else if (this.eat('<')) {
+                name = this.parseGroupName();
+            } else if (this.extended && this.eat('>')) {
+                kind = 'atomic';
+            } else if (this.extended && this.eatString('P<')) {
+                name = this.parseGroupName();
+                syntax = 'python';
+            } else if (this.extended && this.eatString('P=')) {
+                const match = /^([$_\p{ID_Start}][$\u200C\u200D\p{ID_Continue}]*)\)/u.exec(this.pattern.slice(this.pos));
+                if (!match) throw this.error('Invalid named reference', start);
+                this.pos += match[0].length;
+                const node = { type: 'backreference', name: match[1], syntax: 'python', start, end: this.pos };
+                this.backreferences.push(node);
+                return node;
+            } else {
+                const match = /^([ims]*)(?:-([ims]*))?([:)])/.exec(this.pattern.slice(this.pos));
+                if (!match || match[0].length === 1 || (match[0].length === 2 && match[2] === '')) {
+                    throw this.error('Invalid group', start);
+                }
+                this.pos += match[0].length;
+                modifiers = { add: match[1], remove: match[2] || '' };
+
+                // (?i) without a body switches flags for the rest of the group
+                if (match[3] === ')') {
+                    if (!this.extended) throw this.error('Invalid group', start);
+                    return { type: 'inline-flags', ...modifiers, start, end: this.pos };
+                }
+                kind = 'noncapture';
+            }
+        }
+
+        let number;
+        if (kind === 'capture') {
+            number = ++this.groupCount;
+            if (name !== undefined && !this.groupNames.includes(name)) {
+                this.groupNames.push(name);
+            }
+        }
+
+        const body = this.parseDisjunction();
+        if (!this.eat(')')) {
+            throw this.error('Unterminated group', start);
+        }
+
+        const node = { type: 'group', kind, body, start, end: this.pos };
+        if (number !== undefined) node.number = number;
+        if (name !== undefined) node.name = name;
+        if (syntax) node.syntax = syntax;
+        if (modifiers) node.modifiers = modifiers;
+        if (number !== undefined) this.captures[number - 1] = node;
+        return node;
+    }
+
+    parseGroupName() {
+        const match = /^([$_\p{ID_Start}][$\u200C\u200D\p{ID_Continue}]*)>/u.exec(this.pattern.slice(this.pos));
+        if (!match) {
+            throw this.error('Invalid capture group name');
+        }
+        this.pos += match[0].length;
+        return match[1];
+    }
+
+    parseAtomEscape() {
+        const start = this.pos;
+        this.pos++;
+
+        if (this.pos >= this.pattern.length) {
+            throw this.error('\\ at end of pattern', start);
+        }
+
+        const ch = this.current();
+
+        if (ch === 'b' || ch === 'B') {
+            this.pos++;
+            return { type: 'assertion', kind: ch === 'b' ? 'word-boundary' : 'non-word-boundary', start, end: this.pos };
+        }
+
+        if (this.extended && /[AzZ]/.test(ch)) {
+            this.pos++;
+            const kinds = { A: 'string-start', z: 'string-end', Z: 'string-end-newline' };
+            return { type: 'assertion', kind: kinds[ch], start, end: this.pos };
+        }
+
+        if (/[1-9]/.test(ch)) {
+            const digits = /^\d+/.exec(this.pattern.slice(this.pos))[0];
+            const number = parseInt(digits, 10);
+            if (number <= this.totalGroups) {
+                this.pos += digits.length;
+                const node = { type: 'backreference', number, start, end: this.pos };
+                this.backreferences.push(node);
+                return node;
+            }
+            if (this.unicode) throw this.error('Invalid escape', start);
+        }
+
+        if (ch === 'k' && (this.unicode || this.hasNamedGroups)) {
+            this.pos++;
+            if (!this.eat('<')) throw this.error('Invalid named reference', start);
+            const name = this.parseGroupName();
+            const node = { type: 'backreference', name, start, end: this.pos };
+            this.backreferences.push(node);
+            return node;
+        }
+
+        return this.parseClassEscape(start) || this.parseCharacterEscape(start, false);
+    }
+
+    // \d \w \s and \p{...}, shared by atoms and class contents
+    parseClassEscape(start) {
+        const ch = this.current();
+
+        if (/[dDwWsS]/.test(ch)) {
+            this.pos++;
+            const kinds = { d: 'digit', w: 'word', s: 'space' };
+            return {
+                type: 'escape-class',
+                kind: kinds[ch.toLowerCase()],
+                negated: ch === ch.toUpperCase(),
+                start,
+                end: this.pos
+            };
+        }
+
+        if ((ch === 'p' || ch === 'P') && (this.unicode || this.extended)) {
+            this.pos++;
+            const match = /^\{([A-Za-z_]+)(?:=([A-Za-z0-9_]+))?\}/.exec(this.pattern.slice(this.pos));
+            if (!match) throw this.error('Invalid property name', start);
+            this.pos += match[0].length;
+            // Other flavors know property names that ECMAScript doesn't
+            if (!this.extended) this.validateProperty(match[0], start);
+            return {
+                type: 'property',
+                name: match[1],
+                value: match[2],
+                negated: ch === 'P',
+                start,
+                end: this.pos
+            };
+        }
+
+        return null;
+    }
+
+    validateProperty(braces, start) {
+        try {
+            new RegExp(`\\p${braces}`, this.unicodeSets ? 'v' : 'u');
+        } catch (e) {
+            throw this.error('Invalid property name', start);
+        }
+    }
+
+    parseCharacterEscape(start, inClass) {
+        const ch = this.current();
+        const simple = { t: 9, n: 10, v: 11, f: 12, r: 13 };
+
+        if (simple[ch] !== undefined) {
+            this.pos++;
+            return { type: 'char', kind: 'escape', value: simple[ch], start, end: this.pos };
+        }
+
+        if (ch === 'c') {
+            const letter = this.pattern[this.pos + 1];
+            if (letter && (/[A-Za-z]/.test(letter) || (inClass && !this.unicode && /[0-9_]/.test(letter)))) {
+                this.pos += 2;
+                return { type: 'char', kind: 'control', value: letter.charCodeAt(0) % 32, start, end: this.pos };
+            }
+            if (this.unicode) throw this.error('Invalid unicode escape', start);
+            // Annex B: a lone \c is a literal backslash followed by "c"
+            return { type: 'char', kind: 'literal', value: 92, start, end: this.pos };
+        }
+
+        if (ch === '0' && !/[0-9]/.test(this.pattern[this.pos + 1] || '')) {
+            this.pos++;
+            return { type: 'char', kind: 'null', value: 0, start, end: this.pos };
+        }
+
+        if (/[0-7]/.test(ch) && !this.unicode) {
+            const match = /^(?:[0-3][0-7]{0,2}|[4-7][0-7]?)/.exec(this.pattern.slice(this.pos));
+            this.pos += match[0].length;
+            return { type: 'char', kind: 'octal', value: parseInt(match[0], 8), start, end: this.pos };
+        }
+
+        if (ch === 'x' && this.extended) {
+            const match = /^x\{([0-9A-Fa-f]+)\}/.exec(this.pattern.slice(this.pos));
+            if (match && parseInt(match[1], 16) <= 0x10FFFF) {
+                this.pos += match[0].length;
+                return { type: 'char', kind: 'hex-braced', value: parseInt(match[1], 16), start, end: this.pos };
+            }
+        }
+
+        if (ch === 'x') {
+            const match = /^x([0-9A-Fa-f]{2})/.exec(this.pattern.slice(this.pos));
+            if (match) {
+                this.pos += match[0].length;
+                return { type: 'char', kind: 'hex', value: parseInt(match[1], 16), start, end: this.pos };
+            }
+            if (this.unicode) throw this.error('Invalid escape', start);
+        }
+
+        if (ch === 'u') {
+            const node = this.parseUnicodeEscape(start);
+            if (node) return node;
+            if (this.unicode) throw this.error('Invalid Unicode escape', start);
+        }
+
+        if (this.unicode) {
+            const allowed = inClass ? '^$\\.*+?()[]{}|/-' : '^$\\.*+?()[]{}|/';
+            if (!allowed.includes(ch)) throw this.error('Invalid escape', start);
+        } else if (ch === 'k' && this.hasNamedGroups) {
+            throw this.error('Invalid named reference', start);
+        }
+
+        const value = this.readCodePoint();
+        return { type: 'char', kind: 'identity', value, start, end: this.pos };
+    }
+
+    parseUnicodeEscape(start) {
+        const rest = this.pattern.slice(this.pos);
+
+        if (this.unicode) {
+            const braces = /^u\{([0-9A-Fa-f]+)\}/.exec(rest);
+            if (braces) {
+                const value = parseInt(braces[1], 16);
+                if (value > 0x10FFFF) throw this.error('Invalid Unicode escape', start);
+                this.pos += braces[0].length;
+                return { type: 'char', kind: 'codepoint', value, start, end: this.pos };
+            }
+
+            const pair = /^u(D[89AB][0-9A-Fa-f]{2})\\u(D[C-F][0-9A-Fa-f]{2})/i.exec(rest);
+            if (pair) {
+                const high = parseInt(pair[1], 16);
+                const low = parseInt(pair[2], 16);
+                this.pos += pair[0].length;
+                return {
+                    type: 'char',
+                    kind: 'unicode',
+                    value: (high - 0xD800) * 0x400 + (low - 0xDC00) + 0x10000,
+                    start,
+                    end: this.pos
+                };
+            }
+        }
+
+        const match = /^u([0-9A-Fa-f]{4})/.exec(rest);
+        if (!match) return null;
+        this.pos += match[0].length;
+        return { type: 'char', kind: 'unicode', value: parseInt(match[1], 16), start, end: this.pos };
+    }
+
+    parseClass() {
+        const start = this.pos;
+        this.pos++;
+        const negated = this.eat('^');
+
+        if (this.unicodeSets) {
+            return this.parseClassSet(start, negated);
+        }
+
+        const items = [];
+        while (this.current() !== ']') {
+            if (this.pos >= this.pattern.length) {
+                throw this.error('Unterminated character class', start);
+            }
+
+            const posix = this.extended && /^\[:(\^?)([a-z]+):\]/.exec(this.pattern.slice(this.pos));
+            if (posix) {
+                items.push({ type: 'posix-class', name: posix[2], negated: posix[1] === '^', start: this.pos, end: this.pos + posix[0].length });
+                this.pos += posix[0].length;
+                continue;
+            }
+
+            const atom = this.parseClassAtom();
+            if (this.current() === '-' && this.pattern[this.pos + 1] !== ']' && this.pos + 1 < this.pattern.length) {
+                const dash = this.pos;
+                this.pos++;
+                const to = this.parseClassAtom();
+
+                if (atom.type !== 'char' || to.type !== 'char') {
+                    if (this.unicode) throw this.error('Invalid character class', atom.start);
+                    items.push(atom, { type: 'char', kind: 'literal', value: 45, start: dash, end: dash + 1 }, to);
+                    continue;
+                }
+                if (atom.value > to.value) {
+                    throw this.error('Range out of order in character class', atom.start);
+                }
+                items.push({ type: 'range', from: atom, to, start: atom.start, end: to.end });
+            } else {
+                items.push(atom);
+            }
+        }
+        this.pos++;
+
+        return { type: 'class', negated, items, start, end: this.pos };
+    }
+
+    // v-flag classes: nested classes, \q{...} strings, -- and && operators
+    parseClassSet(start, negated) {
+        const items = [];
+        let operation = 'union';
+
+        while (this.current() !== ']') {
+            if (this.pos >= this.pattern.length) {
+                throw this.error('Unterminated character class', start);
+            }
+
+            const operatorStart = this.pos;
+            const operator = this.eatString('--') ? 'subtraction' : this.eatString('&&') ? 'intersection' : null;
+            if (operator) {
+                if ((operation !== 'union' && operation !== operator) || (operation === 'union' && items.length !== 1)) {
+                    throw this.error('Invalid set operation in character class', operatorStart);
+                }
+                operation = operator;
+                continue;
+            }
+
+            if (this.current() === '[') {
+                items.push(this.parseClass());
+            } else if (this.pattern.startsWith('\\q{', this.pos)) {
+                items.push(this.parseClassStrings());
+            } else {
+                const atom = this.parseClassAtom();
+                if (this.current() === '-' && this.pattern[this.pos + 1] !== '-') {
+                    this.pos++;
+                    const to = this.parseClassAtom();
+                    if (atom.type !== 'char' || to.type !== 'char') {
+                        throw this.error('Invalid character class', atom.start);
+                    }
+                    if (atom.value > to.value) {
+                        throw this.error('Range out of order in character class', atom.start);
+                    }
+                    items.push({ type: 'range', from: atom, to, start: atom.start, end: to.end });
+                } else {
+                    items.push(atom);
+                }
+            }
+        }
+        this.pos++;
+
+        return { type: 'class', negated, operation, items, start, end: this.pos };
+    }
+
+    parseClassStrings() {
+        const start = this.pos;
+        this.pos += 3;
+        const strings = [''];
+
+        while (this.current() !== '}') {
+            if (this.pos >= this.pattern.length) throw this.error('Invalid escape', start);
+            if (this.eat('|')) {
+                strings.push('');
+            } else if (this.current() === '\\') {
+                const escapeStart = this.pos;
+                this.pos++;
+                const node = this.parseCharacterEscape(escapeStart, true);
+                strings[strings.length - 1] += String.fromCodePoint(node.value);
+            } else {
+                strings[strings.length - 1] += String.fromCodePoint(this.readCodePoint());
+            }
+        }
+        this.pos++;
+
+        return { type: 'class-strings', strings, start, end: this.pos };
+    }
+
+    parseClassAtom() {
+        const start = this.pos;
+
+        if (this.current() !== '\\') {
+            return this.parseLiteral();
+        }
+
+        this.pos++;
+        if (this.pos >= this.pattern.length) {
+            throw this.error('\\ at end of pattern', start);
+        }
+
+        if (this.current() === 'b') {
+            this.pos++;
+            return { type: 'char', kind: 'escape', value: 8, start, end: this.pos };
+        }
+
+        if (this.unicode && /[1-9]/.test(this.current())) {
+            throw this.error('Invalid class escape', start);
+        }
+
+        return this.parseClassEscape(start) || this.parseCharacterEscape(start, true);
+    }
+
+    readCodePoint() {
+        const value = this.unicode ? this.pattern.codePointAt(this.pos) : this.pattern.charCodeAt(this.pos);
+        this.pos += value > 0xFFFF ? 2 : 1;
+        return value;
+    }
+
+    current() {
+        return this.pattern[this.pos];
+    }
+
+    eat(ch) {
+        if (this.pattern[this.pos] === ch) {
+            this.pos++;
+            return true;
+        }
+        return false;
+    }
+
+    eatString(str) {
+        if (this.pattern.startsWith(str, this.pos)) {
+            this.pos += str.length;
+            return true;
+        }
+        return false;
+    }
+
+    error(message, position = this.pos) {
+        return new RegexSyntaxError(message, position);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RegexParser;
+}
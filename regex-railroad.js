@@ -0,0 +1,361 @@
+// RegEx Tester Pro - Railroad Diagrams
+// Lays a RegexParser AST out as a railroad diagram and returns standalone
+// SVG markup. Every layout item knows its width and how far it reaches above
+// (up) and below (down) the track, and draws itself with the track entering
+// on the left and leaving on the right at the same height. Nodes carry
+// data-start/data-end offsets into the pattern; the embedded styles fall
+// back to fixed colors so an exported file looks the same outside the app.
+
+class RegexRailroad {
+    static render(pattern, flags = '') {
+        const ast = RegexParser.parse(pattern, flags);
+        const diagram = new RegexRailroad(pattern, flags);
+        const body = diagram.layout(ast.body);
+
+        const { MARGIN: M, RADIUS: R } = RegexRailroad;
+        const lead = 2 * R;
+        const width = Math.ceil(body.w + 2 * (M + lead));
+        const height = Math.ceil(body.up + body.down + 2 * M);
+        const y = M + body.up;
+        const endX = M + lead + body.w;
+
+        const svg = [
+            `<svg xmlns="http://www.w3.org/2000/svg" class="railroad" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+            `<style>${RegexRailroad.STYLE}</style>`,
+            `<path class="rr-line" d="M${M} ${y - 6}v12M${M} ${y}h${lead}"/>`,
+            body.draw(M + lead, y),
+            `<path class="rr-line" d="M${endX} ${y}h${lead}M${endX + lead} ${y - 6}v12"/>`,
+            '</svg>'
+        ].join('');
+
+        return { svg, width, height };
+    }
+
+    constructor(pattern, flags) {
+        this.pattern = pattern;
+        this.multiline = flags.includes('m');
+        this.dotAll = flags.includes('s');
+    }
+
+    layout(node) {
+        switch (node.type) {
+            case 'disjunction':
+                return RegexRailroad.choice(node.alternatives.map(alternative => this.layout(alternative)));
+            case 'alternative':
+                return RegexRailroad.sequence(this.layoutTerms(node.terms));
+            case 'group':
+                return this.layoutGroup(node);
+            case 'quantifier':
+                return this.layoutQuantifier(node);
+            default:
+                return this.layoutAtom(node);
+        }
+    }
+
+    // Runs of plain characters become one box
+    layoutTerms(terms) {
+        const items = [];
+        let run = [];
+
+        const flush = () => {
+            if (run.length === 0) return;
+            const text = run.map(node => this.charLabel(node)).join('');
+            items.push(RegexRailroad.box(text, 'literal', run[0].start, run[run.length - 1].end, this.source(run[0].start, run[run.length - 1].end)));
+            run = [];
+        };
+
+        terms.forEach(term => {
+            if (term.type === 'char') {
+                run.push(term);
+                return;
+            }
+            flush();
+            items.push(this.layout(term));
+        });
+        flush();
+
+        return items;
+    }
+
+    layoutGroup(node) {
+        const body = this.layout(node.body);
+        const labels = {
+            lookahead: 'followed by',
+            'negative-lookahead': 'not followed by',
+            lookbehind: 'preceded by',
+            'negative-lookbehind': 'not preceded by',
+            atomic: 'atomic'
+        };
+
+        if (node.kind === 'capture') {
+            const label = node.name ? `#${node.number} ${node.name}` : `#${node.number}`;
+            return RegexRailroad.group(body, label, 'capture', node, ((node.number - 1) % 8) + 1);
+        }
+        if (labels[node.kind]) {
+            return RegexRailroad.group(body, labels[node.kind], node.kind.startsWith('negative') ? 'negative' : 'lookaround', node);
+        }
+        if (node.modifiers) {
+            const { add, remove } = node.modifiers;
+            return RegexRailroad.group(body, `flags ${add}${remove ? `-${remove}` : ''}`, 'modifiers', node);
+        }
+        return body;
+    }
+
+    layoutQuantifier(node) {
+        const { min, max, greedy } = node;
+        let item = this.layout(node.body);
+        if (min === 1 && max === 1) return item;
+
+        const lazy = greedy ? '' : ', lazy';
+        if (max > 1) {
+            let times;
+            if (max === Infinity) {
+                times = `${Math.max(min, 1)}+ times`;
+            } else if (min === max) {
+                times = `${max} times`;
+            } else {
+                times = `${Math.max(min, 1)}-${max} times`;
+            }
+            item = RegexRailroad.repeat(item, times + lazy);
+        }
+        if (min === 0) {
+            item = RegexRailroad.optional(item, max === 0 ? '0 times' : (max === 1 ? lazy.slice(2) : ''));
+        }
+
+        // The quantifier itself (e.g. {2,5}) is clickable through the loop
+        return RegexRailroad.target(item, node);
+    }
+
+    layoutAtom(node) {
+        const source = this.source(node.start, node.end);
+        const escapeLabels = { digit: 'digit', word: 'word char', space: 'whitespace' };
+
+        switch (node.type) {
+            case 'char':
+                return RegexRailroad.box(this.charLabel(node), 'literal', node.start, node.end, source);
+            case 'dot':
+                return RegexRailroad.box(this.dotAll ? 'any char' : 'any except newline', 'class', node.start, node.end, source);
+            case 'escape-class':
+                return RegexRailroad.box(`${node.negated ? 'non-' : ''}${escapeLabels[node.kind]}`, 'class', node.start, node.end, source);
+            case 'class':
+            case 'property':
+                return RegexRailroad.box(source, 'class', node.start, node.end, source);
+            case 'backreference':
+                return RegexRailroad.box(`back-reference ${node.name || `#${node.number}`}`, 'reference', node.start, node.end, source);
+            case 'assertion': {
+                const labels = {
+                    start: this.multiline ? 'start of line' : 'start of input',
+                    end: this.multiline ? 'end of line' : 'end of input',
+                    'word-boundary': 'word boundary',
+                    'non-word-boundary': 'not word boundary',
+                    'string-start': 'start of input',
+                    'string-end': 'end of input',
+                    'string-end-newline': 'end of input'
+                };
+                return RegexRailroad.box(labels[node.kind] || source, 'assertion', node.start, node.end, source);
+            }
+            default:
+                return RegexRailroad.box(source, 'assertion', node.start, node.end, source);
+        }
+    }
+
+    charLabel(node) {
+        if (node.value === 32) return '␣';
+        if (node.value < 32 || node.value === 127) return this.source(node.start, node.end);
+        return String.fromCodePoint(node.value);
+    }
+
+    source(start, end) {
+        return this.pattern.slice(start, end);
+    }
+
+    // Layout items: { w, up, down, draw(x, y) }
+
+    static box(text, kind, start, end, title) {
+        const { CHAR_WIDTH, PADDING, BOX_HEIGHT: H } = RegexRailroad;
+        const label = [...text].length > RegexRailroad.MAX_LABEL
+            ? `${[...text].slice(0, RegexRailroad.MAX_LABEL - 1).join('')}…`
+            : text;
+        const w = [...label].length * CHAR_WIDTH + 2 * PADDING;
+        const esc = RegexRailroad.escape;
+
+        return {
+            w,
+            up: H / 2,
+            down: H / 2,
+            draw: (x, y) =>
+                `<g class="rr-node rr-${kind}" data-start="${start}" data-end="${end}">` +
+                `<title>${esc(title)}</title>` +
+                `<rect x="${x}" y="${y - H / 2}" width="${w}" height="${H}" rx="${kind === 'literal' ? H / 2 : 3}"/>` +
+                `<text x="${x + w / 2}" y="${y + 4}">${esc(label)}</text>` +
+                '</g>'
+        };
+    }
+
+    static sequence(items) {
+        const gap = RegexRailroad.GAP;
+        if (items.length === 0) return { w: 0, up: 0, down: 0, draw: () => '' };
+
+        return {
+            w: items.reduce((total, item) => total + item.w, 0) + gap * (items.length - 1),
+            up: Math.max(...items.map(item => item.up)),
+            down: Math.max(...items.map(item => item.down)),
+            draw: (x, y) => {
+                let out = '';
+                items.forEach((item, i) => {
+                    if (i > 0) {
+                        out += `<path class="rr-line" d="M${x} ${y}h${gap}"/>`;
+                        x += gap;
+                    }
+                    out += item.draw(x, y);
+                    x += item.w;
+                });
+                return out;
+            }
+        };
+    }
+
+    // The first branch stays on the track, the others hang below it
+    static choice(branches) {
+        const { RADIUS: R, SPACING } = RegexRailroad;
+        const inner = Math.max(...branches.map(branch => branch.w));
+        const offsets = [0];
+        for (let i = 1; i < branches.length; i++) {
+            const previous = offsets[i - 1] + branches[i - 1].down + SPACING + branches[i].up;
+            offsets.push(Math.max(previous, offsets[i - 1] + 2 * R));
+        }
+        const last = branches.length - 1;
+
+        return {
+            w: inner + 4 * R,
+            up: branches[0].up,
+            down: offsets[last] + branches[last].down,
+            draw: (x, y) => {
+                let out = '';
+                branches.forEach((branch, i) => {
+                    const drop = offsets[i];
+                    const left = x + 2 * R;
+                    const right = left + inner;
+                    if (i === 0) {
+                        out += `<path class="rr-line" d="M${x} ${y}h${2 * R}M${left + branch.w} ${y}H${x + inner + 4 * R}"/>`;
+                    } else {
+                        out += `<path class="rr-line" d="M${x} ${y}a${R} ${R} 0 0 1 ${R} ${R}v${drop - 2 * R}a${R} ${R} 0 0 0 ${R} ${R}` +
+                            `M${left + branch.w} ${y + drop}H${right}a${R} ${R} 0 0 0 ${R} ${-R}v${2 * R - drop}a${R} ${R} 0 0 1 ${R} ${-R}"/>`;
+                    }
+                    out += branch.draw(left, y + drop);
+                });
+                return out;
+            }
+        };
+    }
+
+    // A bypass arching over the item
+    static optional(item, label = '') {
+        const { RADIUS: R, SPACING } = RegexRailroad;
+        const rise = Math.max(item.up + SPACING, 2 * R) + (label ? RegexRailroad.LABEL_HEIGHT : 0);
+        const w = item.w + 4 * R;
+
+        return {
+            w,
+            up: rise,
+            down: item.down,
+            draw: (x, y) => {
+                const bypass = label ? rise - RegexRailroad.LABEL_HEIGHT : rise;
+                let out = `<path class="rr-line" d="M${x} ${y}h${2 * R}M${x + 2 * R + item.w} ${y}h${2 * R}` +
+                    `M${x} ${y}a${R} ${R} 0 0 0 ${R} ${-R}v${2 * R - bypass}a${R} ${R} 0 0 1 ${R} ${-R}h${item.w}` +
+                    `a${R} ${R} 0 0 1 ${R} ${R}v${bypass - 2 * R}a${R} ${R} 0 0 0 ${R} ${R}"/>`;
+                if (label) {
+                    out += `<text class="rr-label" x="${x + w / 2}" y="${y - bypass - 4}">${RegexRailroad.escape(label)}</text>`;
+                }
+                return out + item.draw(x + 2 * R, y);
+            }
+        };
+    }
+
+    // A loop back underneath the item, labelled with the repeat count
+    static repeat(item, label) {
+        const { RADIUS: R, SPACING, LABEL_HEIGHT } = RegexRailroad;
+        const drop = Math.max(item.down + SPACING, 2 * R);
+        const w = item.w + 4 * R;
+
+        return {
+            w,
+            up: item.up,
+            down: drop + LABEL_HEIGHT,
+            draw: (x, y) => {
+                const left = x + 2 * R;
+                const right = left + item.w;
+                return `<path class="rr-line" d="M${x} ${y}h${2 * R}M${right} ${y}h${2 * R}` +
+                    `M${right} ${y}a${R} ${R} 0 0 1 ${R} ${R}v${drop - 2 * R}a${R} ${R} 0 0 1 ${-R} ${R}h${-item.w}` +
+                    `a${R} ${R} 0 0 1 ${-R} ${-R}v${2 * R - drop}a${R} ${R} 0 0 1 ${R} ${-R}"/>` +
+                    `<text class="rr-label" x="${x + w / 2}" y="${y + drop + LABEL_HEIGHT - 2}">${RegexRailroad.escape(label)}</text>` +
+                    item.draw(left, y);
+            }
+        };
+    }
+
+    // A labelled frame around a group's body
+    static group(item, label, kind, node, color = null) {
+        const { CHAR_WIDTH, FRAME_PADDING: P, LABEL_HEIGHT } = RegexRailroad;
+        const w = Math.max(item.w + 2 * P, label.length * CHAR_WIDTH + 2 * P);
+        const colorClass = color ? ` group-color-${color}` : '';
+
+        return {
+            w,
+            up: item.up + P + LABEL_HEIGHT,
+            down: item.down + P,
+            draw: (x, y) => {
+                const left = x + (w - item.w) / 2;
+                const top = y - item.up - P - LABEL_HEIGHT;
+                return `<g class="rr-group rr-${kind}${colorClass}" data-start="${node.start}" data-end="${node.end}">` +
+                    `<rect x="${x}" y="${top}" width="${w}" height="${item.up + item.down + 2 * P + LABEL_HEIGHT}" rx="4"/>` +
+                    `<text class="rr-label" x="${x + P}" y="${top + LABEL_HEIGHT - 2}">${RegexRailroad.escape(label)}</text>` +
+                    `<path class="rr-line" d="M${x} ${y}H${left}M${left + item.w} ${y}H${x + w}"/>` +
+                    item.draw(left, y) +
+                    '</g>';
+            }
+        };
+    }
+
+    // Wraps an item so that clicking its lines selects the whole node
+    static target(item, node) {
+        return {
+            ...item,
+            draw: (x, y) => `<g class="rr-quantifier" data-start="${node.start}" data-end="${node.end}">${item.draw(x, y)}</g>`
+        };
+    }
+
+    static escape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+}
+
+RegexRailroad.BOX_HEIGHT = 24;
+RegexRailroad.CHAR_WIDTH = 7.5;
+RegexRailroad.PADDING = 10;
+RegexRailroad.GAP = 10;
+RegexRailroad.RADIUS = 10;
+RegexRailroad.SPACING = 8;
+RegexRailroad.LABEL_HEIGHT = 14;
+RegexRailroad.FRAME_PADDING = 8;
+RegexRailroad.MARGIN = 10;
+RegexRailroad.MAX_LABEL = 32;
+RegexRailroad.STYLE = [
+    '.railroad text{font:12px Monaco,Menlo,"Ubuntu Mono",monospace;fill:var(--text-primary,#1e293b);text-anchor:middle}',
+    '.railroad .rr-label{font-size:10px;fill:var(--text-secondary,#64748b)}',
+    '.railroad .rr-group>.rr-label{text-anchor:start}',
+    '.railroad .rr-line{fill:none;stroke:var(--text-secondary,#64748b);stroke-width:1.5}',
+    '.railroad .rr-node rect{stroke-width:1.5}',
+    '.railroad .rr-literal rect{fill:rgba(37,99,235,.12);stroke:#2563eb}',
+    '.railroad .rr-class rect{fill:rgba(22,163,74,.12);stroke:#16a34a}',
+    '.railroad .rr-reference rect{fill:rgba(147,51,234,.12);stroke:#9333ea}',
+    '.railroad .rr-assertion rect{fill:rgba(217,119,6,.12);stroke:#d97706;stroke-dasharray:4 2}',
+    '.railroad .rr-group>rect{fill:none;stroke:var(--text-secondary,#64748b);stroke-dasharray:4 3}',
+    '.railroad .rr-negative>rect{stroke:#dc2626}',
+    '.railroad .group-color-1>rect{stroke:#ea580c}.railroad .group-color-2>rect{stroke:#16a34a}',
+    '.railroad .group-color-3>rect{stroke:#9333ea}.railroad .group-color-4>rect{stroke:#db2777}',
+    '.railroad .group-color-5>rect{stroke:#0891b2}.railroad .group-color-6>rect{stroke:#ca8a04}',
+    '.railroad .group-color-7>rect{stroke:#65a30d}.railroad .group-color-8>rect{stroke:#e11d48}',
+    '.railroad [data-start]{cursor:pointer}',
+    '.railroad .rr-node:hover rect{stroke-width:2.5}'
+].join('');
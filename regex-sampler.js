@@ -0,0 +1,184 @@
+// RegEx Tester Pro - String Sampler
+// Builds strings from a pattern's AST by picking an alternative, a repeat
+// count and a class member at random. Lookarounds and anchors are not
+// enforced while building, so callers that need a guaranteed match check
+// samples against the real engine. Class members come from a fixed pool of
+// characters plus those the class names, filtered through the class itself
+// so set operations, properties and case folding are always right.
+
+class RegexSampler {
+    // options: { maxRepeat, random } - maxRepeat caps how far past its minimum a quantifier repeats
+    constructor(pattern, flags = '', options = {}) {
+        this.pattern = pattern;
+        this.flags = flags;
+        this.ast = RegexSampler.Parser.parse(pattern, flags);
+        this.maxRepeat = options.maxRepeat !== undefined ? options.maxRepeat : RegexSampler.MAX_REPEAT;
+        this.random = options.random || Math.random;
+        this.memberCache = new Map();
+        // Only the flags that change what a single atom accepts
+        this.atomFlags = flags.replace(/[^isuv]/g, '');
+    }
+
+    // One string, or null when some part of the pattern can't be satisfied or it grew past the limit
+    sample(limit = RegexSampler.MAX_SAMPLE_LENGTH) {
+        const state = { captures: [], names: {}, limit };
+        try {
+            return this.generate(this.ast.body, state);
+        } catch (error) {
+            if (error === RegexSampler.GIVE_UP) return null;
+            throw error;
+        }
+    }
+
+    // Up to count distinct samples of at most maxLength characters
+    samples(count, maxLength = RegexSampler.MAX_SAMPLE_LENGTH, attempts = count * 10) {
+        const found = new Set();
+        for (let i = 0; i < attempts && found.size < count; i++) {
+            const string = this.sample(maxLength);
+            if (string !== null && [...string].length <= maxLength) found.add(string);
+        }
+        return [...found];
+    }
+
+    generate(node, state) {
+        switch (node.type) {
+            case 'disjunction':
+                return this.generate(this.pick(node.alternatives), state);
+            case 'alternative':
+                return node.terms.map(term => this.generate(term, state)).join('');
+            case 'quantifier': {
+                const upper = Math.min(node.max, node.min + this.maxRepeat);
+                const count = node.min + Math.floor(this.random() * (upper - node.min + 1));
+                let text = '';
+                for (let i = 0; i < count; i++) {
+                    text += this.generate(node.body, state);
+                    if (text.length > state.limit) throw RegexSampler.GIVE_UP;
+                }
+                return text;
+            }
+            case 'group':
+                return this.generateGroup(node, state);
+            case 'backreference':
+                return (node.name !== undefined ? state.names[node.name] : state.captures[node.number]) || '';
+            case 'char':
+                return String.fromCodePoint(node.value);
+            case 'dot':
+            case 'class':
+            case 'escape-class':
+            case 'property':
+                return this.pick(this.members(node));
+            default:
+                // Assertions, inline flags and anything else that consumes nothing
+                return '';
+        }
+    }
+
+    generateGroup(node, state) {
+        if (node.kind.includes('look')) return '';
+
+        const text = this.generate(node.body, state);
+        if (node.kind === 'capture') {
+            state.captures[node.number] = text;
+            if (node.name) state.names[node.name] = text;
+        }
+        return text;
+    }
+
+    // Every pool string the atom accepts on its own, cached per node
+    members(node) {
+        if (this.memberCache.has(node.start)) return this.memberCache.get(node.start);
+
+        const candidates = new Set(RegexSampler.POOL);
+        RegexSampler.mentioned(node).forEach(string => candidates.add(string));
+
+        const regex = new RegExp(`^(?:${this.pattern.slice(node.start, node.end)})$`, this.atomFlags);
+        const members = [...candidates].filter(string => regex.test(string));
+        this.memberCache.set(node.start, members);
+        return members;
+    }
+
+    // Characters and strings a class spells out, so ranges far from ASCII still get members
+    static mentioned(node) {
+        switch (node.type) {
+            case 'char':
+                return [String.fromCodePoint(node.value)];
+            case 'range':
+                return [node.from.value, Math.floor((node.from.value + node.to.value) / 2), node.to.value]
+                    .map(value => String.fromCodePoint(value));
+            case 'class-strings':
+                return node.strings;
+            case 'class':
+                return node.items.flatMap(item => RegexSampler.mentioned(item));
+            default:
+                return [];
+        }
+    }
+
+    pick(items) {
+        if (items.length === 0) throw RegexSampler.GIVE_UP;
+        return items[Math.floor(this.random() * items.length)];
+    }
+
+    // Every string one edit away: a character deleted, inserted, replaced or two swapped
+    static mutations(string, alphabet, limit = Infinity) {
+        const chars = [...string];
+        const results = new Set();
+        const add = variant => {
+            if (results.size < limit && variant !== string) results.add(variant);
+        };
+
+        for (let i = 0; i <= chars.length; i++) {
+            if (i < chars.length) add([...chars.slice(0, i), ...chars.slice(i + 1)].join(''));
+            if (i + 1 < chars.length) add([...chars.slice(0, i), chars[i + 1], chars[i], ...chars.slice(i + 2)].join(''));
+            alphabet.forEach(ch => {
+                add([...chars.slice(0, i), ch, ...chars.slice(i)].join(''));
+                if (i < chars.length) add([...chars.slice(0, i), ch, ...chars.slice(i + 1)].join(''));
+            });
+        }
+        return [...results];
+    }
+
+    // Characters worth trying in edits: the pattern's own literals plus a few of each kind
+    static alphabet(patterns, limit = RegexSampler.MAX_ALPHABET) {
+        const chars = new Set();
+        patterns.forEach(({ pattern, flags }) => {
+            try {
+                RegexSampler.collectLiterals(RegexSampler.Parser.parse(pattern, flags).body, chars);
+            } catch (error) {
+                // An invalid pattern contributes nothing
+            }
+        });
+        RegexSampler.FILLER.forEach(ch => chars.add(ch));
+        return [...chars].slice(0, limit);
+    }
+
+    static collectLiterals(node, chars) {
+        if (!node || typeof node !== 'object') return;
+        if (node.type === 'char') {
+            chars.add(String.fromCodePoint(node.value));
+            return;
+        }
+        ['body', 'from', 'to'].forEach(key => RegexSampler.collectLiterals(node[key], chars));
+        ['alternatives', 'terms', 'items'].forEach(key => {
+            if (Array.isArray(node[key])) node[key].forEach(child => RegexSampler.collectLiterals(child, chars));
+        });
+    }
+}
+
+RegexSampler.GIVE_UP = Symbol('give up');
+RegexSampler.MAX_REPEAT = 3;
+RegexSampler.MAX_SAMPLE_LENGTH = 64;
+RegexSampler.MAX_ALPHABET = 16;
+// Printable ASCII, common whitespace and one character from several scripts
+RegexSampler.POOL = [
+    ...Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)),
+    '\t', '\n', '\r', '\u00A0', 'é', 'ß', 'Ж', 'α', 'ع', 'א', '中', 'あ', '한', '١', '😀'
+];
+RegexSampler.FILLER = ['a', 'Z', '0', '_', ' ', '\n', '-', '.'];
+
+// A global in the page and the worker, a require() under Node
+RegexSampler.Parser = typeof module !== 'undefined' && module.exports ? require('./regex-parser.js') : RegexParser;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RegexSampler;
+}
@@ -0,0 +1,138 @@
+// RegEx Tester Pro - Share Links
+// A link's fragment is v<version>.<codec>.<payload>. The payload is the
+// workspace as UTF-8 JSON, deflated when the browser has CompressionStream
+// (codec z) and stored as-is otherwise (codec j), then base64url encoded.
+// Fragments without a version prefix are the original btoa(JSON) links.
+
+class ShareLinkError extends Error {
+    // reason is 'malformed', 'newer' or 'unsupported'
+    constructor(message, reason) {
+        super(message);
+        this.name = 'ShareLinkError';
+        this.reason = reason;
+    }
+}
+
+class RegexShareLink {
+    static async encode(workspace) {
+        const json = new TextEncoder().encode(JSON.stringify(RegexShareLink.normalize(workspace)));
+        const compress = typeof CompressionStream !== 'undefined';
+        const bytes = compress
+            ? await RegexShareLink.pipe(json, new CompressionStream('deflate-raw'))
+            : json;
+
+        return `v${RegexShareLink.VERSION}.${compress ? 'z' : 'j'}.${RegexShareLink.toBase64Url(bytes)}`;
+    }
+
+    static async decode(fragment) {
+        const versioned = /^v(\d+)\.(.*)$/s.exec(fragment);
+        if (!versioned) return RegexShareLink.decodeLegacy(fragment);
+
+        const version = parseInt(versioned[1]);
+        if (version > RegexShareLink.VERSION) {
+            throw new ShareLinkError(`This link was made by a newer version of RegEx Tester Pro (format ${version})`, 'newer');
+        }
+
+        const parts = /^([zj])\.([A-Za-z0-9_-]*)$/.exec(versioned[2]);
+        if (version !== RegexShareLink.VERSION || !parts) {
+            throw new ShareLinkError('This link is not a valid share link', 'malformed');
+        }
+
+        let bytes = RegexShareLink.fromBase64Url(parts[2]);
+        if (parts[1] === 'z') {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new ShareLinkError('This browser cannot open compressed share links', 'unsupported');
+            }
+            try {
+                bytes = await RegexShareLink.pipe(bytes, new DecompressionStream('deflate-raw'));
+            } catch (e) {
+                throw new ShareLinkError('This link is incomplete - it may have been cut off when copied', 'malformed');
+            }
+        }
+
+        let data;
+        try {
+            data = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(bytes));
+        } catch (e) {
+            throw new ShareLinkError('This link is incomplete - it may have been cut off when copied', 'malformed');
+        }
+        return RegexShareLink.validate(data);
+    }
+
+    // { regex, testString, flags, tests } encoded with btoa
+    static decodeLegacy(fragment) {
+        let data;
+        try {
+            data = JSON.parse(atob(decodeURIComponent(fragment)));
+        } catch (e) {
+            throw new ShareLinkError('This link is not a valid share link', 'malformed');
+        }
+        if (!data || typeof data !== 'object') {
+            throw new ShareLinkError('This link is not a valid share link', 'malformed');
+        }
+
+        return RegexShareLink.validate({
+            pattern: data.regex,
+            flags: data.flags,
+            text: data.testString,
+            tests: data.tests
+        });
+    }
+
+    static validate(data) {
+        if (!data || typeof data !== 'object' || typeof data.pattern !== 'string') {
+            throw new ShareLinkError('This link does not contain a pattern', 'malformed');
+        }
+        return RegexShareLink.normalize(data);
+    }
+
+    static normalize(data) {
+        const text = value => typeof value === 'string' ? value : '';
+        return {
+            pattern: text(data.pattern),
+            flags: text(data.flags).replace(/[^dgimsuvy]/g, ''),
+            text: text(data.text),
+            mode: RegexShareLink.MODES.includes(data.mode) ? data.mode : 'match',
+            replacement: text(data.replacement),
+            tests: text(data.tests),
+            comparePattern: text(data.comparePattern),
+            compareFlags: text(data.compareFlags).replace(/[^dgimsuvy]/g, '')
+        };
+    }
+
+    static async pipe(bytes, transform) {
+        const stream = new Blob([bytes]).stream().pipeThrough(transform);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    static toBase64Url(bytes) {
+        let binary = '';
+        // Chunked so large inputs don't overflow the argument list
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        let binary;
+        try {
+            binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        } catch (e) {
+            throw new ShareLinkError('This link is incomplete - it may have been cut off when copied', 'malformed');
+        }
+
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+RegexShareLink.VERSION = 2;
+// Every mode the mode selector offers; anything else opens in match mode
+RegexShareLink.MODES = ['match', 'replace', 'batch', 'lines', 'compare', 'split', 'table'];
+// Chat apps and some browsers start truncating URLs around this length
+RegexShareLink.LONG_LINK = 8000;
@@ -0,0 +1,107 @@
+// RegEx Tester Pro - Test Suites
+// One case per line:
+//   + text              should match
+//   - text              should not match
+//   +[1=abc] text       should match with group 1 equal to "abc"
+//   +[name=abc] text    the same for a named group; [0=...] is the whole match
+// Blank lines and lines starting with # are ignored.
+
+class RegexTestSuite {
+    static parse(source) {
+        const cases = [];
+
+        source.split('\n').forEach((raw, i) => {
+            const line = i + 1;
+            const text = raw.replace(/\r$/, '');
+            if (text.trim() === '' || text.trimStart().startsWith('#')) return;
+
+            const tag = text[0];
+            if (tag !== '+' && tag !== '-') {
+                cases.push({ line, error: 'Start the line with + (should match) or - (should not match)' });
+                return;
+            }
+
+            let rest = text.slice(1);
+            const groups = [];
+            let expectation;
+            while ((expectation = /^\[([^\]=]+)=([^\]]*)\]/.exec(rest)) !== null) {
+                const key = expectation[1].trim();
+                if (!/^(\d+|[\p{ID_Start}$_][\p{ID_Continue}$\u200C\u200D]*)$/u.test(key)) {
+                    cases.push({ line, error: `"${key}" is not a group number or name` });
+                    return;
+                }
+                groups.push({ group: /^\d+$/.test(key) ? parseInt(key) : key, value: expectation[2] });
+                rest = rest.slice(expectation[0].length);
+            }
+
+            if (tag === '-' && groups.length > 0) {
+                cases.push({ line, error: 'Group expectations only apply to cases that should match' });
+                return;
+            }
+
+            // A single space separates the tag from the input; anything after it is literal
+            cases.push({
+                line,
+                expect: tag === '+' ? 'match' : 'no-match',
+                groups,
+                input: rest.startsWith(' ') ? rest.slice(1) : rest
+            });
+        });
+
+        return cases;
+    }
+
+    // Each input is tested on its own, the way RegExp.prototype.test would see it
+    static run(pattern, flags, cases) {
+        const singleFlags = flags.replace('g', '');
+
+        const results = cases.map(testCase => {
+            if (testCase.error) {
+                return { ...testCase, pass: false, message: testCase.error };
+            }
+
+            const [match] = RegexTestSuite.Matcher.run(pattern, singleFlags, testCase.input).matches;
+
+            if (testCase.expect === 'no-match') {
+                return match
+                    ? { ...testCase, pass: false, message: `Matched "${match.match}" at ${match.index}` }
+                    : { ...testCase, pass: true, message: 'No match' };
+            }
+
+            if (!match) {
+                return { ...testCase, pass: false, message: 'No match' };
+            }
+
+            for (const { group, value } of testCase.groups) {
+                const actual = RegexTestSuite.groupValue(match, group);
+                if (actual === null) {
+                    return { ...testCase, pass: false, message: `Group ${group} does not exist` };
+                }
+                if (actual !== value) {
+                    const found = actual === undefined ? 'did not participate' : `was "${actual}"`;
+                    return { ...testCase, pass: false, message: `Group ${group} ${found}, expected "${value}"` };
+                }
+            }
+
+            return { ...testCase, pass: true, message: `Matched "${match.match}" at ${match.index}` };
+        });
+
+        const passed = results.filter(result => result.pass).length;
+        return { results, passed, failed: results.length - passed };
+    }
+
+    // undefined for a group that didn't participate, null for one that doesn't exist
+    static groupValue(match, group) {
+        if (typeof group === 'number') {
+            return group < match.groups.length ? match.groups[group] : null;
+        }
+        return Object.prototype.hasOwnProperty.call(match.namedGroups, group) ? match.namedGroups[group] : null;
+    }
+}
+
+// Loaded ahead of the suite on the page and in the worker
+RegexTestSuite.Matcher = typeof module !== 'undefined' && module.exports ? require('./regex-matcher.js') : RegexMatcher;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RegexTestSuite;
+}
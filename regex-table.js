@@ -0,0 +1,86 @@
+// RegEx Tester Pro - Extract Table
+// Turns a match list into rows with one column per capture group, and sorts,
+// filters and exports them. Cells hold the raw values; a group that did not
+// participate is undefined so it can be told apart from an empty capture.
+
+class RegexTable {
+    // groupNames as returned by getGroupNames: one entry per capture group, undefined if unnamed
+    static columns(groupNames) {
+        return [
+            { key: 'number', label: '#' },
+            { key: 'match', label: 'Match' },
+            { key: 'start', label: 'Start' },
+            { key: 'end', label: 'End' },
+            ...groupNames.map((name, i) => ({
+                key: `group-${i + 1}`,
+                label: name || `Group ${i + 1}`,
+                title: name ? `Group #${i + 1}` : null
+            }))
+        ];
+    }
+
+    // → [{ match, cells }] with cells keyed by column key
+    static rows(matches, groupNames) {
+        return matches.map((match, i) => {
+            const cells = {
+                number: i + 1,
+                match: match.match,
+                start: match.index,
+                end: match.index + match.match.length
+            };
+            groupNames.forEach((name, group) => {
+                cells[`group-${group + 1}`] = match.groups[group + 1];
+            });
+            return { match, cells };
+        });
+    }
+
+    // filters: column key → text; a row is kept if every filtered cell contains its text
+    static filter(rows, filters) {
+        const active = Object.entries(filters)
+            .filter(([, text]) => text)
+            .map(([key, text]) => [key, text.toLowerCase()]);
+        if (active.length === 0) return rows;
+
+        return rows.filter(row => active.every(([key, text]) => {
+            const cell = row.cells[key];
+            return cell !== undefined && String(cell).toLowerCase().includes(text);
+        }));
+    }
+
+    // Stable; numbers compare as numbers, text naturally, and missing cells always sort last
+    static sort(rows, key, descending = false) {
+        const direction = descending ? -1 : 1;
+        return rows
+            .map((row, position) => ({ row, position }))
+            .sort((x, y) => {
+                const a = x.row.cells[key];
+                const b = y.row.cells[key];
+                if (a === undefined || b === undefined) {
+                    return (a === undefined) - (b === undefined) || x.position - y.position;
+                }
+                const order = typeof a === 'number' && typeof b === 'number'
+                    ? a - b
+                    : RegexTable.collator.compare(a, b);
+                return order * direction || x.position - y.position;
+            })
+            .map(({ row }) => row);
+    }
+
+    // Tab-separated with a header line. Cells holding tabs, line breaks or
+    // quotes are quoted the way spreadsheets expect when pasting.
+    static toTsv(columns, rows) {
+        const cell = value => {
+            if (value === undefined) return '';
+            const text = String(value);
+            return /[\t\r\n"]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [
+            columns.map(column => cell(column.label)),
+            ...rows.map(row => columns.map(column => cell(row.cells[column.key])))
+        ];
+        return lines.map(line => line.join('\t')).join('\n');
+    }
+}
+
+RegexTable.collator = new Intl.Collator(undefined, { numeric: true });
@@ -0,0 +1,246 @@
+// RegEx Tester Pro - Unicode Inspection
+// Looks up what the regex engine knows about a character: its general
+// category, script and binary properties are found by testing it against
+// \p{...} escapes, so the answers always agree with what patterns match.
+// Also lists every property escape for the property browser.
+
+class RegexUnicode {
+    // The code point at index (stepping back off a low surrogate) and the grapheme around it
+    // → { char, codePoint, start, end, units, category, script, extensions, properties, grapheme } or null
+    static inspect(text, index) {
+        if (index < 0 || index >= text.length) return null;
+
+        let start = index;
+        const code = text.charCodeAt(start);
+        if (code >= 0xDC00 && code <= 0xDFFF && start > 0) {
+            const previous = text.charCodeAt(start - 1);
+            if (previous >= 0xD800 && previous <= 0xDBFF) start--;
+        }
+        const codePoint = text.codePointAt(start);
+        const char = String.fromCodePoint(codePoint);
+
+        return {
+            char,
+            codePoint,
+            start,
+            end: start + char.length,
+            units: [...Array(char.length).keys()].map(i => char.charCodeAt(i)),
+            category: RegexUnicode.CATEGORIES.find(([short]) => /^[A-Z][a-z]$/.test(short) && RegexUnicode.test(`gc=${short}`, char)),
+            script: RegexUnicode.supportedScripts().find(name => RegexUnicode.test(`Script=${name}`, char)),
+            extensions: RegexUnicode.supportedScripts().filter(name => RegexUnicode.test(`Script_Extensions=${name}`, char)),
+            properties: RegexUnicode.BINARY.map(([name]) => name)
+                .filter(name => !['Any', 'Assigned'].includes(name) && RegexUnicode.test(name, char)),
+            grapheme: RegexUnicode.grapheme(text, start)
+        };
+    }
+
+    // The user-perceived character containing index → { text, start, end, codePoints }
+    static grapheme(text, index) {
+        let start = index;
+        let end = index + String.fromCodePoint(text.codePointAt(index)).length;
+
+        if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+            const segment = new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text).containing(index);
+            start = segment.index;
+            end = segment.index + segment.segment.length;
+        }
+
+        const cluster = text.slice(start, end);
+        return { text: cluster, start, end, codePoints: [...cluster].map(ch => ch.codePointAt(0)) };
+    }
+
+    // Whether char matches \p{body}; the regexes are compiled once
+    static test(body, char) {
+        const regex = RegexUnicode.compile(body, 'u');
+        return regex !== null && regex.test(char);
+    }
+
+    static compile(body, flags) {
+        const key = `${flags}:${body}`;
+        if (!RegexUnicode.cache.has(key)) {
+            let regex = null;
+            try {
+                regex = new RegExp(`^\\p{${body}}$`, flags);
+            } catch (error) {
+                // Not known to this browser's Unicode version
+            }
+            RegexUnicode.cache.set(key, regex);
+        }
+        return RegexUnicode.cache.get(key);
+    }
+
+    static supportedScripts() {
+        if (!RegexUnicode.scripts) {
+            RegexUnicode.scripts = RegexUnicode.SCRIPTS.filter(name => RegexUnicode.compile(`Script=${name}`, 'u') !== null);
+        }
+        return RegexUnicode.scripts;
+    }
+
+    // Every escape the browser supports → [{ escape, body, name, description, kind, unicodeSets }]
+    static properties() {
+        if (RegexUnicode.propertyList) return RegexUnicode.propertyList;
+
+        const entries = [
+            ...RegexUnicode.CATEGORIES.map(([short, name]) => ({
+                body: short, name, description: name.replace(/_/g, ' '), kind: 'Category'
+            })),
+            ...RegexUnicode.supportedScripts().map(name => ({
+                body: `Script=${name}`, name, description: `${name.replace(/_/g, ' ')} script`, kind: 'Script'
+            })),
+            ...RegexUnicode.BINARY.map(([name, description]) => ({ body: name, name, description, kind: 'Property' })),
+            ...RegexUnicode.STRINGS.map(([name, description]) => ({
+                body: name, name, description, kind: 'Strings', unicodeSets: true
+            }))
+        ];
+
+        RegexUnicode.propertyList = entries
+            .filter(entry => RegexUnicode.compile(entry.body, entry.unicodeSets ? 'v' : 'u') !== null)
+            .map(entry => ({ ...entry, escape: `\\p{${entry.body}}`, unicodeSets: Boolean(entry.unicodeSets) }));
+        return RegexUnicode.propertyList;
+    }
+
+    // Case, spaces and underscores don't matter, so "emoji pres" finds Emoji_Presentation
+    static search(query) {
+        const normalize = text => text.toLowerCase().replace(/[\s_]+/g, '');
+        const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean).map(normalize);
+        if (words.length === 0) return RegexUnicode.properties();
+
+        return RegexUnicode.properties().filter(entry => {
+            const haystack = normalize(`${entry.escape} ${entry.name} ${entry.description} ${entry.kind}`);
+            return words.every(word => haystack.includes(word));
+        });
+    }
+
+    // A short label for characters that don't show up on screen, or null
+    static invisibleName(char) {
+        const codePoint = char.codePointAt(0);
+        if (RegexUnicode.INVISIBLES[codePoint]) return RegexUnicode.INVISIBLES[codePoint];
+        if (codePoint >= 0xFE00 && codePoint <= 0xFE0F) return `VS${codePoint - 0xFE00 + 1}`;
+        if (RegexUnicode.test('Cc', char) || RegexUnicode.test('Cf', char) || RegexUnicode.test('Z', char)) {
+            return RegexUnicode.formatCodePoint(codePoint);
+        }
+        return null;
+    }
+
+    static formatCodePoint(codePoint) {
+        return `U+${codePoint.toString(16).toUpperCase().padStart(4, '0')}`;
+    }
+}
+
+RegexUnicode.cache = new Map();
+RegexUnicode.scripts = null;
+RegexUnicode.propertyList = null;
+
+// General categories, the one-letter groups first
+RegexUnicode.CATEGORIES = [
+    ['L', 'Letter'], ['LC', 'Cased_Letter'], ['M', 'Mark'], ['N', 'Number'], ['P', 'Punctuation'],
+    ['S', 'Symbol'], ['Z', 'Separator'], ['C', 'Other'],
+    ['Lu', 'Uppercase_Letter'], ['Ll', 'Lowercase_Letter'], ['Lt', 'Titlecase_Letter'], ['Lm', 'Modifier_Letter'],
+    ['Lo', 'Other_Letter'], ['Mn', 'Nonspacing_Mark'], ['Mc', 'Spacing_Mark'], ['Me', 'Enclosing_Mark'],
+    ['Nd', 'Decimal_Number'], ['Nl', 'Letter_Number'], ['No', 'Other_Number'], ['Pc', 'Connector_Punctuation'],
+    ['Pd', 'Dash_Punctuation'], ['Ps', 'Open_Punctuation'], ['Pe', 'Close_Punctuation'], ['Pi', 'Initial_Punctuation'],
+    ['Pf', 'Final_Punctuation'], ['Po', 'Other_Punctuation'], ['Sm', 'Math_Symbol'], ['Sc', 'Currency_Symbol'],
+    ['Sk', 'Modifier_Symbol'], ['So', 'Other_Symbol'], ['Zs', 'Space_Separator'], ['Zl', 'Line_Separator'],
+    ['Zp', 'Paragraph_Separator'], ['Cc', 'Control'], ['Cf', 'Format'], ['Cs', 'Surrogate'],
+    ['Co', 'Private_Use'], ['Cn', 'Unassigned']
+];
+
+// Script values as of Unicode 15; ones this browser doesn't know are left out at runtime
+RegexUnicode.SCRIPTS = [
+    'Adlam', 'Ahom', 'Anatolian_Hieroglyphs', 'Arabic', 'Armenian', 'Avestan', 'Balinese', 'Bamum', 'Bassa_Vah',
+    'Batak', 'Bengali', 'Bhaiksuki', 'Bopomofo', 'Brahmi', 'Braille', 'Buginese', 'Buhid', 'Canadian_Aboriginal',
+    'Carian', 'Caucasian_Albanian', 'Chakma', 'Cham', 'Cherokee', 'Chorasmian', 'Common', 'Coptic', 'Cuneiform',
+    'Cypriot', 'Cypro_Minoan', 'Cyrillic', 'Deseret', 'Devanagari', 'Dives_Akuru', 'Dogra', 'Duployan',
+    'Egyptian_Hieroglyphs', 'Elbasan', 'Elymaic', 'Ethiopic', 'Georgian', 'Glagolitic', 'Gothic', 'Grantha', 'Greek',
+    'Gujarati', 'Gunjala_Gondi', 'Gurmukhi', 'Han', 'Hangul', 'Hanifi_Rohingya', 'Hanunoo', 'Hatran', 'Hebrew',
+    'Hiragana', 'Imperial_Aramaic', 'Inherited', 'Inscriptional_Pahlavi', 'Inscriptional_Parthian', 'Javanese',
+    'Kaithi', 'Kannada', 'Katakana', 'Kawi', 'Kayah_Li', 'Kharoshthi', 'Khitan_Small_Script', 'Khmer', 'Khojki',
+    'Khudawadi', 'Lao', 'Latin', 'Lepcha', 'Limbu', 'Linear_A', 'Linear_B', 'Lisu', 'Lycian', 'Lydian', 'Mahajani',
+    'Makasar', 'Malayalam', 'Mandaic', 'Manichaean', 'Marchen', 'Masaram_Gondi', 'Medefaidrin', 'Meetei_Mayek',
+    'Mende_Kikakui', 'Meroitic_Cursive', 'Meroitic_Hieroglyphs', 'Miao', 'Modi', 'Mongolian', 'Mro', 'Multani',
+    'Myanmar', 'Nabataean', 'Nag_Mundari', 'Nandinagari', 'New_Tai_Lue', 'Newa', 'Nko', 'Nushu',
+    'Nyiakeng_Puachue_Hmong', 'Ogham', 'Ol_Chiki', 'Old_Hungarian', 'Old_Italic', 'Old_North_Arabian', 'Old_Permic',
+    'Old_Persian', 'Old_Sogdian', 'Old_South_Arabian', 'Old_Turkic', 'Old_Uyghur', 'Oriya', 'Osage', 'Osmanya',
+    'Pahawh_Hmong', 'Palmyrene', 'Pau_Cin_Hau', 'Phags_Pa', 'Phoenician', 'Psalter_Pahlavi', 'Rejang', 'Runic',
+    'Samaritan', 'Saurashtra', 'Sharada', 'Shavian', 'Siddham', 'SignWriting', 'Sinhala', 'Sogdian', 'Sora_Sompeng',
+    'Soyombo', 'Sundanese', 'Syloti_Nagri', 'Syriac', 'Tagalog', 'Tagbanwa', 'Tai_Le', 'Tai_Tham', 'Tai_Viet',
+    'Takri', 'Tamil', 'Tangsa', 'Tangut', 'Telugu', 'Thaana', 'Thai', 'Tibetan', 'Tifinagh', 'Tirhuta', 'Toto',
+    'Ugaritic', 'Vai', 'Vithkuqi', 'Wancho', 'Warang_Citi', 'Yezidi', 'Yi', 'Zanabazar_Square', 'Unknown'
+];
+
+// Binary properties ECMAScript supports
+RegexUnicode.BINARY = [
+    ['Any', 'Any code point'],
+    ['Assigned', 'Any assigned code point'],
+    ['ASCII', 'Code points 0-127'],
+    ['ASCII_Hex_Digit', '0-9, A-F and a-f'],
+    ['Alphabetic', 'Letters and letter-like marks and numbers'],
+    ['Bidi_Control', 'Invisible controls for bidirectional text'],
+    ['Bidi_Mirrored', 'Shown mirrored in right-to-left text, e.g. brackets'],
+    ['Case_Ignorable', 'Ignored when deciding letter case, e.g. apostrophes'],
+    ['Cased', 'Has an uppercase, lowercase or titlecase form'],
+    ['Changes_When_Casefolded', 'Changes under case folding'],
+    ['Changes_When_Casemapped', 'Changes under any case mapping'],
+    ['Changes_When_Lowercased', 'Changes when lowercased'],
+    ['Changes_When_NFKC_Casefolded', 'Changes under NFKC normalization and case folding'],
+    ['Changes_When_Titlecased', 'Changes when titlecased'],
+    ['Changes_When_Uppercased', 'Changes when uppercased'],
+    ['Dash', 'Dashes and hyphens'],
+    ['Default_Ignorable_Code_Point', 'Invisible unless a font supports it, e.g. ZWJ'],
+    ['Deprecated', 'Use is strongly discouraged'],
+    ['Diacritic', 'Modifies a preceding letter'],
+    ['Emoji', 'Characters with emoji forms (includes digits and #)'],
+    ['Emoji_Component', 'Parts of emoji sequences: skin tones, ZWJ, keycaps'],
+    ['Emoji_Modifier', 'Skin tone modifiers'],
+    ['Emoji_Modifier_Base', 'Emoji that take a skin tone'],
+    ['Emoji_Presentation', 'Shown as emoji by default'],
+    ['Extended_Pictographic', 'Pictographs, the basis of emoji sequences'],
+    ['Extender', 'Lengthens the preceding character, e.g. ー'],
+    ['Grapheme_Base', 'Starts a user-perceived character'],
+    ['Grapheme_Extend', 'Continues a user-perceived character, e.g. combining marks'],
+    ['Hex_Digit', 'Hexadecimal digits, including fullwidth ones'],
+    ['IDS_Binary_Operator', 'Ideographic description with two operands'],
+    ['IDS_Trinary_Operator', 'Ideographic description with three operands'],
+    ['ID_Continue', 'Can continue an identifier'],
+    ['ID_Start', 'Can start an identifier'],
+    ['Ideographic', 'CJK ideographs and similar'],
+    ['Join_Control', 'ZWJ and ZWNJ'],
+    ['Logical_Order_Exception', 'Stored in visual order, in some Thai and Lao text'],
+    ['Lowercase', 'Lowercase characters'],
+    ['Math', 'Mathematical symbols and letters'],
+    ['Noncharacter_Code_Point', 'Permanently reserved for internal use'],
+    ['Pattern_Syntax', 'Reserved for syntax in patterns and formats'],
+    ['Pattern_White_Space', 'Whitespace in patterns and formats'],
+    ['Quotation_Mark', 'Quotation marks'],
+    ['Radical', 'CJK radicals'],
+    ['Regional_Indicator', 'Letters that pair up into flag emoji'],
+    ['Sentence_Terminal', 'Ends a sentence'],
+    ['Soft_Dotted', 'Loses its dot under an accent, e.g. i and j'],
+    ['Terminal_Punctuation', 'Ends a sentence or clause'],
+    ['Unified_Ideograph', 'Unified CJK ideographs'],
+    ['Uppercase', 'Uppercase characters'],
+    ['Variation_Selector', 'Selects a glyph variant, e.g. text or emoji style'],
+    ['White_Space', 'Whitespace characters'],
+    ['XID_Continue', 'ID_Continue, stable under normalization'],
+    ['XID_Start', 'ID_Start, stable under normalization']
+];
+
+// Properties of strings, only usable with the v flag
+RegexUnicode.STRINGS = [
+    ['Basic_Emoji', 'Emoji shown as a single character'],
+    ['Emoji_Keycap_Sequence', 'Keycap emoji such as 1️⃣'],
+    ['RGI_Emoji', 'Every recommended emoji, including sequences'],
+    ['RGI_Emoji_Flag_Sequence', 'Country flag emoji'],
+    ['RGI_Emoji_Modifier_Sequence', 'Emoji with a skin tone'],
+    ['RGI_Emoji_Tag_Sequence', 'Subdivision flags such as England'],
+    ['RGI_Emoji_ZWJ_Sequence', 'Emoji joined with ZWJ, e.g. families']
+];
+
+// Names for invisible characters that have a common abbreviation
+RegexUnicode.INVISIBLES = {
+    0x00: 'NUL', 0x09: 'TAB', 0x0A: 'LF', 0x0D: 'CR', 0x1B: 'ESC', 0x20: 'SP', 0x7F: 'DEL', 0xA0: 'NBSP', 0xAD: 'SHY',
+    0x061C: 'ALM', 0x180E: 'MVS', 0x200B: 'ZWSP', 0x200C: 'ZWNJ', 0x200D: 'ZWJ', 0x200E: 'LRM', 0x200F: 'RLM',
+    0x2028: 'LS', 0x2029: 'PS', 0x202A: 'LRE', 0x202B: 'RLE', 0x202C: 'PDF', 0x202D: 'LRO', 0x202E: 'RLO',
+    0x202F: 'NNBSP', 0x205F: 'MMSP', 0x2060: 'WJ', 0x2066: 'LRI', 0x2067: 'RLI', 0x2068: 'FSI', 0x2069: 'PDI',
+    0x3000: 'IDSP', 0xFEFF: 'BOM'
+};
@@ -0,0 +1,60 @@
+// RegEx Tester Pro - Virtual List
+// Keeps only the rows near the visible part of a long list in the DOM. The
+// list sits inside a scrolling viewport; rows outside the rendered range are
+// stood in for by spacers of the same height, so every row has to be exactly
+// rowHeight pixels tall.
+
+class VirtualList {
+    constructor(container, viewport, { rowHeight, renderRows, renderSpacer, overscan = 10 }) {
+        this.container = container;
+        this.viewport = viewport;
+        this.rowHeight = rowHeight;
+        this.renderRows = renderRows;
+        this.renderSpacer = renderSpacer;
+        this.overscan = overscan;
+        this.count = 0;
+        this.range = null;
+        this.frame = null;
+
+        viewport.addEventListener('scroll', () => this.schedule());
+        window.addEventListener('resize', () => this.schedule());
+    }
+
+    setCount(count) {
+        this.count = count;
+        this.range = null;
+        this.render();
+    }
+
+    schedule() {
+        if (this.frame !== null || this.count === 0) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.render();
+        });
+    }
+
+    render() {
+        if (this.count === 0) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        // How far the top of the list has scrolled above the top of the viewport
+        const offset = this.viewport.getBoundingClientRect().top - this.container.getBoundingClientRect().top;
+        const height = this.viewport.clientHeight || VirtualList.FALLBACK_HEIGHT;
+
+        const first = Math.max(0, Math.floor(offset / this.rowHeight) - this.overscan);
+        const last = Math.min(this.count, Math.ceil((offset + height) / this.rowHeight) + this.overscan);
+        if (this.range && this.range.first === first && this.range.last === last) return;
+
+        this.range = { first, last };
+        this.container.innerHTML =
+            this.renderSpacer(first * this.rowHeight) +
+            this.renderRows(first, last) +
+            this.renderSpacer((this.count - last) * this.rowHeight);
+    }
+}
+
+// Used before layout, when the viewport has no height yet
+VirtualList.FALLBACK_HEIGHT = 400;
@@ -0,0 +1,26 @@
+// RegEx Tester Pro - Match Worker
+// Runs matching off the main thread so a runaway pattern can be terminated
+// without taking the page down with it.
+importScripts('regex-matcher.js', 'regex-suite.js', 'regex-parser.js', 'regex-sampler.js', 'regex-compare.js');
+
+self.addEventListener('message', (e) => {
+    const { id, pattern, flags, text, tests, region, perLine, task } = e.data;
+
+    // The counterexample search gets a worker of its own, so it never waits on or supersedes a match run
+    if (task === 'counterexample') {
+        try {
+            self.postMessage({ id, ...RegexCompare.findCounterexample(e.data.a, e.data.b) });
+        } catch (error) {
+            self.postMessage({ id, error: error.message });
+        }
+        return;
+    }
+
+    try {
+        const result = perLine ? RegexMatcher.runLines(pattern, flags, text) : RegexMatcher.run(pattern, flags, text, region);
+        if (tests) result.tests = RegexTestSuite.run(pattern, flags, tests);
+        self.postMessage({ id, ...result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
@@ -3,16 +3,82 @@ class RegexTesterPro {
     constructor() {
         this.regexEditor = null;
         this.testEditor = null;
+        this.replaceEditor = null;
+        this.testCasesEditor = null;
+        this.mode = 'match';
+        this.replaceView = 'diff';
+        this.currentText = '';
+        this.currentGroupNames = [];
+        this.flagNames = ['D', 'G', 'I', 'M', 'S', 'U', 'V', 'Y'];
         this.currentMatches = [];
         this.currentGroups = [];
-        this.patterns = {};
+        this.matchList = null;
+        this.groupList = null;
+        this.matchMarks = [];
+        this.activeMark = null;
+        // Change generation of the test editor that currentMatches were made from
+        this.highlightGeneration = null;
+        // Pattern and flags behind currentMatches, for incremental reruns
+        this.lastRun = null;
+        this.batchInputs = [];
+        this.batchResults = [];
+        this.batchSelection = null;
+        this.batchInputCounter = 0;
+        this.batchRunId = 0;
+        this.library = new RegexLibrary();
+        this.libraryCategory = 'all';
+        this.editingLibraryId = null;
+        this.patternHighlight = null;
+        this.patternError = null;
+        this.compatResult = null;
+        this.diagramSvg = null;
+        this.debugTrace = null;
+        this.debugStep = 0;
+        this.debugMarks = [];
+        this.generatorExamples = [];
+        this.generatorCandidates = [];
+        // Fixture generator strings, and the pattern and flags they were generated for
+        this.fuzzResult = null;
+        this.fuzzKey = null;
+        this.fuzzCount = parseInt(localStorage.getItem('fuzzCount')) || RegexFuzz.DEFAULT_COUNT;
+        this.fuzzMaxLength = parseInt(localStorage.getItem('fuzzMaxLength')) || RegexFuzz.DEFAULT_MAX_LENGTH;
+        this.compareEditor = null;
+        this.comparison = null;
+        this.compareFilter = 'differences';
+        this.compareMarks = [];
+        // Patterns and flags the shown counterexample was searched for
+        this.equivalenceKey = null;
+        this.counterexample = null;
+        this.searchWorker = null;
+        this.splitItems = null;
+        this.tableSort = { key: null, descending: false };
+        this.tableFilters = {};
+        // Per-line results in each-line mode, and whether only failing lines are listed
+        this.lineResults = null;
+        this.lineFilter = 'all';
+        this.matchWorker = null;
+        this.workerUnavailable = false;
+        this.pendingRun = null;
+        this.runCounter = 0;
+        this.matchTimeout = parseInt(localStorage.getItem('matchTimeout')) || 2000;
+        this.exportTab = 'results';
+        this.codeLanguage = localStorage.getItem('codeLanguage') || 'javascript';
+        this.history = new RegexHistory();
+        this.historyTab = 'history';
+        this.savingSnapshot = null;
+        this.workspaceWarned = false;
+        this.editingSavedId = null;
         this.isDarkMode = localStorage.getItem('darkMode') === 'true';
+        this.showInvisibles = localStorage.getItem('showInvisibles') === 'true';
+        // Test string index of the character in the Unicode inspector, and what was found there
+        this.inspectedIndex = null;
+        this.inspected = null;
+        this.inspectedMarks = [];
 
         this.init();
     }
 
     init() {
-        this.loadPatterns();
         this.setupEditors();
         this.setupEventListeners();
         this.setupTheme();
@@ -22,116 +88,22 @@ class RegexTesterPro {
         if (!localStorage.getItem('hasVisited')) {
             this.loadSampleData();
             localStorage.setItem('hasVisited', 'true');
+        } else {
+            this.restoreWorkspace();
         }
     }
 
-    loadPatterns() {
-        this.patterns = {
-            common: [
-                {
-                    title: "Email Address",
-                    regex: "[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}",
-                    description: "Matches most email addresses"
-                },
-                {
-                    title: "URL/Website",
-                    regex: "https?:\\/\\/(www\\.)?[-a-zA-Z0-9@:%._\\+~#=]{1,256}\\.[a-zA-Z0-9()]{1,6}\\b([-a-zA-Z0-9()@:%_\\+.~#?&//=]*)",
-                    description: "Matches HTTP and HTTPS URLs"
-                },
-                {
-                    title: "Phone Number (US)",
-                    regex: "(\\+1\\s?)?\\(?([0-9]{3})\\)?[\\s.-]?([0-9]{3})[\\s.-]?([0-9]{4})",
-                    description: "Matches US phone numbers in various formats"
-                },
-                {
-                    title: "IP Address",
-                    regex: "\\b(?:[0-9]{1,3}\\.){3}[0-9]{1,3}\\b",
-                    description: "Matches IPv4 addresses"
-                },
-                {
-                    title: "Date (MM/DD/YYYY)",
-                    regex: "(0[1-9]|1[0-2])\\/(0[1-9]|[12][0-9]|3[01])\\/(19|20)\\d\\d",
-                    description: "Matches dates in MM/DD/YYYY format"
-                }
-            ],
-            validation: [
-                {
-                    title: "Strong Password",
-                    regex: "^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)(?=.*[@$!%*?&])[A-Za-z\\d@$!%*?&]{8,}$",
-                    description: "At least 8 chars, 1 uppercase, 1 lowercase, 1 digit, 1 special char"
-                },
-                {
-                    title: "Credit Card Number",
-                    regex: "^(?:4[0-9]{12}(?:[0-9]{3})?|5[1-5][0-9]{14}|3[47][0-9]{13}|3[0-9]{13}|6(?:011|5[0-9]{2})[0-9]{12})$",
-                    description: "Matches Visa, MasterCard, American Express, Discover"
-                },
-                {
-                    title: "Social Security Number",
-                    regex: "^(?!666|000|9\\d{2})\\d{3}-(?!00)\\d{2}-(?!0{4})\\d{4}$",
-                    description: "Validates US SSN format (XXX-XX-XXXX)"
-                },
-                {
-                    title: "ZIP Code",
-                    regex: "^\\d{5}(-\\d{4})?$",
-                    description: "Matches US ZIP codes (5 or 9 digits)"
-                }
-            ],
-            parsing: [
-                {
-                    title: "HTML Tags",
-                    regex: "<\\/?([a-z][a-z0-9]*)\\b[^>]*>",
-                    description: "Matches HTML opening and closing tags"
-                },
-                {
-                    title: "CSS Hex Colors",
-                    regex: "#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})\\b",
-                    description: "Matches hex color codes (#RGB or #RRGGBB)"
-                },
-                {
-                    title: "JSON String Values",
-                    regex: "\"([^\"\\\\]|\\\\.)*\"",
-                    description: "Matches JSON string values with escape sequences"
-                },
-                {
-                    title: "CSV Fields",
-                    regex: "(?:^|,)(\"(?:[^\"]+|\"\")*\"|[^,]*)",
-                    description: "Parses CSV fields, handles quoted values"
-                }
-            ],
-            advanced: [
-                {
-                    title: "Balanced Parentheses",
-                    regex: "\\(([^()]|\\([^()]*\\))*\\)",
-                    description: "Matches balanced parentheses (one level deep)"
-                },
-                {
-                    title: "Mathematical Expressions",
-                    regex: "^[-+]?\\d*\\.?\\d+([eE][-+]?\\d+)?$",
-                    description: "Matches floating-point numbers with scientific notation"
-                },
-                {
-                    title: "Unicode Emoji",
-                    regex: "[\\u{1F600}-\\u{1F64F}]|[\\u{1F300}-\\u{1F5FF}]|[\\u{1F680}-\\u{1F6FF}]|[\\u{1F1E0}-\\u{1F1FF}]",
-                    description: "Matches common Unicode emoji ranges"
-                },
-                {
-                    title: "Base64 Encoded",
-                    regex: "^[A-Za-z0-9+/]*={0,2}$",
-                    description: "Validates Base64 encoded strings"
-                }
-            ]
-        };
-    }
-
     setupEditors() {
         // Regex Input Editor
         this.regexEditor = CodeMirror(document.getElementById('regexInput'), {
-            mode: 'javascript',
+            mode: { name: 'regex', unicodeSets: false },
             theme: this.isDarkMode ? 'monokai' : 'default',
             lineWrapping: true,
+            matchBrackets: true,
             placeholder: 'Enter your regular expression...',
             extraKeys: {
-                'Ctrl-Enter': () => this.testRegex(),
+                'Ctrl-Enter': () => this.testRegex(true),
+                'Ctrl-Space': () => this.showRegexHints(false),
                 'Tab': false
             }
         });
@@ -143,7 +115,44 @@ class RegexTesterPro {
             lineWrapping: true,
             placeholder: 'Enter your test string here...',
             extraKeys: {
-                'Ctrl-Enter': () => this.testRegex()
+                'Ctrl-Enter': () => this.testRegex(true)
+            }
+        });
+
+        // Replacement Template Editor
+        this.replaceEditor = CodeMirror(document.getElementById('replaceInput'), {
+            mode: 'text/plain',
+            theme: this.isDarkMode ? 'monokai' : 'default',
+            lineWrapping: true,
+            placeholder: 'Replacement, e.g. $1 or $<name>',
+            extraKeys: {
+                'Ctrl-Enter': () => this.testRegex(true),
+                'Tab': false
+            }
+        });
+
+        // Compare Pattern Editor
+        this.compareEditor = CodeMirror(document.getElementById('compareInput'), {
+            mode: { name: 'regex', unicodeSets: false },
+            theme: this.isDarkMode ? 'monokai' : 'default',
+            lineWrapping: true,
+            matchBrackets: true,
+            placeholder: 'Pattern B, e.g. the refactored version',
+            extraKeys: {
+                'Ctrl-Enter': () => this.testRegex(true),
+                'Tab': false
+            }
+        });
+
+        // Test Cases Editor
+        this.testCasesEditor = CodeMirror(document.getElementById('testCasesInput'), {
+            mode: 'text/plain',
+            theme: this.isDarkMode ? 'monokai' : 'default',
+            lineNumbers: true,
+            lineWrapping: true,
+            placeholder: '+ should match\n- should not match\n+[1=abc] should match with group 1 = abc',
+            extraKeys: {
+                'Ctrl-Enter': () => this.testRegex(true)
             }
         });
 
@@ -153,41 +162,141 @@ class RegexTesterPro {
             this.debounceTest();
         });
 
+        // Typing \, \p{, \k< or ( opens suggestions for what can follow
+        this.regexEditor.on('inputRead', (cm, change) => {
+            if (/[\\{<(?:]$/.test(change.text.join('\n'))) this.showRegexHints(true);
+        });
+
         this.testEditor.on('change', () => {
             this.updateTextInfo();
             this.debounceTest();
         });
+
+        this.testEditor.on('mousedown', (cm, e) => this.inspectAt(e));
+        this.testEditor.on('cursorActivity', () => this.followCursor());
+
+        this.replaceEditor.on('change', () => this.updateReplacePreview());
+
+        this.compareEditor.on('change', () => this.debounceTest());
+
+        this.testCasesEditor.on('change', () => this.debounceTest());
     }
 
     setupEventListeners() {
         // Buttons
-        document.getElementById('testBtn').addEventListener('click', () => this.testRegex());
+        document.getElementById('testBtn').addEventListener('click', () => this.testRegex(true));
+        document.getElementById('cancelBtn').addEventListener('click', () => this.cancelRun());
         document.getElementById('clearAllBtn').addEventListener('click', () => this.clearAll());
         document.getElementById('clearTextBtn').addEventListener('click', () => this.clearText());
         document.getElementById('shareBtn').addEventListener('click', () => this.shareRegex());
+        document.getElementById('shareDismissBtn').addEventListener('click', () => this.dismissShareError());
+        document.getElementById('shareReloadBtn').addEventListener('click', () => window.location.reload());
         document.getElementById('libraryBtn').addEventListener('click', () => this.showLibrary());
+        document.getElementById('historyBtn').addEventListener('click', () => this.showHistory());
+        document.getElementById('savePatternBtn').addEventListener('click', () => this.saveCurrentPattern());
         document.getElementById('explainBtn').addEventListener('click', () => this.explainRegex());
         document.getElementById('loadSampleBtn').addEventListener('click', () => this.loadSampleData());
         document.getElementById('darkModeToggle').addEventListener('click', () => this.toggleDarkMode());
         document.getElementById('helpBtn').addEventListener('click', () => this.showHelp());
         document.getElementById('exportBtn').addEventListener('click', () => this.showExportModal());
+        document.getElementById('explainCloseBtn').addEventListener('click', () => this.hideExplanation());
+        document.getElementById('explainExpandBtn').addEventListener('click', () => this.toggleExplanationNodes(true));
+        document.getElementById('explainCollapseBtn').addEventListener('click', () => this.toggleExplanationNodes(false));
+        document.getElementById('compatBtn').addEventListener('click', () => this.checkCompatibility());
+        document.getElementById('compatCloseBtn').addEventListener('click', () => this.hideCompatibility());
+        document.getElementById('diagramBtn').addEventListener('click', () => this.showDiagram());
+        document.getElementById('diagramCloseBtn').addEventListener('click', () => this.hideDiagram());
+        document.getElementById('diagramExportBtn').addEventListener('click', () => this.exportDiagram());
+        document.getElementById('debugBtn').addEventListener('click', () => this.debugRegex());
+        document.getElementById('matchEmptyDebugBtn').addEventListener('click', () => this.debugRegex());
+        document.getElementById('generateBtn').addEventListener('click', () => this.showGenerator());
+        document.getElementById('generateMatchBtn').addEventListener('click', () => this.markExamples(true));
+        document.getElementById('generateAvoidBtn').addEventListener('click', () => this.markExamples(false));
+        document.getElementById('generateClearBtn').addEventListener('click', () => this.clearExamples());
+        document.getElementById('generateCloseBtn').addEventListener('click', () => this.hideGenerator());
+        document.getElementById('fuzzBtn').addEventListener('click', () => this.showFuzzer());
+        document.getElementById('fuzzRunBtn').addEventListener('click', () => this.generateFixtures());
+        document.getElementById('fuzzInsertBtn').addEventListener('click', () => this.insertFixtures());
+        document.getElementById('fuzzTestsBtn').addEventListener('click', () => this.addFixtureTests());
+        document.getElementById('fuzzCloseBtn').addEventListener('click', () => this.hideFuzzer());
+        document.getElementById('inspectBtn').addEventListener('click', () => this.showInspector());
+        document.getElementById('unicodeCloseBtn').addEventListener('click', () => this.hideInspector());
+        document.getElementById('invisiblesBtn').addEventListener('click', () => this.setInvisibles(!this.showInvisibles));
+        document.getElementById('unicodeSearch').addEventListener('input', () => this.renderUnicodeProperties());
+        document.getElementById('unicodeProperties').addEventListener('click', (e) => {
+            const row = e.target.closest('.unicode-property');
+            if (row) this.insertProperty(RegexUnicode.properties()[parseInt(row.dataset.index)]);
+        });
+        document.getElementById('debugCloseBtn').addEventListener('click', () => this.hideDebugger());
+        document.getElementById('debugFirstBtn').addEventListener('click', () => this.setDebugStep(0));
+        document.getElementById('debugBackBtn').addEventListener('click', () => this.setDebugStep(this.debugStep - 1));
+        document.getElementById('debugForwardBtn').addEventListener('click', () => this.setDebugStep(this.debugStep + 1));
+        document.getElementById('debugLastBtn').addEventListener('click', () => this.setDebugStep(Infinity));
+        document.getElementById('debugSlider').addEventListener('input', (e) => this.setDebugStep(parseInt(e.target.value)));
 
         // Flags
-        const flags = ['G', 'I', 'M', 'S', 'U', 'Y'];
-        flags.forEach(flag => {
+        this.flagNames.forEach(flag => {
             document.getElementById(`flag${flag}`).addEventListener('change', () => {
                 this.debounceTest();
             });
+            document.getElementById(`compareFlag${flag}`).addEventListener('change', () => {
+                this.debounceTest();
+            });
+        });
+
+        // Mode
+        document.getElementById('modeSelect').addEventListener('change', (e) => {
+            const previous = this.mode;
+            this.setMode(e.target.value);
+            // Batch and each-line modes match different subjects, while compare and
+            // split modes run a second time, so entering or leaving any of them needs a fresh run
+            if ([previous, this.mode].some(mode => ['batch', 'compare', 'split', 'lines'].includes(mode))) this.testRegex();
+        });
+        document.querySelectorAll('.replace-view').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.replaceView = btn.dataset.view;
+                document.querySelectorAll('.replace-view').forEach(b => b.classList.toggle('active', b === btn));
+                this.updateReplacePreview();
+            });
+        });
+        document.getElementById('copyReplaceBtn').addEventListener('click', () => {
+            const result = this.getReplacementResult();
+            if (result) this.copyToClipboard(result.output);
+        });
+
+        // Match time budget
+        const timeoutInput = document.getElementById('timeoutInput');
+        timeoutInput.value = this.matchTimeout;
+        timeoutInput.addEventListener('change', () => {
+            const value = parseInt(timeoutInput.value);
+            this.matchTimeout = value >= 100 ? value : 2000;
+            timeoutInput.value = this.matchTimeout;
+            localStorage.setItem('matchTimeout', this.matchTimeout);
         });
 
         // Modal handlers
         this.setupModalHandlers();
         this.setupLibraryHandlers();
         this.setupExportHandlers();
+        this.setupExplainHandlers();
+        this.setupCompatHandlers();
+        this.setupDiagramHandlers();
+        this.setupGeneratorHandlers();
+        this.setupFuzzHandlers();
+        this.setupCompareHandlers();
+        this.setupOutputHandlers();
+        this.setupLineHandlers();
+        this.setupTestCaseHandlers();
+        this.setupHistoryHandlers();
+        this.setupBatchHandlers();
+        this.setupResultHandlers();
+
+        // Keep undo history and unsaved edits that never triggered a run
+        window.addEventListener('pagehide', () => this.saveState());
     }
 
     setupModalHandlers() {
-        const modals = ['library', 'help', 'export'];
+        const modals = ['library', 'help', 'export', 'history'];
         modals.forEach(modalName => {
             const modal = document.getElementById(`${modalName}Modal`);
             const closeBtn = modal.querySelector('.modal-close');
@@ -202,11 +311,57 @@ class RegexTesterPro {
     setupLibraryHandlers() {
         // Category buttons
         document.querySelectorAll('.category-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                document.querySelectorAll('.category-btn').forEach(b => b.classList.remove('active'));
-                e.target.classList.add('active');
-                this.showPatterns(e.target.dataset.category);
-            });
+            btn.addEventListener('click', () => this.showPatterns(btn.dataset.category));
+        });
+
+        document.getElementById('librarySearch').addEventListener('input', () => this.showPatterns(this.libraryCategory));
+        document.getElementById('libraryNewBtn').addEventListener('click', () => this.showLibraryForm());
+        document.getElementById('libraryCancelBtn').addEventListener('click', () => this.hideLibraryForm());
+        document.getElementById('libraryForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitLibraryForm();
+        });
+
+        document.getElementById('libraryExportBtn').addEventListener('click', () => this.exportLibrary());
+        document.getElementById('libraryImportBtn').addEventListener('click', () => {
+            document.getElementById('libraryImportFile').click();
+        });
+        document.getElementById('libraryImportFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importLibrary(file);
+        });
+
+        // Clicking a pattern loads it unless one of its buttons was hit
+        document.getElementById('libraryPatterns').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-id]');
+            if (!item) return;
+
+            const entry = this.library.find(item.dataset.id);
+            const action = e.target.closest('[data-action]');
+            switch (action ? action.dataset.action : 'use') {
+                case 'edit':
+                    this.showLibraryForm(entry);
+                    break;
+                case 'duplicate': {
+                    const copy = this.library.duplicate(entry.id);
+                    if (copy) {
+                        this.showPatterns(this.libraryCategory);
+                        this.showLibraryForm(copy);
+                    } else {
+                        this.showNotification('Could not save - browser storage is full', 'error');
+                    }
+                    break;
+                }
+                case 'delete':
+                    if (!confirm(`Delete "${entry.title}" from the library?`)) return;
+                    this.library.remove(entry.id);
+                    if (this.editingLibraryId === entry.id) this.hideLibraryForm();
+                    this.showPatterns(this.libraryCategory);
+                    break;
+                default:
+                    this.useLibraryPattern(entry);
+            }
         });
     }
 
@@ -214,6 +369,350 @@ class RegexTesterPro {
         document.getElementById('exportTxt').addEventListener('click', () => this.exportResults('txt'));
         document.getElementById('exportJson').addEventListener('click', () => this.exportResults('json'));
         document.getElementById('exportCsv').addEventListener('click', () => this.exportResults('csv'));
+
+        document.querySelectorAll('.export-tab').forEach(btn => {
+            btn.addEventListener('click', () => this.setExportTab(btn.dataset.tab));
+        });
+
+        const languageSelect = document.getElementById('codeLanguage');
+        languageSelect.value = this.codeLanguage;
+        languageSelect.addEventListener('change', () => {
+            this.codeLanguage = languageSelect.value;
+            localStorage.setItem('codeLanguage', this.codeLanguage);
+            this.updateCodePreview();
+        });
+        document.getElementById('copyCodeBtn').addEventListener('click', () => {
+            this.copyToClipboard(document.getElementById('codePreview').value);
+        });
+    }
+
+    setupExplainHandlers() {
+        const container = document.getElementById('explainResults');
+
+        // Hovering a node highlights its span in the regex editor
+        container.addEventListener('mouseover', (e) => {
+            const node = e.target.closest('[data-start]');
+            if (!node) return;
+            this.highlightPatternRange(parseInt(node.dataset.start), parseInt(node.dataset.end));
+        });
+        container.addEventListener('mouseleave', () => this.clearPatternHighlight());
+    }
+
+    setupCompatHandlers() {
+        const container = document.getElementById('compatResults');
+
+        container.addEventListener('mouseover', (e) => {
+            const token = e.target.closest('[data-start]');
+            if (!token) return;
+            this.highlightPatternRange(parseInt(token.dataset.start), parseInt(token.dataset.end));
+        });
+        container.addEventListener('mouseleave', () => this.clearPatternHighlight());
+
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            const flavor = this.compatResult.flavors.find(f => f.id === button.dataset.flavor);
+            if (button.dataset.action === 'copy') {
+                this.copyToClipboard(flavor.rewrite);
+            } else {
+                this.applyRewrite(flavor);
+            }
+        });
+    }
+
+    setupDiagramHandlers() {
+        const container = document.getElementById('diagramResults');
+
+        container.addEventListener('mouseover', (e) => {
+            const node = e.target.closest('[data-start]');
+            if (!node) return;
+            this.highlightPatternRange(parseInt(node.dataset.start), parseInt(node.dataset.end));
+        });
+        container.addEventListener('mouseleave', () => this.clearPatternHighlight());
+
+        container.addEventListener('click', (e) => {
+            const node = e.target.closest('[data-start]');
+            if (!node) return;
+            this.selectPatternRange(parseInt(node.dataset.start), parseInt(node.dataset.end));
+        });
+    }
+
+    setupGeneratorHandlers() {
+        document.getElementById('generateExamples').addEventListener('click', (e) => {
+            const example = e.target.closest('.generate-example');
+            if (!example) return;
+            const index = parseInt(example.dataset.index);
+            if (e.target.closest('.generate-remove')) {
+                this.removeExample(index);
+            } else {
+                this.selectExample(index);
+            }
+        });
+
+        document.getElementById('generateResults').addEventListener('click', (e) => {
+            const button = e.target.closest('.generate-use');
+            if (button) this.useCandidate(parseInt(button.dataset.index));
+        });
+    }
+
+    setupFuzzHandlers() {
+        const settings = [
+            ['fuzzCount', 'fuzzCount', RegexFuzz.DEFAULT_COUNT, RegexFuzz.MAX_COUNT],
+            ['fuzzMaxLength', 'fuzzMaxLength', RegexFuzz.DEFAULT_MAX_LENGTH, RegexFuzz.MAX_LENGTH]
+        ];
+        settings.forEach(([id, field, fallback, max]) => {
+            const input = document.getElementById(id);
+            input.value = this[field];
+            input.addEventListener('change', () => {
+                const value = parseInt(input.value);
+                this[field] = value >= 1 ? Math.min(value, max) : fallback;
+                input.value = this[field];
+                localStorage.setItem(field, this[field]);
+                if (this.fuzzResult) this.generateFixtures();
+            });
+        });
+    }
+
+    setupCompareHandlers() {
+        document.getElementById('compareSwapBtn').addEventListener('click', () => this.swapComparePatterns());
+        document.getElementById('compareEquivalenceBtn').addEventListener('click', () => this.findCounterexample());
+
+        document.getElementById('compareSummary').addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-filter]');
+            if (!chip) return;
+            this.compareFilter = this.compareFilter === chip.dataset.filter ? 'differences' : chip.dataset.filter;
+            this.renderComparison();
+        });
+
+        document.getElementById('compareResults').addEventListener('click', (e) => {
+            const row = e.target.closest('.compare-entry');
+            if (!row) return;
+            const doc = this.testEditor.getDoc();
+            const from = doc.posFromIndex(parseInt(row.dataset.start));
+            doc.setSelection(from, doc.posFromIndex(parseInt(row.dataset.end)));
+            this.testEditor.scrollIntoView(from, 40);
+        });
+
+        document.getElementById('compareEquivalence').addEventListener('click', (e) => {
+            if (!e.target.closest('.compare-add-text') || this.counterexample === null) return;
+            const text = this.testEditor.getValue();
+            this.testEditor.replaceRange((text ? '\n' : '') + this.counterexample, this.testEditor.posFromIndex(text.length));
+        });
+    }
+
+    setupOutputHandlers() {
+        document.getElementById('copySplitBtn').addEventListener('click', () => {
+            if (this.splitItems) this.copyToClipboard(JSON.stringify(this.splitItems.map(item => item.value)));
+        });
+        document.getElementById('copyTableBtn').addEventListener('click', () => {
+            this.copyToClipboard(RegexTable.toTsv(RegexTable.columns(this.currentGroupNames), this.getTableRows()));
+        });
+
+        const results = document.getElementById('tableResults');
+        results.addEventListener('click', (e) => {
+            const header = e.target.closest('th[data-key]');
+            if (header) {
+                this.sortTable(header.dataset.key);
+                return;
+            }
+
+            const row = e.target.closest('tr[data-start]');
+            if (!row) return;
+            const doc = this.testEditor.getDoc();
+            const from = doc.posFromIndex(parseInt(row.dataset.start));
+            doc.setSelection(from, doc.posFromIndex(parseInt(row.dataset.end)));
+            this.testEditor.scrollIntoView(from, 40);
+        });
+        results.addEventListener('input', (e) => {
+            if (!e.target.classList.contains('extract-filter')) return;
+            this.tableFilters[e.target.dataset.key] = e.target.value;
+            // Only the body is redrawn so the filter keeps focus
+            this.renderTableRows();
+        });
+    }
+
+    setupLineHandlers() {
+        document.querySelectorAll('.line-filter').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.lineFilter = btn.dataset.filter;
+                document.querySelectorAll('.line-filter').forEach(b => b.classList.toggle('active', b === btn));
+                this.renderLineResults();
+            });
+        });
+
+        document.getElementById('lineResults').addEventListener('click', (e) => {
+            const row = e.target.closest('.line-result');
+            if (!row) return;
+            const line = parseInt(row.dataset.line);
+            if (line >= this.testEditor.lineCount()) return;
+            this.testEditor.setSelection({ line, ch: 0 }, { line, ch: this.testEditor.getLine(line).length });
+            this.testEditor.scrollIntoView({ line, ch: 0 }, 40);
+        });
+    }
+
+    setupHistoryHandlers() {
+        document.querySelectorAll('.history-tab').forEach(btn => {
+            btn.addEventListener('click', () => this.setHistoryTab(btn.dataset.tab));
+        });
+        document.getElementById('historySearch').addEventListener('input', () => this.renderHistoryList());
+        document.getElementById('saveCurrentBtn').addEventListener('click', () => this.showSaveForm(this.getSnapshot()));
+        document.getElementById('cancelSaveBtn').addEventListener('click', () => this.hideSaveForm());
+        document.getElementById('clearHistoryBtn').addEventListener('click', () => {
+            if (!confirm('Delete all unpinned history entries?')) return;
+            this.history.clear();
+            this.renderHistoryList();
+        });
+
+        document.getElementById('savePatternForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitSaveForm();
+        });
+
+        // Clicking an item restores it unless one of its buttons was hit
+        document.getElementById('historyList').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-id]');
+            if (!item) return;
+
+            const id = item.dataset.id;
+            const action = e.target.closest('[data-action]');
+            switch (action ? action.dataset.action : 'restore') {
+                case 'pin':
+                    this.history.togglePin(this.historyTab, id);
+                    this.renderHistoryList();
+                    break;
+                case 'save':
+                    this.showSaveForm(this.history.find('history', id));
+                    break;
+                case 'edit':
+                    this.showSaveForm(null, this.history.find('saved', id));
+                    break;
+                case 'delete':
+                    this.history.remove(this.historyTab, id);
+                    this.renderHistoryList();
+                    break;
+                default:
+                    this.restoreSnapshot(this.history.find(this.historyTab, id));
+            }
+        });
+    }
+
+    // Match and group rows are virtualized, so their events are delegated
+    // from the list containers. mouseover/mouseout bubble; relatedTarget
+    // tells whether the pointer actually left the row.
+    setupResultHandlers() {
+        const matchList = document.getElementById('matchList');
+        const groupBody = document.getElementById('groupTableBody');
+
+        this.matchList = new VirtualList(matchList, matchList.closest('.results-container'), {
+            rowHeight: 64,
+            renderRows: (first, last) => this.renderMatchRows(first, last),
+            renderSpacer: height => `<div class="virtual-spacer" style="height: ${height}px"></div>`
+        });
+        this.groupList = new VirtualList(groupBody, groupBody.closest('.results-container'), {
+            rowHeight: 40,
+            renderRows: (first, last) => this.renderGroupRows(first, last),
+            renderSpacer: height => `<tr class="virtual-spacer"><td colspan="4" style="height: ${height}px"></td></tr>`
+        });
+
+        matchList.addEventListener('click', (e) => {
+            const button = e.target.closest('.copy-match');
+            if (!button) return;
+            const match = this.currentMatches[parseInt(button.closest('.match-item').dataset.matchIndex)];
+            if (match) this.copyToClipboard(match.match);
+        });
+
+        const hoverRows = (container, selector, highlight) => {
+            ['mouseover', 'mouseout'].forEach(type => {
+                container.addEventListener(type, (e) => {
+                    const row = e.target.closest(selector);
+                    if (row && !row.contains(e.relatedTarget)) highlight(row, type === 'mouseover');
+                });
+            });
+        };
+        hoverRows(matchList, '.match-item', (row, active) => {
+            this.highlightMatch(parseInt(row.dataset.matchIndex), active);
+        });
+        hoverRows(groupBody, 'tr[data-group]', (row, active) => {
+            this.highlightGroup(parseInt(row.dataset.matchIndex), parseInt(row.dataset.group), active);
+        });
+
+        this.testEditor.on('viewportChange', () => this.highlightMatches());
+    }
+
+    setupBatchHandlers() {
+        const dropZone = document.getElementById('batchDropZone');
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('dragover');
+        });
+        dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+        dropZone.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('dragover');
+            this.addBatchFiles(await this.collectDroppedFiles(e.dataTransfer));
+        });
+
+        ['batchFileInput', 'batchFolderInput'].forEach(id => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                const files = [...e.target.files].map(file => ({ file, name: file.webkitRelativePath || file.name }));
+                e.target.value = '';
+                this.addBatchFiles(files);
+            });
+        });
+
+        const pasteForm = document.getElementById('batchPasteForm');
+        document.getElementById('batchPasteBtn').addEventListener('click', () => {
+            pasteForm.style.display = '';
+            document.getElementById('batchPasteName').value = `input-${this.batchInputs.length + 1}.txt`;
+            document.getElementById('batchPasteText').value = '';
+            document.getElementById('batchPasteText').focus();
+        });
+        document.getElementById('batchPasteCancelBtn').addEventListener('click', () => {
+            pasteForm.style.display = 'none';
+        });
+        pasteForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const name = document.getElementById('batchPasteName').value.trim();
+            if (!name) return;
+            this.addBatchInput(name, document.getElementById('batchPasteText').value);
+            pasteForm.style.display = 'none';
+            this.renderBatchInputs();
+            this.testRegex();
+        });
+
+        document.getElementById('batchClearBtn').addEventListener('click', () => {
+            this.batchInputs = [];
+            this.renderBatchInputs();
+            this.testRegex();
+        });
+        document.getElementById('batchInputList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="remove"]');
+            if (!button) return;
+            this.batchInputs = this.batchInputs.filter(input => input.id !== button.dataset.id);
+            this.renderBatchInputs();
+            this.testRegex();
+        });
+
+        document.getElementById('batchResults').addEventListener('click', (e) => {
+            const row = e.target.closest('[data-id]');
+            if (row) this.selectBatchInput(row.dataset.id);
+        });
+        document.getElementById('batchExportJsonBtn').addEventListener('click', () => this.exportBatch('json'));
+        document.getElementById('batchExportCsvBtn').addEventListener('click', () => this.exportBatch('csv'));
+
+        this.renderBatchInputs();
+        this.renderBatchResults();
+    }
+
+    setupTestCaseHandlers() {
+        // Clicking a result jumps to its line
+        document.getElementById('testCaseResults').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-line]');
+            if (!item) return;
+            const line = parseInt(item.dataset.line) - 1;
+            this.testCasesEditor.focus();
+            this.testCasesEditor.setCursor({ line, ch: this.testCasesEditor.getLine(line).length });
+        });
     }
 
     setupTheme() {
@@ -221,10 +720,17 @@ class RegexTesterPro {
             document.body.setAttribute('data-theme', 'dark');
             document.getElementById('darkModeToggle').innerHTML = '<i class="fas fa-sun"></i>';
         }
+        if (this.showInvisibles) this.setInvisibles(true);
     }
 
     setupKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
+            if (e.key === 'F10' && document.getElementById('debugSection').style.display !== 'none') {
+                e.preventDefault();
+                this.setDebugStep(this.debugStep + (e.shiftKey ? -1 : 1));
+                return;
+            }
+
             if (e.ctrlKey || e.metaKey) {
                 switch (e.key) {
                     case 'Enter':
@@ -239,6 +745,10 @@ class RegexTesterPro {
                         e.preventDefault();
                         this.showLibrary();
                         break;
+                    case 'H':
+                        e.preventDefault();
+                        this.showHistory();
+                        break;
                     case 'd':
                         e.preventDefault();
                         this.toggleDarkMode();
@@ -257,7 +767,24 @@ class RegexTesterPro {
         this.testTimeout = setTimeout(() => this.testRegex(), 300);
     }
 
-    testRegex() {
+    // explicit is set for the Test button and Ctrl-Enter, which record history right away
+    async testRegex(explicit = false) {
+        // Any newer run abandons a batch that is still in progress
+        const batchRun = ++this.batchRunId;
+        this.updateExplanation();
+        this.updateCompatibility();
+        this.updateDiagram();
+        this.updateDebugger();
+        this.updateGenerator();
+        this.updateFuzzer();
+        this.updateRegexMode();
+        this.clearPatternError();
+        if (explicit) {
+            this.saveState();
+        } else {
+            this.scheduleSave();
+        }
+
         const regexPattern = this.regexEditor.getValue().trim();
         const testString = this.testEditor.getValue();
 
@@ -267,374 +794,3005 @@ class RegexTesterPro {
             return;
         }
 
-        try {
-            const startTime = performance.now();
-            const flags = this.getSelectedFlags();
-            const regex = new RegExp(regexPattern, flags);
+        const flags = this.getSelectedFlags();
+        const testCases = RegexTestSuite.parse(this.testCasesEditor.getValue());
 
-            this.currentMatches = [];
-            this.currentGroups = [];
+        // Compiling is cheap and safe, so syntax errors are reported right away
+        try {
+            new RegExp(regexPattern, flags);
+        } catch (error) {
+            this.updateRegexStatus(`Invalid regex: ${error.message}`, 'error');
+            this.markPatternError(regexPattern, flags, error.message);
+            this.clearResults();
+            return;
+        }
 
-            if (flags.includes('g')) {
-                // Global matching
-                let match;
-                while ((match = regex.exec(testString)) !== null) {
-                    this.currentMatches.push({
-                        match: match[0],
-                        index: match.index,
-                        groups: [...match],
-                        namedGroups: match.groups || {}
-                    });
-
-                    // Prevent infinite loop
-                    if (match.index === regex.lastIndex) {
-                        regex.lastIndex++;
-                    }
-                }
-            } else {
-                // Single match
-                const match = regex.exec(testString);
-                if (match) {
-                    this.currentMatches.push({
-                        match: match[0],
-                        index: match.index,
-                        groups: [...match],
-                        namedGroups: match.groups || {}
-                    });
-                }
-            }
+        this.updateBacktrackingAnalysis(regexPattern, flags);
 
-            const endTime = performance.now();
-            const executionTime = (endTime - startTime).toFixed(2);
+        if (this.mode === 'batch') {
+            await this.runBatch(batchRun, regexPattern, flags, testCases);
+            return;
+        }
 
-            this.updateRegexStatus(`Valid regex - ${this.currentMatches.length} matches found`, 'valid');
-            this.displayResults();
-            this.highlightMatches();
-            this.updateAnalysis(executionTime, regexPattern);
+        const generation = this.testEditor.changeGeneration();
+        const perLine = this.mode === 'lines';
+        const incremental = perLine ? null : this.planIncrementalRun(regexPattern, flags, testString);
 
+        let result;
+        try {
+            result = await this.runMatcher(regexPattern, flags, testString, testCases, incremental && incremental.window, perLine);
         } catch (error) {
+            if (error.reason === 'superseded') return;
+
+            if (error.reason === 'timeout' || error.reason === 'cancelled') {
+                const verb = error.reason === 'timeout' ? 'Aborted' : 'Cancelled';
+                this.updateRegexStatus(`${verb} after ${error.elapsed} ms - showing last results`, 'error');
+                this.setResultsStale(true);
+                return;
+            }
+
             this.updateRegexStatus(`Invalid regex: ${error.message}`, 'error');
             this.clearResults();
+            return;
+        }
+
+        this.currentMatches = incremental
+            ? RegexIncremental.merge(this.currentMatches, result.matches, incremental.oldWindow, incremental.window)
+            : result.matches;
+        this.currentText = testString;
+        this.lastRun = { pattern: regexPattern, flags, perLine };
+        this.lineResults = result.lines || null;
+        this.highlightGeneration = generation;
+        this.currentGroupNames = this.getGroupNames(regexPattern, flags);
+        this.currentGroups = [];
+
+        const executionTime = result.executionTime.toFixed(2);
+
+        this.setResultsStale(false);
+        if (perLine) {
+            const matched = this.lineResults.filter(line => line.matches > 0).length;
+            this.updateRegexStatus(`Valid regex - ${matched} of ${this.lineResults.length} lines match`, 'valid');
+        } else {
+            this.updateRegexStatus(`Valid regex - ${this.currentMatches.length} matches found`, 'valid');
         }
+        this.displayResults();
+        this.highlightMatches();
+        this.updateReplacePreview();
+        this.updateTestSuite(result.tests);
+        this.updateAnalysis(executionTime);
+        this.renderTable();
+        this.updateLineResults();
+
+        if (this.mode === 'compare') await this.runComparison(testString);
+        if (this.mode === 'split') await this.runSplit(regexPattern, flags, testString);
     }
 
-    getSelectedFlags() {
-        const flags = [];
-        ['G', 'I', 'M', 'S', 'U', 'Y'].forEach(flag => {
-            if (document.getElementById(`flag${flag}`).checked) {
-                flags.push(flag.toLowerCase());
-            }
-        });
-        return flags.join('');
+    // Small edits to a long text only rematch the lines around them; the
+    // previous run has to be of the same pattern and flags over the whole text
+    planIncrementalRun(pattern, flags, text) {
+        if (!this.lastRun || this.lastRun.perLine || this.lastRun.pattern !== pattern || this.lastRun.flags !== flags) return null;
+        if (text.length < RegexIncremental.MIN_LENGTH) return null;
+        return RegexIncremental.plan(pattern, flags, this.currentText, text);
     }
 
-    displayResults() {
-        this.displayMatches();
-        this.displayGroups();
-        this.updateMatchCounter();
+    // Resolves with { matches, executionTime, tests }; rejects with a reason of
+    // 'timeout', 'cancelled' or 'superseded' when the run is cut short. With a
+    // region only the matches starting inside it are returned. perLine matches
+    // every line on its own and adds the per-line results as lines.
+    runMatcher(pattern, flags, text, tests, region = null, perLine = false) {
+        this.abortPendingRun('superseded');
+
+        const runLocally = () => {
+            const result = perLine ? RegexMatcher.runLines(pattern, flags, text) : RegexMatcher.run(pattern, flags, text, region);
+            result.tests = RegexTestSuite.run(pattern, flags, tests);
+            return result;
+        };
+
+        const worker = this.getMatchWorker();
+        if (!worker) {
+            return Promise.resolve(runLocally());
+        }
+
+        const id = ++this.runCounter;
+        const startTime = performance.now();
+
+        return new Promise((resolve, reject) => {
+            const run = { id, resolve, reject, startTime };
+
+            run.timeout = setTimeout(() => this.abortPendingRun('timeout'), this.matchTimeout);
+            run.busyTimer = setTimeout(() => this.setRunning(true), 150);
+
+            run.fallback = () => {
+                // The worker could not be loaded (e.g. opened from file://)
+                this.finishRun(run);
+                resolve(runLocally());
+            };
+
+            this.pendingRun = run;
+            worker.postMessage({ id, pattern, flags, text, tests, region, perLine });
+        });
     }
 
-    displayMatches() {
-        const container = document.getElementById('matchResults');
+    // Inputs run one after another through the match worker, each with its
+    // own time budget. A newer run returns early and leaves the rest alone.
+    async runBatch(runId, pattern, flags, testCases) {
+        // currentMatches will belong to batch inputs, not the test editor
+        this.lastRun = null;
+        this.highlightGeneration = null;
+        this.highlightMatches();
+        this.currentGroupNames = this.getGroupNames(pattern, flags);
+        this.batchResults = [];
+        this.setResultsStale(false);
 
-        if (this.currentMatches.length === 0) {
-            container.innerHTML = '<div class="no-matches">No matches found</div>';
+        if (this.batchInputs.length === 0) {
+            // Nothing ran, so the previous matches mustn't stay on screen or in the export
+            this.currentMatches = [];
+            this.currentText = '';
+            this.currentGroups = [];
+            this.displayResults();
+            this.updateTestSuite(RegexTestSuite.run(pattern, flags, testCases));
+            this.updateRegexStatus('Valid regex - add files or pasted inputs to run the batch', 'valid');
+            this.renderBatchResults();
             return;
         }
 
-        const matchesHtml = this.currentMatches.map((match, index) => `
-            <div class="match-item" data-match-index="${index}">
-                <div>
-                    <div class="match-text">${this.escapeHtml(match.match)}</div>
-                    <div class="match-position">Position: ${match.index}-${match.index + match.match.length - 1}</div>
-                </div>
-                <button class="btn btn-secondary copy-match" data-text="${this.escapeHtml(match.match)}">
-                    <i class="fas fa-copy"></i>
-                </button>
-            </div>
-        `).join('');
+        const inputs = [...this.batchInputs];
+        for (let i = 0; i < inputs.length; i++) {
+            const input = inputs[i];
+            const entry = { id: input.id, name: input.name, size: input.text.length, status: 'ok', matches: [], executionTime: 0 };
+            this.updateRegexStatus(`Matching ${i + 1} of ${inputs.length}...`, 'running');
+
+            try {
+                // The suite doesn't depend on the input, so it rides along with the first one
+                const result = await this.runMatcher(pattern, flags, input.text, i === 0 ? testCases : []);
+                if (runId !== this.batchRunId) return;
+                if (i === 0) this.updateTestSuite(result.tests);
+                entry.matches = result.matches;
+                entry.executionTime = result.executionTime;
+            } catch (error) {
+                if (runId !== this.batchRunId || error.reason === 'superseded') return;
+                entry.status = error.reason || 'error';
+                entry.error = error.message;
+                entry.executionTime = error.elapsed || 0;
+            }
+
+            this.batchResults.push(entry);
+            if (entry.status === 'cancelled') {
+                inputs.slice(i + 1).forEach(rest => {
+                    this.batchResults.push({ id: rest.id, name: rest.name, size: rest.text.length, status: 'cancelled', matches: [], executionTime: 0 });
+                });
+                break;
+            }
+            this.renderBatchResults();
+        }
+
+        this.renderBatchResults();
+        const total = this.batchResults.reduce((sum, result) => sum + result.matches.length, 0);
+        const failed = this.batchResults.filter(result => result.status !== 'ok').length;
+        const problems = failed > 0 ? ` (${failed} not finished)` : '';
+        this.updateRegexStatus(`Valid regex - ${total} matches in ${inputs.length} inputs${problems}`, failed > 0 ? 'error' : 'valid');
+    }
+
+    // Folders are walked recursively; hidden files and folders are skipped
+    async collectDroppedFiles(dataTransfer) {
+        // Entries have to be taken before the first await, while the drop event is live
+        const entries = [...dataTransfer.items]
+            .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+            .filter(Boolean);
+        if (entries.length === 0) {
+            return [...dataTransfer.files].map(file => ({ file, name: file.name }));
+        }
+
+        const files = [];
+        const walk = async (entry) => {
+            if (entry.name.startsWith('.')) return;
+
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                files.push({ file, name: entry.fullPath.replace(/^\//, '') });
+            } else if (entry.isDirectory) {
+                const reader = entry.createReader();
+                // readEntries hands out a directory in chunks until it returns none
+                let chunk;
+                while ((chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))).length > 0) {
+                    for (const child of chunk) await walk(child);
+                }
+            }
+        };
+
+        for (const entry of entries) await walk(entry);
+        return files;
+    }
+
+    // Files that are too large or look binary are left out
+    async addBatchFiles(files) {
+        const maxSize = 20 * 1024 * 1024;
+        let skipped = 0;
+
+        for (const { file, name } of files) {
+            if (file.size > maxSize) {
+                skipped++;
+                continue;
+            }
+            const text = await file.text();
+            if (text.slice(0, 8000).includes('\0')) {
+                skipped++;
+                continue;
+            }
+            this.addBatchInput(name, text);
+        }
+
+        const added = files.length - skipped;
+        if (files.length > 0) {
+            const note = skipped > 0 ? ` (${skipped} skipped: binary or over 20 MB)` : '';
+            this.showNotification(`Added ${added} file${added === 1 ? '' : 's'}${note}`, skipped > 0 ? 'warning' : 'success');
+        }
+        this.renderBatchInputs();
+        this.testRegex();
+    }
+
+    // An input with the same name is replaced, so re-dropping a file updates it
+    addBatchInput(name, text) {
+        const existing = this.batchInputs.find(input => input.name === name);
+        if (existing) {
+            existing.text = text;
+        } else {
+            this.batchInputs.push({ id: `input-${++this.batchInputCounter}`, name, text });
+        }
+    }
+
+    renderBatchInputs() {
+        const container = document.getElementById('batchInputList');
+        if (this.batchInputs.length === 0) {
+            container.innerHTML = '<div class="no-matches">No inputs yet</div>';
+            return;
+        }
+
+        container.innerHTML = this.batchInputs.map(input => `
+            <div class="batch-input">
+                <i class="fas fa-file-alt"></i>
+                <span class="batch-input-name" title="${this.escapeAttribute(input.name)}">${this.escapeHtml(input.name)}</span>
+                <span class="batch-input-size">${this.formatSize(input.text.length)}</span>
+                <button class="btn-icon" data-action="remove" data-id="${input.id}" title="Remove">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    renderBatchResults() {
+        const summary = document.getElementById('batchSummary');
+        const container = document.getElementById('batchResults');
+        const results = this.batchResults;
+
+        if (results.length === 0) {
+            summary.textContent = '';
+            container.innerHTML = '<div class="no-matches">No batch results yet</div>';
+            this.renderBatchPreview(null);
+            return;
+        }
+
+        const total = results.reduce((sum, result) => sum + result.matches.length, 0);
+        const time = results.reduce((sum, result) => sum + result.executionTime, 0);
+        const withMatches = results.filter(result => result.matches.length > 0).length;
+        summary.textContent = `${total} matches in ${withMatches} of ${results.length} inputs - ${time.toFixed(2)}ms total`;
+
+        const statusLabels = { ok: '', timeout: 'Timed out', cancelled: 'Cancelled', error: 'Error' };
+        container.innerHTML = `
+            <table class="batch-table">
+                <thead>
+                    <tr><th>Input</th><th>Size</th><th>Matches</th><th>Time</th></tr>
+                </thead>
+                <tbody>
+                    ${results.map(result => `
+                        <tr class="${result.id === this.batchSelection ? 'active' : ''} ${result.status !== 'ok' ? 'batch-failed' : ''}" data-id="${result.id}">
+                            <td class="batch-input-name" title="${this.escapeAttribute(result.name)}">${this.escapeHtml(result.name)}</td>
+                            <td>${this.formatSize(result.size)}</td>
+                            <td>${result.status === 'ok' ? result.matches.length : statusLabels[result.status]}</td>
+                            <td>${result.executionTime.toFixed(2)}ms</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        // Keep the drilled-in input if it's still there, otherwise open the first one
+        const selected = results.find(result => result.id === this.batchSelection) || results[0];
+        this.selectBatchInput(selected.id);
+    }
+
+    // Drilling in makes the input's matches the current ones, so the match
+    // and group lists and the results export describe it
+    selectBatchInput(id) {
+        const result = this.batchResults.find(item => item.id === id);
+        const input = this.batchInputs.find(item => item.id === id);
+        if (!result || !input) return;
+
+        this.batchSelection = id;
+        document.querySelectorAll('#batchResults tr[data-id]').forEach(row => {
+            row.classList.toggle('active', row.dataset.id === id);
+        });
+
+        this.currentMatches = result.matches;
+        this.currentText = input.text;
+        this.currentGroups = [];
+        this.displayResults();
+        this.updateAnalysis(result.executionTime.toFixed(2));
+        this.renderBatchPreview(result, input.text);
+    }
+
+    // Very large inputs are only previewed up to a point
+    renderBatchPreview(result, text = '') {
+        const header = document.getElementById('batchPreviewHeader');
+        const preview = document.getElementById('batchPreview');
+        if (!result) {
+            header.textContent = '';
+            preview.innerHTML = '';
+            return;
+        }
+
+        const limit = 100000;
+        const shown = text.slice(0, limit);
+        const matches = result.matches.filter(match => match.index + match.match.length <= shown.length);
+        const truncated = text.length > limit ? ` - showing the first ${limit.toLocaleString()} characters` : '';
+        const status = result.status === 'ok' ? `${result.matches.length} matches` : result.error;
+
+        header.textContent = `${result.name}: ${status}${truncated}`;
+        preview.innerHTML = this.renderHighlights(shown, matches);
+    }
+
+    formatSize(length) {
+        if (length < 1024) return `${length} B`;
+        if (length < 1024 * 1024) return `${(length / 1024).toFixed(1)} KB`;
+        return `${(length / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    exportBatch(format) {
+        if (this.batchResults.length === 0) {
+            this.showNotification('Run the batch before exporting');
+            return;
+        }
+
+        const content = format === 'json' ? this.generateBatchJsonExport() : this.generateBatchCsvExport();
+        this.downloadFile(content, `regex-batch-report.${format}`, format === 'json' ? 'application/json' : 'text/csv');
+        this.showNotification(`Batch report exported as ${format.toUpperCase()}`);
+    }
+
+    // The same report the command line prints for several files
+    getBatchExportRuns() {
+        return this.batchResults.map(result => {
+            const input = this.batchInputs.find(item => item.id === result.id);
+            return {
+                source: result.name,
+                regex: this.regexEditor.getValue(),
+                flags: this.getSelectedFlags(),
+                mode: 'batch',
+                text: input ? input.text : '',
+                matches: result.matches,
+                groupNames: this.currentGroupNames,
+                replacement: null,
+                lines: null,
+                status: result.status,
+                error: result.status === 'ok' ? null : result.error
+            };
+        });
+    }
+
+    generateBatchJsonExport() {
+        return RegexExport.json(this.getBatchExportRuns());
+    }
+
+    // Inputs that didn't finish are only in the JSON report, which keeps their status
+    generateBatchCsvExport() {
+        return RegexExport.csv(this.getBatchExportRuns());
+    }
+
+    getMatchWorker() {
+        if (this.workerUnavailable || typeof Worker === 'undefined') return null;
+        if (this.matchWorker) return this.matchWorker;
+
+        try {
+            this.matchWorker = new Worker('regex-worker.js');
+        } catch (e) {
+            this.workerUnavailable = true;
+            return null;
+        }
+
+        this.matchWorker.addEventListener('message', (e) => {
+            const run = this.pendingRun;
+            if (!run || run.id !== e.data.id) return;
+
+            this.finishRun(run);
+            if (e.data.error) {
+                run.reject(new Error(e.data.error));
+            } else {
+                run.resolve(e.data);
+            }
+        });
+
+        this.matchWorker.addEventListener('error', (e) => {
+            e.preventDefault();
+            this.workerUnavailable = true;
+            this.matchWorker.terminate();
+            this.matchWorker = null;
+            if (this.pendingRun) this.pendingRun.fallback();
+        });
+
+        return this.matchWorker;
+    }
+
+    abortPendingRun(reason) {
+        const run = this.pendingRun;
+        if (!run) return;
+
+        // A busy worker can't be interrupted, only replaced
+        this.matchWorker.terminate();
+        this.matchWorker = null;
+        this.finishRun(run);
+
+        const error = new Error(`Match run ${reason}`);
+        error.reason = reason;
+        error.elapsed = Math.round(performance.now() - run.startTime);
+        run.reject(error);
+    }
+
+    finishRun(run) {
+        clearTimeout(run.timeout);
+        clearTimeout(run.busyTimer);
+        if (this.pendingRun === run) this.pendingRun = null;
+        this.setRunning(false);
+    }
+
+    cancelRun() {
+        this.abortPendingRun('cancelled');
+    }
+
+    setRunning(running) {
+        document.getElementById('cancelBtn').style.display = running ? '' : 'none';
+        if (running) {
+            this.updateRegexStatus('Matching...', 'running');
+        }
+    }
+
+    setResultsStale(stale) {
+        document.querySelector('.results-panel').classList.toggle('stale', stale);
+    }
+
+    // Group number -> name, taken from the parsed pattern
+    getGroupNames(pattern, flags) {
+        try {
+            return RegexParser.parse(pattern, flags).captures.map(group => group.name);
+        } catch (e) {
+            return [];
+        }
+    }
+
+    // Exact per-group details for a match, built from match.indices
+    getGroupDetails(match) {
+        return RegexExport.groupDetails(match, this.currentGroupNames);
+    }
+
+    formatGroupLabel(group) {
+        return RegexExport.formatGroupLabel(group);
+    }
+
+    formatGroupPosition(group) {
+        return RegexExport.formatGroupPosition(group);
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        document.getElementById('modeSelect').value = mode;
+
+        const replacing = mode === 'replace';
+        document.getElementById('replaceContainer').style.display = replacing ? '' : 'none';
+        document.getElementById('replaceSection').style.display = replacing ? '' : 'none';
+
+        const batch = mode === 'batch';
+        document.getElementById('testStringSection').style.display = batch ? 'none' : '';
+        document.getElementById('batchInputSection').style.display = batch ? '' : 'none';
+        document.getElementById('batchSection').style.display = batch ? '' : 'none';
+        if (!batch) this.testEditor.refresh();
+
+        if (replacing) {
+            // CodeMirror can't measure itself while hidden
+            this.replaceEditor.refresh();
+            this.updateReplacePreview();
+        }
+
+        const comparing = mode === 'compare';
+        document.getElementById('compareContainer').style.display = comparing ? '' : 'none';
+        document.getElementById('compareSection').style.display = comparing ? '' : 'none';
+        if (comparing) {
+            this.compareEditor.refresh();
+        } else {
+            this.comparison = null;
+            this.highlightComparison();
+        }
+
+        const splitting = mode === 'split';
+        document.getElementById('splitSection').style.display = splitting ? '' : 'none';
+        if (!splitting) this.splitItems = null;
+
+        document.getElementById('tableSection').style.display = mode === 'table' ? '' : 'none';
+        this.renderTable();
+
+        const eachLine = mode === 'lines';
+        document.getElementById('linesSection').style.display = eachLine ? '' : 'none';
+        this.testEditor.setOption('gutters', eachLine ? ['line-results-gutter'] : []);
+        if (!eachLine) {
+            this.lineResults = null;
+            this.updateLineResults();
+        }
+    }
+
+    getReplacementResult() {
+        if (this.mode !== 'replace') return null;
+        return RegexMatcher.replace(this.currentText, this.currentMatches, this.replaceEditor.getValue());
+    }
+
+    updateReplacePreview() {
+        if (this.mode !== 'replace') return;
+
+        const container = document.getElementById('replaceResults');
+        if (!this.regexEditor.getValue().trim()) {
+            container.innerHTML = '<div class="no-matches">Enter a regex pattern to preview replacements</div>';
+            return;
+        }
+
+        const { output, replacements } = this.getReplacementResult();
+
+        if (this.replaceView === 'result') {
+            container.innerHTML = `<pre class="replace-output">${this.escapeHtml(output)}</pre>`;
+            return;
+        }
+
+        let html = '';
+        let lastIndex = 0;
+        replacements.forEach(({ index, length, replacement }) => {
+            html += this.escapeHtml(this.currentText.slice(lastIndex, index));
+            if (length > 0) html += `<del class="diff-del">${this.escapeHtml(this.currentText.substr(index, length))}</del>`;
+            if (replacement) html += `<ins class="diff-ins">${this.escapeHtml(replacement)}</ins>`;
+            lastIndex = index + length;
+        });
+        html += this.escapeHtml(this.currentText.slice(lastIndex));
+
+        const summary = `${replacements.length} ${replacements.length === 1 ? 'replacement' : 'replacements'}`;
+        container.innerHTML = `
+            <div class="replace-summary">${summary}</div>
+            <pre class="replace-output">${html}</pre>
+        `;
+    }
+
+    updateTestSuite(suite) {
+        const summary = document.getElementById('testSuiteSummary');
+        const container = document.getElementById('testCaseResults');
+
+        if (!suite || suite.results.length === 0) {
+            summary.textContent = 'No test cases';
+            summary.className = 'suite-summary';
+            container.innerHTML = '';
+            return;
+        }
+
+        const total = suite.results.length;
+        summary.textContent = suite.failed === 0
+            ? `All ${total} passing`
+            : `${suite.failed} of ${total} failing`;
+        summary.className = `suite-summary ${suite.failed === 0 ? 'suite-pass' : 'suite-fail'}`;
+
+        container.innerHTML = suite.results.map(result => `
+            <div class="test-case ${result.pass ? 'test-pass' : 'test-fail'}" data-line="${result.line}">
+                <i class="fas ${result.pass ? 'fa-check' : 'fa-times'}"></i>
+                <span class="test-case-line">${result.line}</span>
+                <code class="test-case-input">${result.error ? '' : this.escapeHtml(result.input)}</code>
+                <span class="test-case-message">${this.escapeHtml(result.message)}</span>
+            </div>
+        `).join('');
+    }
+
+    // Saving stringifies every input, so while typing it waits for a pause
+    scheduleSave() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = setTimeout(() => this.saveState(), RegexTesterPro.SAVE_IDLE_MS);
+    }
+
+    // Saves the workspace, and records history when the pattern compiles
+    saveState() {
+        clearTimeout(this.saveTimeout);
+        this.saveWorkspace();
+
+        const snapshot = this.getSnapshot();
+        const pattern = snapshot.pattern.trim();
+        if (!pattern) return;
+        try {
+            new RegExp(pattern, snapshot.flags);
+        } catch (error) {
+            return;
+        }
+        this.history.record(snapshot);
+    }
+
+    // Everything on screen survives a reload, including each editor's undo stack
+    saveWorkspace() {
+        const workspace = {
+            regex: this.regexEditor.getValue(),
+            flags: this.getSelectedFlags(),
+            text: this.testEditor.getValue(),
+            mode: this.mode,
+            replacement: this.replaceEditor.getValue(),
+            tests: this.testCasesEditor.getValue(),
+            compare: { pattern: this.compareEditor.getValue(), flags: this.getSelectedFlags('compareFlag') },
+            undo: {
+                regex: this.getUndoHistory(this.regexEditor),
+                text: this.getUndoHistory(this.testEditor),
+                replacement: this.getUndoHistory(this.replaceEditor),
+                tests: this.getUndoHistory(this.testCasesEditor)
+            }
+        };
+
+        try {
+            localStorage.setItem('workspace', JSON.stringify(workspace));
+            this.workspaceWarned = false;
+        } catch (e) {
+            // Once until a save works again, since this runs after every pause in typing
+            if (!this.workspaceWarned) {
+                this.showNotification('Could not save the workspace - browser storage is full', 'warning');
+                this.workspaceWarned = true;
+            }
+        }
+    }
+
+    restoreWorkspace() {
+        let workspace;
+        try {
+            workspace = JSON.parse(localStorage.getItem('workspace'));
+        } catch (e) {
+            return;
+        }
+        if (!workspace) return;
+
+        this.regexEditor.setValue(workspace.regex || '');
+        this.testEditor.setValue(workspace.text || '');
+        this.replaceEditor.setValue(workspace.replacement || '');
+        this.testCasesEditor.setValue(workspace.tests || '');
+        const compare = workspace.compare || {};
+        this.compareEditor.setValue(compare.pattern || '');
+        this.flagNames.forEach(flag => {
+            document.getElementById(`flag${flag}`).checked = (workspace.flags || '').includes(flag.toLowerCase());
+            document.getElementById(`compareFlag${flag}`).checked = (compare.flags || '').includes(flag.toLowerCase());
+        });
+        this.setMode(['replace', 'compare', 'split', 'table', 'lines'].includes(workspace.mode) ? workspace.mode : 'match');
+
+        const undo = workspace.undo || {};
+        this.setUndoHistory(this.regexEditor, undo.regex);
+        this.setUndoHistory(this.testEditor, undo.text);
+        this.setUndoHistory(this.replaceEditor, undo.replacement);
+        this.setUndoHistory(this.testCasesEditor, undo.tests);
+    }
+
+    // Undo stacks over large test strings would crowd out the rest of localStorage
+    getUndoHistory(editor) {
+        const history = editor.getHistory();
+        return JSON.stringify(history).length <= 100000 ? history : null;
+    }
+
+    setUndoHistory(editor, history) {
+        if (!history) return;
+        try {
+            editor.setHistory(history);
+        } catch (e) {
+            editor.clearHistory();
+        }
+    }
+
+    getSnapshot() {
+        return {
+            pattern: this.regexEditor.getValue(),
+            flags: this.getSelectedFlags(),
+            text: this.testEditor.getValue(),
+            mode: this.mode,
+            replacement: this.replaceEditor.getValue(),
+            tests: this.testCasesEditor.getValue(),
+            comparePattern: this.compareEditor.getValue(),
+            compareFlags: this.getSelectedFlags('compareFlag')
+        };
+    }
+
+    // Puts every input back the way it was and runs immediately, skipping the debounce
+    restoreSnapshot(snapshot) {
+        if (!snapshot) return;
+
+        this.history.seal();
+        this.regexEditor.setValue(snapshot.pattern);
+        this.testEditor.setValue(snapshot.text);
+        this.replaceEditor.setValue(snapshot.replacement);
+        this.testCasesEditor.setValue(snapshot.tests);
+        this.compareEditor.setValue(snapshot.comparePattern || '');
+        this.flagNames.forEach(flag => {
+            document.getElementById(`flag${flag}`).checked = snapshot.flags.includes(flag.toLowerCase());
+            document.getElementById(`compareFlag${flag}`).checked = (snapshot.compareFlags || '').includes(flag.toLowerCase());
+        });
+        this.setMode(snapshot.mode);
+        if (snapshot.textLength) {
+            this.showNotification(`Only the first ${snapshot.text.length.toLocaleString()} of ${snapshot.textLength.toLocaleString()} test string characters were kept`, 'warning');
+        }
+
+        clearTimeout(this.testTimeout);
+        this.hideModal('history');
+        this.testRegex();
+    }
+
+    // Pattern B in compare mode has its own checkboxes, prefixed compareFlag
+    getSelectedFlags(prefix = 'flag') {
+        const flags = [];
+        this.flagNames.forEach(flag => {
+            if (document.getElementById(`${prefix}${flag}`).checked) {
+                flags.push(flag.toLowerCase());
+            }
+        });
+        return flags.join('');
+    }
+
+    displayResults() {
+        this.displayMatches();
+        this.displayGroups();
+        this.updateMatchCounter();
+    }
+
+    displayMatches() {
+        const count = this.currentMatches.length;
+        document.getElementById('matchEmpty').style.display = count === 0 ? '' : 'none';
+        this.matchList.setCount(count);
+    }
+
+    renderMatchRows(first, last) {
+        return this.currentMatches.slice(first, last).map((match, offset) => `
+            <div class="match-item" data-match-index="${first + offset}">
+                <div class="match-details">
+                    <div class="match-text">${this.escapeHtml(this.truncateCell(match.match))}</div>
+                    <div class="match-position">Position: ${match.index}-${match.index + match.match.length - 1}</div>
+                </div>
+                <button class="btn btn-secondary copy-match" title="Copy match">
+                    <i class="fas fa-copy"></i>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    // One row per group of every match; every match has the same group count
+    displayGroups() {
+        const groupCount = this.currentMatches.length > 0 ? this.currentMatches[0].groups.length - 1 : 0;
+        const rows = this.currentMatches.length * groupCount;
+
+        document.getElementById('groupTable').style.display = rows === 0 ? 'none' : '';
+        document.getElementById('groupEmpty').style.display = rows === 0 ? '' : 'none';
+        this.groupList.setCount(rows);
+    }
+
+    renderGroupRows(first, last) {
+        const groupCount = this.currentMatches[0].groups.length - 1;
+        let html = '';
+
+        for (let row = first; row < last; row++) {
+            const matchIndex = Math.floor(row / groupCount);
+            const group = this.getGroupDetails(this.currentMatches[matchIndex])[row % groupCount];
+            const value = group.value === undefined
+                ? '<span class="group-unmatched">not matched</span>'
+                : this.escapeHtml(this.truncateCell(group.value));
+            const color = ((group.number - 1) % 8) + 1;
+
+            html += `
+                <tr class="${group.name ? 'named-group' : ''}" data-match-index="${matchIndex}" data-group="${group.number}">
+                    <td>${matchIndex + 1}</td>
+                    <td><span class="group-swatch group-color-${color}"></span>${this.escapeHtml(this.formatGroupLabel(group))}</td>
+                    <td>${value}</td>
+                    <td>${this.formatGroupPosition(group)}</td>
+                </tr>
+            `;
+        }
+        return html;
+    }
+
+    // Rows are one line high and cut off with an ellipsis anyway
+    truncateCell(text) {
+        return text.length > 500 ? text.slice(0, 500) : text;
+    }
+
+    // Only the lines CodeMirror has rendered get marks; scrolling marks the
+    // new viewport. While the text has changed since the last run, the old
+    // marks stay and move along with the edits.
+    highlightMatches() {
+        if (this.highlightGeneration !== null && !this.testEditor.isClean(this.highlightGeneration)) return;
+
+        this.matchMarks.forEach(mark => mark.clear());
+        this.matchMarks = [];
+        if (this.highlightGeneration === null) return;
+
+        const doc = this.testEditor.getDoc();
+        const viewport = this.testEditor.getViewport();
+        const start = doc.indexFromPos({ line: viewport.from, ch: 0 });
+        const end = doc.indexFromPos({ line: viewport.to, ch: 0 });
+
+        // Matches don't overlap, so only the one before the first inside can reach in
+        let i = Math.max(0, RegexIncremental.firstAtOrAfter(this.currentMatches, start) - 1);
+        const last = Math.min(this.currentMatches.length, i + RegexTesterPro.MAX_VIEWPORT_MATCHES);
+
+        for (; i < last && this.currentMatches[i].index <= end; i++) {
+            const match = this.currentMatches[i];
+            this.matchMarks.push(this.markTestRange(match.index, match.index + match.match.length, 'highlight', 'highlight-empty'));
+
+            this.getGroupDetails(match).forEach(group => {
+                if (group.start === null) return;
+                const color = ((group.number - 1) % 8) + 1;
+                this.matchMarks.push(this.markTestRange(group.start, group.end, `group-highlight group-color-${color}`, 'group-empty'));
+            });
+        }
+    }
+
+    // Empty spans become a zero-width bookmark widget
+    markTestRange(start, end, className, emptyClassName) {
+        const doc = this.testEditor.getDoc();
+        if (start === end) {
+            const widget = document.createElement('span');
+            widget.className = `${className} ${emptyClassName}`;
+            return doc.setBookmark(doc.posFromIndex(start), { widget, insertLeft: true });
+        }
+        return doc.markText(doc.posFromIndex(start), doc.posFromIndex(end), { className });
+    }
+
+    // Hover marks are only drawn while the editor still shows the matched text
+    setActiveMark(start, end, className, emptyClassName) {
+        if (this.activeMark) {
+            this.activeMark.clear();
+            this.activeMark = null;
+        }
+        if (start !== null && this.highlightGeneration !== null && this.testEditor.isClean(this.highlightGeneration)) {
+            this.activeMark = this.markTestRange(start, end, className, emptyClassName);
+        }
+    }
+
+    renderHighlights(testString, matches) {
+        const intervals = [];
+
+        // Whole matches plus every captured group, with exact offsets
+        matches.forEach((match, matchIndex) => {
+            intervals.push({ start: match.index, end: match.index + match.match.length, matchIndex, order: 0 });
+            this.getGroupDetails(match).forEach(group => {
+                if (group.start === null) return;
+                intervals.push({ start: group.start, end: group.end, matchIndex, group: group.number, order: group.number });
+            });
+        });
+
+        // Outer spans first so that nesting follows the pattern structure
+        intervals.sort((a, b) => a.start - b.start || b.end - a.end || a.order - b.order);
+
+        const points = [...new Set([0, testString.length, ...intervals.flatMap(iv => [iv.start, iv.end])])]
+            .filter(point => point <= testString.length)
+            .sort((a, b) => a - b);
+        const empty = intervals.filter(iv => iv.start === iv.end);
+        const spans = intervals.filter(iv => iv.start < iv.end);
+        const stack = [];
+        let highlightedText = '';
+        let next = 0;
+
+        const openTag = iv => {
+            if (iv.group === undefined) {
+                return `<span class="highlight${iv.start === iv.end ? ' highlight-empty' : ''}" data-match-index="${iv.matchIndex}">`;
+            }
+            const color = ((iv.group - 1) % 8) + 1;
+            return `<span class="group-highlight group-color-${color}${iv.start === iv.end ? ' group-empty' : ''}" data-match-index="${iv.matchIndex}" data-group="${iv.group}">`;
+        };
+
+        const emitEmpty = list => list.forEach(iv => {
+            highlightedText += `${openTag(iv)}</span>`;
+        });
+
+        points.forEach((point, i) => {
+            const emptyHere = empty.filter(iv => iv.start === point);
+
+            // Empty groups at the end of their match stay inside it
+            const insideOpen = emptyHere.filter(iv => iv.group !== undefined && stack.some(open => open.matchIndex === iv.matchIndex));
+            emitEmpty(insideOpen);
+
+            // Close spans ending here; anything crossing them is split and reopened
+            if (stack.some(iv => iv.end === point)) {
+                const reopen = [];
+                while (stack.some(iv => iv.end === point)) {
+                    const top = stack.pop();
+                    highlightedText += '</span>';
+                    if (top.end !== point) reopen.unshift(top);
+                }
+                reopen.forEach(iv => {
+                    highlightedText += openTag(iv);
+                    stack.push(iv);
+                });
+            }
+
+            while (next < spans.length && spans[next].start === point) {
+                highlightedText += openTag(spans[next]);
+                stack.push(spans[next]);
+                next++;
+            }
+
+            emitEmpty(emptyHere.filter(iv => !insideOpen.includes(iv)));
+
+            if (i + 1 < points.length) {
+                highlightedText += this.escapeHtml(testString.slice(point, points[i + 1]));
+            }
+        });
+        highlightedText += '</span>'.repeat(stack.length);
+
+        return highlightedText;
+    }
+
+    highlightMatch(index, active = false) {
+        const match = this.currentMatches[index];
+        if (active && match) {
+            this.setActiveMark(match.index, match.index + match.match.length, 'highlight active', 'highlight-empty');
+        } else {
+            this.setActiveMark(null);
+        }
+
+        const highlights = document.querySelectorAll('#batchPreview .highlight');
+        highlights.forEach(highlight => {
+            highlight.classList.toggle('active', parseInt(highlight.dataset.matchIndex) === index && active);
+        });
+    }
+
+    // A group may be split into several spans where it crosses another one
+    highlightGroup(matchIndex, group, active = false) {
+        const match = this.currentMatches[matchIndex];
+        const span = match && match.indices[group];
+        if (active && span) {
+            const color = ((group - 1) % 8) + 1;
+            this.setActiveMark(span[0], span[1], `group-highlight group-color-${color} active`, 'group-empty');
+        } else {
+            this.setActiveMark(null);
+        }
+
+        const highlights = document.querySelectorAll('#batchPreview .group-highlight');
+        highlights.forEach(highlight => {
+            const isTarget = parseInt(highlight.dataset.matchIndex) === matchIndex &&
+                parseInt(highlight.dataset.group) === group;
+            highlight.classList.toggle('active', isTarget && active);
+        });
+    }
+
+    updateMatchCounter() {
+        const counter = document.getElementById('matchCount');
+        const count = this.currentMatches.length;
+        counter.textContent = `${count} ${count === 1 ? 'match' : 'matches'}`;
+    }
+
+    updateRegexInfo() {
+        const pattern = this.regexEditor.getValue();
+        const length = document.getElementById('regexLength');
+        length.textContent = `${pattern.length} characters`;
+    }
+
+    updateTextInfo() {
+        const text = this.testEditor.getValue();
+        const length = document.getElementById('textLength');
+        const lines = document.getElementById('lineCount');
+
+        length.textContent = `${text.length} characters`;
+        lines.textContent = `${text.split('\n').length} lines`;
+    }
+
+    updateRegexStatus(message, type) {
+        const status = document.getElementById('regexStatus');
+        status.textContent = message;
+        status.className = `status ${type}`;
+    }
+
+    updateAnalysis(executionTime) {
+        document.getElementById('perfTime').textContent = `${executionTime}ms`;
+    }
+
+    updateBacktrackingAnalysis(pattern, flags) {
+        const risk = document.getElementById('backtrackingRisk');
+        const container = document.getElementById('redosFindings');
+        const labels = { safe: 'Safe', polynomial: 'Polynomial', exponential: 'Exponential', unknown: 'Unknown' };
+
+        let analysis;
+        try {
+            analysis = RegexAnalyzer.analyze(pattern, flags);
+        } catch (error) {
+            risk.textContent = '-';
+            risk.className = 'risk';
+            container.innerHTML = '';
+            return;
+        }
+
+        risk.textContent = labels[analysis.risk] + (analysis.approximate ? '*' : '');
+        risk.className = `risk risk-${analysis.risk}`;
+        risk.title = analysis.approximate
+            ? 'Approximate: lookarounds and backreferences are not modelled'
+            : '';
+
+        container.innerHTML = analysis.findings.map(finding => {
+            const { prefix, pump, repeat, suffix } = finding.attack;
+            const parts = [];
+            if (prefix) parts.push(JSON.stringify(prefix));
+            parts.push(`${JSON.stringify(pump)}.repeat(${repeat})`);
+            if (suffix) parts.push(JSON.stringify(suffix));
+
+            return `
+                <div class="redos-finding redos-${finding.severity}" data-start="${finding.start}" data-end="${finding.end}">
+                    <div class="redos-title">
+                        <span class="risk risk-${finding.severity}">${labels[finding.severity]}</span>
+                        <code>${this.escapeHtml(pattern.slice(finding.start, finding.end))}</code>
+                    </div>
+                    <div class="redos-message">${this.escapeHtml(finding.message)}</div>
+                    <div class="redos-attack">
+                        <code>${this.escapeHtml(parts.join(' + '))}</code>
+                        <button class="btn btn-secondary use-attack" title="Load this attack string as the test string">
+                            <i class="fas fa-bug"></i> Try it
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('.redos-finding').forEach((item, index) => {
+            const finding = analysis.findings[index];
+            item.addEventListener('mouseenter', () => this.highlightPatternRange(finding.start, finding.end));
+            item.addEventListener('mouseleave', () => this.clearPatternHighlight());
+            item.querySelector('.use-attack').addEventListener('click', () => {
+                const { prefix, pump, repeat, suffix } = finding.attack;
+                this.testEditor.setValue(prefix + pump.repeat(repeat) + suffix);
+            });
+        });
+    }
+
+    clearResults() {
+        this.abortPendingRun('superseded');
+        document.getElementById('perfTime').textContent = '-';
+        document.getElementById('backtrackingRisk').textContent = '-';
+        document.getElementById('backtrackingRisk').className = 'risk';
+        document.getElementById('redosFindings').innerHTML = '';
+        document.getElementById('replaceResults').innerHTML = '';
+        this.updateTestSuite(null);
+        this.setResultsStale(false);
+        this.currentMatches = [];
+        this.currentText = '';
+        this.currentGroups = [];
+        this.currentGroupNames = [];
+        this.lastRun = null;
+        this.highlightGeneration = null;
+        this.displayResults();
+        this.highlightMatches();
+        this.setActiveMark(null);
+        this.batchResults = [];
+        this.renderBatchResults();
+        this.comparison = null;
+        this.renderComparison();
+        this.highlightComparison();
+        this.splitItems = null;
+        this.renderSplit();
+        this.renderTable();
+        this.lineResults = null;
+        this.updateLineResults();
+    }
+
+    clearAll() {
+        this.regexEditor.setValue('');
+        this.testEditor.setValue('');
+        this.testCasesEditor.setValue('');
+        this.compareEditor.setValue('');
+        this.clearResults();
+        this.updateRegexStatus('Enter a regex pattern', 'neutral');
+
+        // Clear flags
+        this.flagNames.forEach(flag => {
+            document.getElementById(`flag${flag}`).checked = false;
+            document.getElementById(`compareFlag${flag}`).checked = false;
+        });
+    }
+
+    clearText() {
+        this.testEditor.setValue('');
+        this.clearResults();
+    }
+
+    loadSampleData() {
+        const sampleRegex = '\\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Z|a-z]{2,}\\b';
+        const sampleText = `Contact us at:
+support@example.com
+info@test-site.org
+admin@my-company.co.uk
+sales@startup123.io
+
+Invalid emails:
+@invalid.com
+test@
+incomplete@domain
+spaces in@email.com`;
+        const sampleTests = `# Valid addresses
++ support@example.com
++[0=admin@my-company.co.uk] Email: admin@my-company.co.uk
+
+# Invalid addresses
+- @invalid.com
+- test@
+- incomplete@domain`;
+
+        this.regexEditor.setValue(sampleRegex);
+        this.testEditor.setValue(sampleText);
+        this.testCasesEditor.setValue(sampleTests);
+        document.getElementById('flagG').checked = true;
+
+        setTimeout(() => this.testRegex(), 100);
+    }
+
+    async shareRegex() {
+        const snapshot = this.getSnapshot();
+
+        let fragment;
+        try {
+            fragment = await RegexShareLink.encode(snapshot);
+        } catch (error) {
+            this.showNotification(`Could not create a share link: ${error.message}`, 'error');
+            return;
+        }
+
+        const shareUrl = `${window.location.origin}${window.location.pathname}#${fragment}`;
+
+        if (navigator.share) {
+            navigator.share({
+                title: 'RegEx Tester Pro - Shared Pattern',
+                text: `Regex pattern: /${snapshot.pattern}/${snapshot.flags}`,
+                url: shareUrl
+            }).catch(() => {});
+        } else {
+            this.copyToClipboard(shareUrl);
+            this.showNotification('Share URL copied to clipboard!');
+        }
+
+        if (shareUrl.length > RegexShareLink.LONG_LINK) {
+            this.showNotification(`The link is ${Math.ceil(shareUrl.length / 1024)} KB long - some apps may cut it off`, 'warning');
+        }
+    }
+
+    explainRegex() {
+        const pattern = this.regexEditor.getValue().trim();
+        if (!pattern) {
+            this.showNotification('Enter a regex pattern first');
+            return;
+        }
+
+        const section = document.getElementById('explainSection');
+        if (section.style.display !== 'none') {
+            this.hideExplanation();
+            return;
+        }
+
+        section.style.display = '';
+        this.updateExplanation();
+        section.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    hideExplanation() {
+        document.getElementById('explainSection').style.display = 'none';
+        this.clearPatternHighlight();
+    }
+
+    updateExplanation() {
+        const section = document.getElementById('explainSection');
+        if (section.style.display === 'none') return;
+
+        const container = document.getElementById('explainResults');
+        const pattern = this.regexEditor.getValue().trim();
+
+        if (!pattern) {
+            container.innerHTML = '<div class="no-matches">Enter a regex pattern to explain</div>';
+            return;
+        }
+
+        try {
+            const nodes = RegexExplainer.explain(pattern, this.getSelectedFlags());
+            container.innerHTML = this.renderExplanationNodes(nodes, pattern);
+        } catch (error) {
+            const position = error.position !== undefined ? ` at position ${error.position}` : '';
+            container.innerHTML = `<div class="explain-error">Cannot explain pattern: ${this.escapeHtml(error.message)}${position}</div>`;
+        }
+    }
+
+    renderExplanationNodes(nodes, pattern) {
+        return nodes.map(node => {
+            let source = pattern.slice(node.start, node.end);
+            if (source.length > 40) source = `${source.slice(0, 37)}...`;
+
+            const attrs = `data-start="${node.start}" data-end="${node.end}"`;
+            const content = `
+                ${source ? `<code class="explain-token">${this.escapeHtml(source)}</code>` : ''}
+                <span class="explain-label">${this.escapeHtml(node.label)}</span>
+            `;
+
+            if (node.children.length === 0) {
+                return `<div class="explain-node explain-leaf" ${attrs}>${content}</div>`;
+            }
+
+            return `
+                <details class="explain-node" open>
+                    <summary ${attrs}>${content}</summary>
+                    <div class="explain-children">${this.renderExplanationNodes(node.children, pattern)}</div>
+                </details>
+            `;
+        }).join('');
+    }
+
+    toggleExplanationNodes(open) {
+        document.querySelectorAll('#explainResults details').forEach(details => {
+            details.open = open;
+        });
+    }
+
+    checkCompatibility() {
+        const pattern = this.regexEditor.getValue().trim();
+        if (!pattern) {
+            this.showNotification('Enter a regex pattern first');
+            return;
+        }
+
+        const section = document.getElementById('compatSection');
+        if (section.style.display !== 'none') {
+            this.hideCompatibility();
+            return;
+        }
+
+        section.style.display = '';
+        this.updateCompatibility();
+        section.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    hideCompatibility() {
+        document.getElementById('compatSection').style.display = 'none';
+        this.clearPatternHighlight();
+    }
+
+    // Runs before the RegExp is built, so Python or PCRE-only syntax still gets a verdict
+    updateCompatibility() {
+        const section = document.getElementById('compatSection');
+        if (section.style.display === 'none') return;
+
+        const container = document.getElementById('compatResults');
+        const pattern = this.regexEditor.getValue().trim();
+        this.compatResult = null;
+
+        if (!pattern) {
+            container.innerHTML = '<div class="no-matches">Enter a regex pattern to check</div>';
+            return;
+        }
+
+        try {
+            this.compatResult = RegexCompatibility.check(pattern, this.getSelectedFlags());
+        } catch (error) {
+            const position = error.position !== undefined ? ` at position ${error.position}` : '';
+            container.innerHTML = `<div class="explain-error">Cannot check pattern: ${this.escapeHtml(error.message)}${position}</div>`;
+            return;
+        }
+
+        container.innerHTML = this.renderCompatibilityMatrix(this.compatResult) +
+            this.renderCompatibilityDetails(this.compatResult);
+    }
+
+    renderCompatibilityMatrix({ features, flavors }) {
+        const rank = { ok: 0, note: 1, rewrite: 2, unsupported: 3 };
+        const icons = {
+            ok: 'fa-check',
+            note: 'fa-info-circle',
+            rewrite: 'fa-magic',
+            unsupported: 'fa-times'
+        };
+        const verdicts = {
+            compatible: 'Compatible',
+            rewritable: 'Rewritable',
+            incompatible: 'Incompatible'
+        };
+
+        // One row per feature; a cell shows the worst verdict across its occurrences
+        const rows = new Map();
+        features.forEach(feature => {
+            if (!rows.has(feature.name)) rows.set(feature.name, []);
+            rows.get(feature.name).push(feature);
+        });
+
+        const body = rows.size === 0
+            ? `<tr><td colspan="${flavors.length + 1}" class="compat-empty">No flavor-specific constructs</td></tr>`
+            : [...rows].map(([name, occurrences]) => {
+                const tokens = occurrences.map(feature => feature.token
+                    ? `<code class="compat-token" data-start="${feature.start}" data-end="${feature.end}">${this.escapeHtml(feature.token)}</code>`
+                    : '').join(' ');
+
+                const cells = flavors.map(flavor => {
+                    const worst = occurrences
+                        .map(feature => feature.support[flavor.id])
+                        .reduce((a, b) => rank[b.status] > rank[a.status] ? b : a);
+                    const title = worst.note || (worst.edit ? `Rewrite as ${worst.edit.text || '(nothing)'}` : '');
+                    return `
+                        <td class="compat-cell compat-${worst.status}" title="${this.escapeAttribute(title)}">
+                            <i class="fas ${icons[worst.status]}"></i>
+                        </td>
+                    `;
+                }).join('');
+
+                return `
+                    <tr>
+                        <th scope="row"><div class="compat-feature">${this.escapeHtml(name)}</div>${tokens}</th>
+                        ${cells}
+                    </tr>
+                `;
+            }).join('');
+
+        return `
+            <table class="compat-table">
+                <thead>
+                    <tr>
+                        <th>Feature</th>
+                        ${flavors.map(flavor => `<th>${this.escapeHtml(flavor.name)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>${body}</tbody>
+                <tfoot>
+                    <tr>
+                        <th scope="row">Verdict</th>
+                        ${flavors.map(flavor => `<td class="compat-verdict compat-${flavor.status}">${verdicts[flavor.status]}</td>`).join('')}
+                    </tr>
+                </tfoot>
+            </table>
+        `;
+    }
+
+    renderCompatibilityDetails({ flavors }) {
+        const items = flavors.map(flavor => {
+            if (flavor.status === 'rewritable') {
+                const rewrite = flavor.id === 'javascript'
+                    ? `/${flavor.rewrite}/${flavor.rewriteFlags}`
+                    : flavor.rewrite;
+                const useButton = flavor.id === 'javascript'
+                    ? `<button class="btn btn-secondary" data-action="use" data-flavor="${flavor.id}" title="Replace the pattern with this rewrite">
+                           <i class="fas fa-check"></i> Use
+                       </button>`
+                    : '';
+                return `
+                    <div class="compat-flavor compat-rewritable">
+                        <strong>${this.escapeHtml(flavor.name)}</strong>
+                        <code class="compat-rewrite-code">${this.escapeHtml(rewrite)}</code>
+                        <div class="compat-flavor-actions">
+                            <button class="btn btn-secondary" data-action="copy" data-flavor="${flavor.id}" title="Copy rewrite">
+                                <i class="fas fa-copy"></i>
+                            </button>
+                            ${useButton}
+                        </div>
+                    </div>
+                `;
+            }
+
+            if (flavor.status === 'incompatible') {
+                const blockers = flavor.issues
+                    .filter(feature => feature.support[flavor.id].status === 'unsupported')
+                    .map(feature => `
+                        <span class="compat-blocker">
+                            ${feature.token ? `<code class="compat-token" data-start="${feature.start}" data-end="${feature.end}">${this.escapeHtml(feature.token)}</code>` : ''}
+                            ${this.escapeHtml(feature.name)}
+                        </span>
+                    `).join('');
+                return `
+                    <div class="compat-flavor compat-incompatible">
+                        <strong>${this.escapeHtml(flavor.name)}</strong>
+                        <div class="compat-blockers">${blockers}</div>
+                    </div>
+                `;
+            }
+
+            return '';
+        }).join('');
+
+        return items ? `<div class="compat-details">${items}</div>` : '';
+    }
+
+    applyRewrite(flavor) {
+        this.regexEditor.setValue(flavor.rewrite);
+        this.flagNames.forEach(flag => {
+            document.getElementById(`flag${flag}`).checked = flavor.rewriteFlags.includes(flag.toLowerCase());
+        });
+        this.testRegex();
+        this.showNotification(`Pattern rewritten for ${flavor.name}`);
+    }
+
+    // Offsets from the parser are relative to the trimmed pattern
+    showDiagram() {
+        const pattern = this.regexEditor.getValue().trim();
+        if (!pattern) {
+            this.showNotification('Enter a regex pattern first');
+            return;
+        }
+
+        const section = document.getElementById('diagramSection');
+        if (section.style.display !== 'none') {
+            this.hideDiagram();
+            return;
+        }
+
+        section.style.display = '';
+        this.updateDiagram();
+        section.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    hideDiagram() {
+        document.getElementById('diagramSection').style.display = 'none';
+        this.clearPatternHighlight();
+    }
+
+    updateDiagram() {
+        const section = document.getElementById('diagramSection');
+        if (section.style.display === 'none') return;
+
+        const container = document.getElementById('diagramResults');
+        const pattern = this.regexEditor.getValue().trim();
+        this.diagramSvg = null;
+
+        if (!pattern) {
+            container.innerHTML = '<div class="no-matches">Enter a regex pattern to draw</div>';
+            return;
+        }
+
+        try {
+            this.diagramSvg = RegexRailroad.render(pattern, this.getSelectedFlags()).svg;
+            container.innerHTML = this.diagramSvg;
+        } catch (error) {
+            const position = error.position !== undefined ? ` at position ${error.position}` : '';
+            container.innerHTML = `<div class="explain-error">Cannot draw pattern: ${this.escapeHtml(error.message)}${position}</div>`;
+        }
+    }
+
+    exportDiagram() {
+        if (!this.diagramSvg) {
+            this.showNotification('Nothing to export');
+            return;
+        }
+        this.downloadFile(this.diagramSvg, 'regex-diagram.svg', 'image/svg+xml');
+    }
+
+    // The debugger opens even when nothing matches - that is when it is most useful
+    debugRegex() {
+        const pattern = this.regexEditor.getValue().trim();
+        if (!pattern) {
+            this.showNotification('Enter a regex pattern first');
+            return;
+        }
+
+        const section = document.getElementById('debugSection');
+        if (section.style.display !== 'none') {
+            this.hideDebugger();
+            return;
+        }
+
+        section.style.display = '';
+        this.debugStep = 0;
+        this.updateDebugger();
+        section.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    hideDebugger() {
+        document.getElementById('debugSection').style.display = 'none';
+        this.debugTrace = null;
+        this.clearDebugMarks();
+        this.clearPatternHighlight();
+    }
+
+    // Retraces after every edit, staying on the same step number where possible
+    updateDebugger() {
+        const section = document.getElementById('debugSection');
+        if (section.style.display === 'none') return;
+
+        const pattern = this.regexEditor.getValue().trim();
+        const flags = this.getSelectedFlags();
+        const message = document.getElementById('debugMessage');
+        this.debugTrace = null;
+
+        if (!pattern) {
+            message.innerHTML = '<div class="no-matches">Enter a regex pattern to debug</div>';
+        } else {
+            try {
+                this.debugTrace = {
+                    ...RegexDebugger.trace(pattern, flags, this.testEditor.getValue()),
+                    groupNames: this.getGroupNames(pattern, flags)
+                };
+            } catch (error) {
+                const position = error.position !== undefined ? ` at position ${error.position}` : '';
+                message.innerHTML = `<div class="debug-error">Cannot debug pattern: ${this.escapeHtml(error.message)}${position}</div>`;
+            }
+        }
+
+        const outcome = document.getElementById('debugOutcome');
+        const slider = document.getElementById('debugSlider');
+
+        if (!this.debugTrace) {
+            ['debugStepNumber', 'debugStepTotal', 'debugBacktracks', 'debugBacktrackTotal'].forEach(id => {
+                document.getElementById(id).textContent = '0';
+            });
+            outcome.textContent = '';
+            slider.max = 0;
+            document.getElementById('debugCaptures').innerHTML = '';
+            this.clearDebugMarks();
+            this.clearPatternHighlight();
+            return;
+        }
+
+        const { steps, match, backtracks, truncated } = this.debugTrace;
+        if (truncated) {
+            outcome.textContent = truncated;
+            outcome.className = 'debug-outcome debug-truncated';
+        } else if (match) {
+            outcome.textContent = `Match at ${match.index}-${match.end}`;
+            outcome.className = 'debug-outcome debug-matched';
+        } else {
+            outcome.textContent = 'No match';
+            outcome.className = 'debug-outcome debug-failed';
+        }
+
+        document.getElementById('debugStepTotal').textContent = steps.length;
+        document.getElementById('debugBacktrackTotal').textContent = backtracks;
+        slider.max = steps.length - 1;
+        this.setDebugStep(this.debugStep);
+    }
+
+    setDebugStep(index) {
+        if (!this.debugTrace) return;
+
+        const steps = this.debugTrace.steps;
+        this.debugStep = Math.max(0, Math.min(steps.length - 1, index));
+        const step = steps[this.debugStep];
+
+        document.getElementById('debugStepNumber').textContent = this.debugStep + 1;
+        document.getElementById('debugBacktracks').textContent = step.backtracks;
+        document.getElementById('debugSlider').value = this.debugStep;
+        document.getElementById('debugMessage').innerHTML = `
+            <span class="debug-step-type debug-${step.type}">${step.type.replace('-', ' ')}</span>
+            ${this.escapeHtml(step.message)}
+            <span class="debug-position">at input position ${step.pos}</span>
+        `;
+
+        const text = this.testEditor.getValue();
+        document.getElementById('debugCaptures').innerHTML = step.captures.slice(1).map((span, i) => {
+            const label = this.formatGroupLabel({ number: i + 1, name: this.debugTrace.groupNames[i] });
+            const value = span
+                ? `<code>${this.escapeHtml(JSON.stringify(text.slice(span[0], span[1])))}</code>`
+                : '<span class="group-unmatched">unset</span>';
+            return `<div class="debug-group"><span class="group-swatch group-color-${(i % 8) + 1}"></span>${this.escapeHtml(label)} ${value}</div>`;
+        }).join('');
+
+        if (step.start !== null) {
+            this.highlightPatternRange(step.start, step.end);
+        } else {
+            this.clearPatternHighlight();
+        }
+        this.showDebugPosition(step);
+    }
+
+    // Marks the text this attempt has covered, the span the step tested and a caret at its position
+    showDebugPosition(step) {
+        this.clearDebugMarks();
+        const length = this.testEditor.getValue().length;
+        const clamp = index => Math.max(0, Math.min(length, index));
+
+        if (step.type !== 'attempt' && step.type !== 'no-match' && step.pos !== step.attempt) {
+            const from = Math.min(step.attempt, step.pos);
+            const to = Math.max(step.attempt, step.pos);
+            this.debugMarks.push(this.markTestRange(clamp(from), clamp(to), 'cm-debug-progress', ''));
+        }
+        if (step.span && step.span[0] !== step.span[1]) {
+            const className = step.type === 'fail' ? 'cm-debug-fail' : 'cm-debug-span';
+            this.debugMarks.push(this.markTestRange(clamp(step.span[0]), clamp(step.span[1]), className, ''));
+        }
+        this.debugMarks.push(this.markTestRange(clamp(step.pos), clamp(step.pos), 'debug-caret', ''));
+        this.testEditor.scrollIntoView(this.testEditor.posFromIndex(clamp(step.pos)), 40);
+    }
+
+    clearDebugMarks() {
+        this.debugMarks.forEach(mark => mark.clear());
+        this.debugMarks = [];
+    }
+
+    showGenerator() {
+        const section = document.getElementById('generateSection');
+        if (section.style.display !== 'none') {
+            this.hideGenerator();
+            return;
+        }
+
+        section.style.display = '';
+        this.updateGenerator();
+        section.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    // Closing the tool also takes its example marks off the test string
+    hideGenerator() {
+        document.getElementById('generateSection').style.display = 'none';
+        this.clearExamples();
+    }
+
+    // Every selected range becomes an example, replacing any example it overlaps
+    markExamples(positive) {
+        const doc = this.testEditor.getDoc();
+        const ranges = doc.listSelections()
+            .map(range => [doc.indexFromPos(range.anchor), doc.indexFromPos(range.head)].sort((a, b) => a - b))
+            .filter(([start, end]) => start < end);
+
+        if (ranges.length === 0) {
+            this.showNotification('Select some test text to use as an example');
+            return;
+        }
+
+        ranges.forEach(([start, end]) => {
+            this.generatorExamples = this.generatorExamples.filter(example => {
+                const span = this.getExampleSpan(example);
+                if (span && (span.end <= start || span.start >= end)) return true;
+                example.marker.clear();
+                return false;
+            });
+            this.generatorExamples.push({
+                positive,
+                marker: doc.markText(doc.posFromIndex(start), doc.posFromIndex(end), {
+                    className: positive ? 'cm-example-match' : 'cm-example-avoid'
+                })
+            });
+        });
+        this.updateGenerator();
+    }
+
+    // Examples are text marks, so they follow edits; null once their text is gone
+    getExampleSpan(example) {
+        const range = example.marker.find();
+        if (!range) return null;
+
+        const doc = this.testEditor.getDoc();
+        const start = doc.indexFromPos(range.from);
+        const end = doc.indexFromPos(range.to);
+        return start < end ? { start, end, positive: example.positive } : null;
+    }
+
+    selectExample(index) {
+        const range = this.generatorExamples[index] && this.generatorExamples[index].marker.find();
+        if (!range) return;
+        this.testEditor.setSelection(range.from, range.to);
+        this.testEditor.scrollIntoView(range.from, 40);
+        this.testEditor.focus();
+    }
+
+    removeExample(index) {
+        const example = this.generatorExamples[index];
+        if (!example) return;
+        example.marker.clear();
+        this.generatorExamples.splice(index, 1);
+        this.updateGenerator();
+    }
+
+    clearExamples() {
+        this.generatorExamples.forEach(example => example.marker.clear());
+        this.generatorExamples = [];
+        this.generatorCandidates = [];
+        this.updateGenerator();
+    }
+
+    // Candidates are scored on the current text and flags, so every run regenerates them
+    updateGenerator() {
+        const section = document.getElementById('generateSection');
+        if (section.style.display === 'none') return;
+
+        this.generatorExamples = this.generatorExamples.filter(example => {
+            if (this.getExampleSpan(example)) return true;
+            example.marker.clear();
+            return false;
+        });
+
+        const text = this.testEditor.getValue();
+        const spans = this.generatorExamples.map(example => this.getExampleSpan(example));
+        const examples = document.getElementById('generateExamples');
+        const results = document.getElementById('generateResults');
+
+        if (spans.length === 0) {
+            examples.innerHTML = '<div class="generate-hint">Select text in the test string, then mark it with Match or Avoid</div>';
+        } else {
+            examples.innerHTML = spans.map((span, index) => {
+                const value = text.slice(span.start, span.end);
+                const label = value.length > RegexTesterPro.MAX_EXAMPLE_LABEL
+                    ? value.slice(0, RegexTesterPro.MAX_EXAMPLE_LABEL) + '…'
+                    : value;
+                return `
+                    <span class="generate-example ${span.positive ? 'generate-example-match' : 'generate-example-avoid'}"
+                          data-index="${index}" title="${span.positive ? 'Match' : 'Avoid'}: position ${span.start}-${span.end}">
+                        <code>${this.escapeHtml(label)}</code>
+                        <button class="generate-remove" title="Remove example">&times;</button>
+                    </span>
+                `;
+            }).join('');
+        }
+
+        this.generatorCandidates = RegexGenerator.generate(text, spans, this.getSelectedFlags());
+        if (this.generatorCandidates.length === 0) {
+            results.innerHTML = '<div class="no-matches">Mark at least one example to match</div>';
+            return;
+        }
+
+        const percent = value => `${Math.round(value * 100)}%`;
+        const passClass = (count, total) => (count === total ? 'generate-pass' : 'generate-fail');
+        results.innerHTML = this.generatorCandidates.map((candidate, index) => `
+            <div class="generate-candidate">
+                <div class="generate-candidate-header">
+                    <code class="generate-pattern">${this.escapeHtml(candidate.pattern)}</code>
+                    <button class="btn btn-secondary generate-use" data-index="${index}" title="Put this pattern in the regex editor">
+                        <i class="fas fa-arrow-up"></i> Use
+                    </button>
+                </div>
+                <div class="generate-scores">
+                    <span class="${passClass(candidate.found, candidate.positives)}">Matches ${candidate.found}/${candidate.positives}</span>
+                    ${candidate.negatives ? `<span class="${passClass(candidate.avoided, candidate.negatives)}">Avoids ${candidate.avoided}/${candidate.negatives}</span>` : ''}
+                    <span title="Matches in the test string that are not marked examples">${candidate.otherMatches} other ${candidate.otherMatches === 1 ? 'match' : 'matches'}</span>
+                    <span title="How little besides the examples it matches">Specificity ${percent(candidate.specificity)}</span>
+                    <span title="Shorter patterns with fewer alternatives and classes score higher">Readability ${percent(candidate.readability)}</span>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    useCandidate(index) {
+        const candidate = this.generatorCandidates[index];
+        if (!candidate) return;
+        this.regexEditor.setValue(candidate.pattern);
+        this.regexEditor.focus();
+        this.showNotification('Pattern inserted');
+    }
+
+    showFuzzer() {
+        const section = document.getElementById('fuzzSection');
+        if (section.style.display !== 'none') {
+            this.hideFuzzer();
+            return;
+        }
+
+        section.style.display = '';
+        this.generateFixtures();
+        section.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    hideFuzzer() {
+        document.getElementById('fuzzSection').style.display = 'none';
+        this.fuzzResult = null;
+        this.fuzzKey = null;
+    }
+
+    getFuzzKey() {
+        return JSON.stringify([this.regexEditor.getValue().trim(), this.getSelectedFlags()]);
+    }
+
+    // The strings stay until asked for new ones, but are flagged once the pattern changes
+    updateFuzzer() {
+        if (document.getElementById('fuzzSection').style.display === 'none') return;
+        if (this.fuzzResult) {
+            this.renderFixtures();
+        } else if (this.getFuzzKey() !== this.fuzzKey) {
+            // Nothing was generated for the empty or invalid pattern it replaces
+            this.generateFixtures();
+        }
+    }
+
+    // Like the counterexample search, this blocks the page for up to RegexFuzz.SEARCH_BUDGET ms
+    generateFixtures() {
+        const pattern = this.regexEditor.getValue().trim();
+        const flags = this.getSelectedFlags();
+        const results = document.getElementById('fuzzResults');
+        this.fuzzResult = null;
+        this.fuzzKey = this.getFuzzKey();
+
+        if (!pattern) {
+            this.renderFixtures('Enter a regex pattern to generate strings for');
+            return;
+        }
+        try {
+            new RegExp(pattern, flags);
+        } catch (error) {
+            this.renderFixtures('Fix the pattern to generate strings for it');
+            return;
+        }
+
+        results.innerHTML = '<div class="compare-searching"><i class="fas fa-spinner fa-spin"></i> Generating strings...</div>';
+
+        // Gives the message a chance to paint before generating
+        setTimeout(() => {
+            if (this.getFuzzKey() !== this.fuzzKey) return;
+            try {
+                this.fuzzResult = RegexFuzz.generate(pattern, flags, { count: this.fuzzCount, maxLength: this.fuzzMaxLength });
+                this.renderFixtures();
+            } catch (error) {
+                this.renderFixtures(`Could not generate strings: ${error.message}`);
+            }
+        }, 20);
+    }
+
+    renderFixtures(message = null) {
+        const results = document.getElementById('fuzzResults');
+        const result = this.fuzzResult;
+        const stale = this.getFuzzKey() !== this.fuzzKey;
+        document.getElementById('fuzzInsertBtn').disabled = !result || stale;
+        document.getElementById('fuzzTestsBtn').disabled = !result || stale;
+
+        if (!result) {
+            results.innerHTML = `<div class="no-matches">${this.escapeHtml(message || '')}</div>`;
+            return;
+        }
+
+        const list = (strings, title) => strings.length === 0
+            ? '<div class="generate-hint">None found</div>'
+            : strings.map(({ text, from }) => `
+                <div class="fuzz-string"${from !== undefined ? ` title="${this.escapeAttribute(title(from))}"` : ''}>${this.escapeHtml(text)}</div>
+            `).join('');
+
+        const notes = [];
+        if (result.matching.length === 0) {
+            notes.push(`No string of at most ${this.fuzzMaxLength} characters without a line break matched.`);
+        } else if (result.nearMisses.length === 0) {
+            notes.push('Every one-character edit still matches. Anchor the pattern with ^ and $ to validate whole strings.');
+        }
+        if (result.timedOut) notes.push('Generation ran out of time, so the lists may be short.');
+        notes.push(`${result.tried} strings checked against the pattern.`);
+
+        results.innerHTML = `
+            ${stale ? '<div class="fuzz-stale"><i class="fas fa-exclamation-triangle"></i> The pattern changed since these were generated - press the refresh button for new strings</div>' : ''}
+            <div class="fuzz-columns">
+                <div class="fuzz-column fuzz-column-match">
+                    <h3><i class="fas fa-check"></i> Matching (${result.matching.length})</h3>
+                    <div class="fuzz-list">${list(result.matching.map(text => ({ text })))}</div>
+                </div>
+                <div class="fuzz-column fuzz-column-miss">
+                    <h3><i class="fas fa-times"></i> Near misses (${result.nearMisses.length})</h3>
+                    <div class="fuzz-list">${list(result.nearMisses, from => `One edit away from ${from}`)}</div>
+                </div>
+            </div>
+            <div class="fuzz-note">${notes.map(note => this.escapeHtml(note)).join(' ')}</div>
+        `;
+    }
+
+    // Matching strings first, then near misses, one per line after the existing text
+    insertFixtures() {
+        const result = this.fuzzResult;
+        if (!result) return;
+
+        const strings = [...result.matching, ...result.nearMisses.map(miss => miss.text)];
+        if (strings.length === 0) return;
+        const text = this.testEditor.getValue();
+        this.testEditor.replaceRange((text ? '\n' : '') + strings.join('\n'), this.testEditor.posFromIndex(text.length));
+        this.showNotification(`Added ${strings.length} string${strings.length === 1 ? '' : 's'} to the test string`);
+    }
+
+    addFixtureTests() {
+        const result = this.fuzzResult;
+        if (!result) return;
+
+        const lines = [
+            ...result.matching.map(text => `+ ${text}`),
+            ...result.nearMisses.map(miss => `- ${miss.text}`)
+        ];
+        if (lines.length === 0) return;
+        const tests = this.testCasesEditor.getValue();
+        const header = `# Fuzz fixtures for /${this.regexEditor.getValue().trim().replace(/\n/g, ' ')}/${this.getSelectedFlags()}`;
+        this.testCasesEditor.replaceRange(
+            (tests && !tests.endsWith('\n') ? '\n' : '') + [header, ...lines].join('\n'),
+            this.testCasesEditor.posFromIndex(tests.length)
+        );
+        this.showNotification(`Added ${lines.length} test case${lines.length === 1 ? '' : 's'}`);
+    }
+
+    // Pass/fail markers in the test editor's gutter, then the line list
+    updateLineResults() {
+        const lines = this.lineResults;
+        this.testEditor.operation(() => {
+            this.testEditor.clearGutter('line-results-gutter');
+            if (!lines) return;
+
+            const pass = this.createLineMarker(true);
+            const fail = this.createLineMarker(false);
+            // The text may have been edited since the run started; the next run catches up
+            lines.slice(0, this.testEditor.lineCount()).forEach((line, i) => {
+                this.testEditor.setGutterMarker(i, 'line-results-gutter', (line.matches > 0 ? pass : fail).cloneNode(true));
+            });
+        });
+        this.renderLineResults();
+    }
+
+    createLineMarker(matched) {
+        const marker = document.createElement('span');
+        marker.className = `line-marker ${matched ? 'line-pass' : 'line-fail'}`;
+        marker.title = matched ? 'Matches' : 'No match';
+        marker.innerHTML = `<i class="fas ${matched ? 'fa-check' : 'fa-times'}"></i>`;
+        return marker;
+    }
+
+    renderLineResults() {
+        const summary = document.getElementById('lineSummary');
+        const results = document.getElementById('lineResults');
+
+        if (!this.lineResults) {
+            summary.textContent = '';
+            results.innerHTML = '<div class="no-matches">Enter a valid pattern to test each line</div>';
+            return;
+        }
+
+        const matched = this.lineResults.filter(line => line.matches > 0).length;
+        summary.textContent = `${matched} of ${this.lineResults.length} lines match`;
+
+        const shown = this.lineResults
+            .map((line, index) => ({ ...line, index }))
+            .filter(line => this.lineFilter === 'all' || line.matches === 0);
+        if (shown.length === 0) {
+            results.innerHTML = '<div class="no-matches">Every line matches</div>';
+            return;
+        }
+
+        const hidden = shown.length - RegexTesterPro.MAX_OUTPUT_ROWS;
+        results.innerHTML = shown.slice(0, RegexTesterPro.MAX_OUTPUT_ROWS).map(line => {
+            const text = this.currentText.slice(line.start, line.end);
+            const status = line.matches > 0 ? `${line.matches} ${line.matches === 1 ? 'match' : 'matches'}` : 'no match';
+            return `
+                <div class="line-result ${line.matches > 0 ? '' : 'line-result-fail'}" data-line="${line.index}" title="Select the line">
+                    <span class="line-number">${line.index + 1}</span>
+                    ${text ? `<code>${this.escapeHtml(this.truncateCell(text))}</code>` : '<code class="group-unmatched">empty line</code>'}
+                    <span class="line-status">${status}</span>
+                </div>
+            `;
+        }).join('') + (hidden > 0 ? `<div class="line-more">${hidden} more not shown</div>` : '');
+    }
+
+    showInspector() {
+        const section = document.getElementById('unicodeSection');
+        if (section.style.display !== 'none') {
+            this.hideInspector();
+            return;
+        }
+
+        section.style.display = '';
+        const doc = this.testEditor.getDoc();
+        this.inspectedIndex = doc.indexFromPos(doc.getCursor());
+        this.updateInspector();
+        this.renderUnicodeProperties();
+        section.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    hideInspector() {
+        document.getElementById('unicodeSection').style.display = 'none';
+        this.inspectedIndex = null;
+        this.inspected = null;
+        this.markInspected();
+    }
+
+    isInspecting() {
+        return document.getElementById('unicodeSection').style.display !== 'none';
+    }
+
+    // A click inspects the character under the pointer, which may be on
+    // either side of where the caret lands
+    inspectAt(event) {
+        if (!this.isInspecting()) return;
+        const pos = this.testEditor.coordsChar({ left: event.clientX, top: event.clientY }, 'window');
+        const index = this.testEditor.indexFromPos(pos);
+        this.inspectedIndex = pos.sticky === 'before' && index > 0 ? index - 1 : index;
+        this.updateInspector();
+    }
+
+    // Otherwise the inspector follows the caret, keeping a clicked character while the caret stays beside it
+    followCursor() {
+        if (!this.isInspecting()) return;
+        const doc = this.testEditor.getDoc();
+        const index = doc.indexFromPos(doc.getCursor());
+        if (!this.inspected || (index !== this.inspected.start && index !== this.inspected.end)) {
+            this.inspectedIndex = index;
+        }
+        this.updateInspector();
+    }
+
+    updateInspector() {
+        if (!this.isInspecting()) return;
+
+        const text = this.testEditor.getValue();
+        // At the very end of the text the caret has no character after it
+        const index = Math.min(this.inspectedIndex, text.length - 1);
+        this.inspected = text ? RegexUnicode.inspect(text, index) : null;
+        this.markInspected();
+
+        const container = document.getElementById('unicodeInspector');
+        const info = this.inspected;
+        if (!info) {
+            container.innerHTML = '<div class="unicode-hint">Click a character in the test string to inspect it</div>';
+            this.renderUnicodeProperties();
+            return;
+        }
+
+        const formatChar = ch => {
+            const name = RegexUnicode.invisibleName(ch);
+            return name ? `<span class="unicode-invisible">${name}</span>` : this.escapeHtml(ch);
+        };
+        const unit = code => `\\u${code.toString(16).toUpperCase().padStart(4, '0')}`;
+        const { grapheme } = info;
+        const otherScripts = info.extensions.filter(name => name !== info.script);
+
+        container.innerHTML = `
+            <div class="unicode-glyph" title="${RegexUnicode.formatCodePoint(info.codePoint)}">${formatChar(info.char)}</div>
+            <dl class="unicode-details">
+                <dt>Code point</dt>
+                <dd><code>${RegexUnicode.formatCodePoint(info.codePoint)}</code> (${info.codePoint}) at position ${info.start}</dd>
+                <dt>UTF-16</dt>
+                <dd><code>${info.units.map(unit).join(' ')}</code>${info.units.length > 1 ? ' - a surrogate pair, which is two characters to a pattern without the u flag' : ''}</dd>
+                <dt>Category</dt>
+                <dd>${info.category ? `<code>${info.category[0]}</code> ${info.category[1].replace(/_/g, ' ')}` : '-'}</dd>
+                <dt>Script</dt>
+                <dd>${info.script ? info.script.replace(/_/g, ' ') : '-'}${otherScripts.length > 0 ? `, also used in ${otherScripts.map(name => name.replace(/_/g, ' ')).join(', ')}` : ''}</dd>
+                <dt>Properties</dt>
+                <dd class="unicode-tags">${info.properties.map(name => `<span class="unicode-tag">${name}</span>`).join('') || '-'}</dd>
+                <dt>Grapheme</dt>
+                <dd>
+                    <span class="unicode-cluster">${this.escapeHtml(grapheme.text)}</span>
+                    ${grapheme.codePoints.length} code ${grapheme.codePoints.length === 1 ? 'point' : 'points'}, ${grapheme.text.length} UTF-16 ${grapheme.text.length === 1 ? 'unit' : 'units'} at ${grapheme.start}-${grapheme.end - 1}
+                    ${grapheme.codePoints.length > 1 ? `
+                        <div class="unicode-tags">
+                            ${grapheme.codePoints.map(codePoint => {
+                                const ch = String.fromCodePoint(codePoint);
+                                return `<span class="unicode-tag ${codePoint === info.codePoint ? 'active' : ''}">${formatChar(ch)} ${RegexUnicode.formatCodePoint(codePoint)}</span>`;
+                            }).join('')}
+                        </div>
+                    ` : ''}
+                </dd>
+            </dl>
+        `;
+        this.renderUnicodeProperties();
+    }
+
+    // Outlines the inspected character and the grapheme it belongs to
+    markInspected() {
+        this.inspectedMarks.forEach(mark => mark.clear());
+        this.inspectedMarks = [];
+        if (!this.inspected) return;
+
+        const doc = this.testEditor.getDoc();
+        const { start, end, grapheme } = this.inspected;
+        if (grapheme.end - grapheme.start > end - start) {
+            this.inspectedMarks.push(doc.markText(doc.posFromIndex(grapheme.start), doc.posFromIndex(grapheme.end), { className: 'cm-inspected-grapheme' }));
+        }
+        this.inspectedMarks.push(doc.markText(doc.posFromIndex(start), doc.posFromIndex(end), { className: 'cm-inspected' }));
+    }
+
+    renderUnicodeProperties() {
+        if (!this.isInspecting()) return;
+
+        const all = RegexUnicode.properties();
+        const found = RegexUnicode.search(document.getElementById('unicodeSearch').value);
+        const container = document.getElementById('unicodeProperties');
+        if (found.length === 0) {
+            container.innerHTML = '<div class="no-matches">No property matches the search</div>';
+            return;
+        }
+
+        const char = this.inspected ? this.inspected.char : null;
+        container.innerHTML = found.map(entry => {
+            const matches = char !== null && !entry.unicodeSets && RegexUnicode.test(entry.body, char);
+            return `
+                <div class="unicode-property ${matches ? 'unicode-property-match' : ''}" data-index="${all.indexOf(entry)}"
+                     title="Insert ${entry.escape} into the pattern${entry.unicodeSets ? ' (needs the v flag)' : ''}">
+                    <code>${this.escapeHtml(entry.escape)}</code>
+                    <span class="unicode-property-description">${this.escapeHtml(entry.description)}</span>
+                    <span class="unicode-property-kind">${entry.kind}</span>
+                    ${matches ? '<i class="fas fa-check" title="The inspected character has this property"></i>' : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // \p{...} only works with the u or v flag, and properties of strings only with v
+    insertProperty(entry) {
+        if (!entry) return;
+
+        const flagU = document.getElementById('flagU');
+        const flagV = document.getElementById('flagV');
+        if (entry.unicodeSets && !flagV.checked) {
+            flagU.checked = false;
+            flagV.checked = true;
+            this.showNotification('Switched to the v flag, which properties of strings need');
+        } else if (!flagU.checked && !flagV.checked) {
+            flagU.checked = true;
+            this.showNotification('Turned on the u flag, which \\p{...} needs');
+        }
+
+        this.regexEditor.replaceSelection(entry.escape);
+        this.regexEditor.focus();
+        this.debounceTest();
+    }
+
+    // Spaces, tabs and line ends get faint markers, and zero-width or unusual
+    // characters show as labelled boxes instead of nothing
+    setInvisibles(show) {
+        this.showInvisibles = show;
+        localStorage.setItem('showInvisibles', show);
+        document.getElementById('invisiblesBtn').classList.toggle('active', show);
+        this.testEditor.getWrapperElement().classList.toggle('show-invisibles', show);
+        this.testEditor.setOption('specialChars', show ? RegexTesterPro.INVISIBLE_CHARS : CodeMirror.defaults.specialChars);
+        this.testEditor.setOption('specialCharPlaceholder', show
+            ? ch => this.createInvisibleMarker(ch)
+            : CodeMirror.defaults.specialCharPlaceholder);
+        this.testEditor.removeOverlay(RegexTesterPro.WHITESPACE_OVERLAY);
+        if (show) this.testEditor.addOverlay(RegexTesterPro.WHITESPACE_OVERLAY);
+    }
+
+    createInvisibleMarker(ch) {
+        const codePoint = RegexUnicode.formatCodePoint(ch.codePointAt(0));
+        const marker = document.createElement('span');
+        marker.className = 'cm-invisible-char';
+        marker.textContent = RegexUnicode.invisibleName(ch) || codePoint;
+        marker.title = codePoint;
+        return marker;
+    }
+
+    // split walks every match whatever the flags, so unless the main run
+    // already did, the pattern goes through the worker again with splitFlags
+    async runSplit(pattern, flags, text) {
+        const splitFlags = RegexMatcher.splitFlags(flags);
+        let matches = this.currentMatches;
+        let message = null;
+
+        if (splitFlags !== flags) {
+            try {
+                matches = (await this.runMatcher(pattern, splitFlags, text, [])).matches;
+            } catch (error) {
+                if (error.reason === 'superseded') return;
+                matches = null;
+                message = error.reason
+                    ? `Splitting was ${error.reason === 'timeout' ? 'aborted' : 'cancelled'} after ${error.elapsed} ms`
+                    : `Could not split: ${error.message}`;
+            }
+        }
+
+        this.splitItems = matches ? RegexMatcher.split(text, matches) : null;
+        this.renderSplit(message);
+    }
+
+    renderSplit(message = null) {
+        const count = document.getElementById('splitCount');
+        const results = document.getElementById('splitResults');
+
+        if (!this.splitItems) {
+            count.textContent = '';
+            results.innerHTML = `<div class="no-matches">${this.escapeHtml(message || 'Enter a valid pattern to split the test string')}</div>`;
+            return;
+        }
+
+        const captured = this.splitItems.filter(item => item.group !== null).length;
+        count.textContent = `${this.splitItems.length} ${this.splitItems.length === 1 ? 'item' : 'items'}` +
+            (captured > 0 ? `, ${captured} captured` : '');
+
+        if (this.splitItems.length === 0) {
+            results.innerHTML = '<div class="no-matches">An empty string that the pattern matches splits into an empty array</div>';
+            return;
+        }
+
+        const hidden = this.splitItems.length - RegexTesterPro.MAX_OUTPUT_ROWS;
+        results.innerHTML = this.splitItems.slice(0, RegexTesterPro.MAX_OUTPUT_ROWS).map((item, index) => {
+            const value = item.value === undefined
+                ? '<span class="group-unmatched">undefined</span>'
+                : `<code>${this.escapeHtml(this.truncateCell(JSON.stringify(item.value)))}</code>`;
+            const label = item.group === null
+                ? ''
+                : `<span class="split-group">captured ${this.escapeHtml(this.formatGroupLabel({ number: item.group, name: this.currentGroupNames[item.group - 1] }))}</span>`;
+            return `
+                <div class="split-item ${item.group === null ? '' : 'split-capture'}">
+                    <span class="split-index">${index}</span>
+                    ${value}
+                    ${label}
+                </div>
+            `;
+        }).join('') + (hidden > 0 ? `<div class="split-more">${hidden} more not shown</div>` : '');
+    }
+
+    // The current matches, filtered and sorted as the table shows them. Filters
+    // are kept while a group is gone, say mid-edit, but only shown columns filter.
+    getTableRows() {
+        const filters = {};
+        RegexTable.columns(this.currentGroupNames).forEach(({ key }) => {
+            filters[key] = this.tableFilters[key];
+        });
+        const rows = RegexTable.filter(RegexTable.rows(this.currentMatches, this.currentGroupNames), filters);
+        return this.tableSort.key ? RegexTable.sort(rows, this.tableSort.key, this.tableSort.descending) : rows;
+    }
+
+    // Ascending, then descending, then back to match order
+    sortTable(key) {
+        if (this.tableSort.key !== key) {
+            this.tableSort = { key, descending: false };
+        } else if (!this.tableSort.descending) {
+            this.tableSort.descending = true;
+        } else {
+            this.tableSort = { key: null, descending: false };
+        }
+        this.renderTable();
+    }
+
+    renderTable() {
+        if (this.mode !== 'table') return;
+
+        const columns = RegexTable.columns(this.currentGroupNames);
+        const sortIcon = column => {
+            if (this.tableSort.key !== column.key) return 'fa-sort';
+            return this.tableSort.descending ? 'fa-sort-down' : 'fa-sort-up';
+        };
+        const results = document.getElementById('tableResults');
+        results.innerHTML = `
+            <div class="extract-scroll">
+                <table class="extract-table">
+                    <thead>
+                        <tr>
+                            ${columns.map(column => `
+                                <th data-key="${column.key}" class="${this.tableSort.key === column.key ? 'sorted' : ''}"
+                                    title="${column.title ? `${column.title} - ` : ''}Click to sort">
+                                    ${this.escapeHtml(column.label)} <i class="fas ${sortIcon(column)}"></i>
+                                </th>
+                            `).join('')}
+                        </tr>
+                        <tr class="extract-filters">
+                            ${columns.map(column => `
+                                <td><input type="text" class="extract-filter" data-key="${column.key}" placeholder="Filter" spellcheck="false"></td>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody id="tableBody"></tbody>
+                </table>
+            </div>
+        `;
+        // Set as properties, since escapeHtml leaves quotes alone
+        results.querySelectorAll('.extract-filter').forEach(input => {
+            input.value = this.tableFilters[input.dataset.key] || '';
+        });
+        this.renderTableRows();
+    }
+
+    renderTableRows() {
+        const columns = RegexTable.columns(this.currentGroupNames);
+        const rows = this.getTableRows();
+        const total = this.currentMatches.length;
+        const count = document.getElementById('tableCount');
+        count.textContent = rows.length === total
+            ? `${total} ${total === 1 ? 'row' : 'rows'}`
+            : `${rows.length} of ${total} rows`;
+
+        const body = document.getElementById('tableBody');
+        if (rows.length === 0) {
+            const empty = total === 0 ? 'No matches found' : 'No rows match the filters';
+            body.innerHTML = `<tr><td class="extract-empty" colspan="${columns.length}">${empty}</td></tr>`;
+            return;
+        }
+
+        const cell = value => (value === undefined
+            ? '<span class="group-unmatched">not matched</span>'
+            : this.escapeHtml(this.truncateCell(String(value))));
+        const hidden = rows.length - RegexTesterPro.MAX_OUTPUT_ROWS;
+        body.innerHTML = rows.slice(0, RegexTesterPro.MAX_OUTPUT_ROWS).map(row => `
+            <tr data-start="${row.cells.start}" data-end="${row.cells.end}" title="Select in the test string">
+                ${columns.map(column => `<td>${cell(row.cells[column.key])}</td>`).join('')}
+            </tr>
+        `).join('') + (hidden > 0
+            ? `<tr><td class="extract-empty" colspan="${columns.length}">${hidden} more not shown - copying as TSV includes them</td></tr>`
+            : '');
+    }
+
+    // Pattern B goes through the same worker loop as pattern A, right after it
+    async runComparison(text) {
+        const pattern = this.compareEditor.getValue().trim();
+        const flags = this.getSelectedFlags('compareFlag');
+        if (this.getComparisonKey() !== this.equivalenceKey) {
+            this.equivalenceKey = null;
+            this.counterexample = null;
+            document.getElementById('compareEquivalence').innerHTML = '';
+        }
+
+        this.comparison = null;
+        let message = null;
+        if (!pattern) {
+            message = 'Enter pattern B to compare against';
+        } else {
+            try {
+                new RegExp(pattern, flags);
+                const result = await this.runMatcher(pattern, flags, text, []);
+                this.comparison = RegexCompare.diff(this.currentMatches, result.matches);
+            } catch (error) {
+                if (error.reason === 'superseded') return;
+                if (error.reason === 'timeout' || error.reason === 'cancelled') {
+                    message = `Pattern B was ${error.reason === 'timeout' ? 'aborted' : 'cancelled'} after ${error.elapsed} ms`;
+                } else {
+                    message = `Pattern B is invalid: ${error.message}`;
+                }
+            }
+        }
+
+        this.renderComparison(message);
+        this.highlightComparison();
+    }
+
+    getComparisonKey() {
+        return JSON.stringify([
+            this.regexEditor.getValue().trim(), this.getSelectedFlags(),
+            this.compareEditor.getValue().trim(), this.getSelectedFlags('compareFlag')
+        ]);
+    }
+
+    renderComparison(message = null) {
+        const summary = document.getElementById('compareSummary');
+        const results = document.getElementById('compareResults');
+
+        if (!this.comparison) {
+            summary.innerHTML = '';
+            results.innerHTML = `<div class="no-matches">${this.escapeHtml(message || 'Enter both patterns to compare them')}</div>`;
+            return;
+        }
+
+        const { entries, counts } = this.comparison;
+        summary.innerHTML = RegexTesterPro.COMPARE_CATEGORIES.map(([type, label]) => `
+            <button class="compare-chip compare-chip-${type} ${this.compareFilter === type ? 'active' : ''}" data-filter="${type}"
+                    title="${this.compareFilter === type ? 'Show all differences' : `Show only ${label.toLowerCase()}`}">
+                ${label} <strong>${counts[type]}</strong>
+            </button>
+        `).join('');
+
+        const shown = entries.filter(entry => (this.compareFilter === 'differences'
+            ? entry.type !== 'same'
+            : entry.type === this.compareFilter));
+        if (shown.length === 0) {
+            const empty = this.compareFilter === 'differences' ? 'Both patterns find the same matches' : 'Nothing in this category';
+            results.innerHTML = `<div class="no-matches">${empty}</div>`;
+            return;
+        }
+
+        const hidden = shown.length - RegexTesterPro.MAX_COMPARE_ROWS;
+        results.innerHTML = shown.slice(0, RegexTesterPro.MAX_COMPARE_ROWS).map(entry => this.renderCompareEntry(entry)).join('') +
+            (hidden > 0 ? `<div class="compare-more">${hidden} more not shown</div>` : '');
+    }
+
+    renderCompareEntry(entry) {
+        const label = RegexTesterPro.COMPARE_CATEGORIES.find(([type]) => type === entry.type)[1];
+        return `
+            <div class="compare-entry compare-${entry.type}" data-start="${entry.start}" data-end="${entry.end}" title="Select in the test string">
+                <span class="compare-badge">${label}</span>
+                ${this.renderCompareSide('A', entry.a)}
+                ${this.renderCompareSide('B', entry.b)}
+                ${this.renderGroupDifferences(entry.groups)}
+            </div>
+        `;
+    }
+
+    renderCompareSide(side, match) {
+        if (!match) {
+            return `<div class="compare-side"><span class="compare-side-label">${side}</span><span class="compare-none">no match</span></div>`;
+        }
+        const position = this.formatGroupPosition({ start: match.index, end: match.index + match.match.length });
+        return `
+            <div class="compare-side">
+                <span class="compare-side-label">${side}</span>
+                <code>${this.escapeHtml(this.truncateCell(match.match))}</code>
+                <span class="compare-position">${position}</span>
+            </div>
+        `;
+    }
+
+    renderGroupDifferences(groups) {
+        const value = text => (text === undefined ? '<em>unset</em>' : `<code>${this.escapeHtml(this.truncateCell(text))}</code>`);
+        return groups.map(group => `
+            <div class="compare-group">Group ${this.escapeHtml(group.label)}: A ${value(group.a)}, B ${value(group.b)}</div>
+        `).join('');
+    }
+
+    // Marks every difference in the test string, up to a cap
+    highlightComparison() {
+        this.compareMarks.forEach(mark => mark.clear());
+        this.compareMarks = [];
+        if (!this.comparison) return;
+
+        this.testEditor.operation(() => {
+            this.comparison.entries
+                .filter(entry => entry.type !== 'same')
+                .slice(0, RegexTesterPro.MAX_COMPARE_MARKS)
+                .forEach(entry => {
+                    this.compareMarks.push(this.markTestRange(entry.start, entry.end, `cm-compare-${entry.type}`, 'compare-empty'));
+                });
+        });
+    }
+
+    swapComparePatterns() {
+        const patternA = this.regexEditor.getValue();
+        const flagsA = this.getSelectedFlags();
+        const flagsB = this.getSelectedFlags('compareFlag');
+
+        this.flagNames.forEach(flag => {
+            document.getElementById(`flag${flag}`).checked = flagsB.includes(flag.toLowerCase());
+            document.getElementById(`compareFlag${flag}`).checked = flagsA.includes(flag.toLowerCase());
+        });
+        this.regexEditor.setValue(this.compareEditor.getValue());
+        this.compareEditor.setValue(patternA);
+    }
+
+    findCounterexample() {
+        const a = { pattern: this.regexEditor.getValue().trim(), flags: this.getSelectedFlags() };
+        const b = { pattern: this.compareEditor.getValue().trim(), flags: this.getSelectedFlags('compareFlag') };
+
+        if (!a.pattern || !b.pattern) {
+            this.showNotification('Enter both patterns first');
+            return;
+        }
+        for (const [side, { pattern, flags }] of [['A', a], ['B', b]]) {
+            try {
+                new RegExp(pattern, flags);
+            } catch (error) {
+                this.showNotification(`Pattern ${side} is invalid`, 'error');
+                return;
+            }
+        }
+
+        const button = document.getElementById('compareEquivalenceBtn');
+        const container = document.getElementById('compareEquivalence');
+        button.disabled = true;
+        container.innerHTML = '<div class="compare-searching"><i class="fas fa-spinner fa-spin"></i> Searching for a counterexample...</div>';
+
+        const key = this.getComparisonKey();
+        this.searchCounterexample(a, b).then(result => {
+            button.disabled = false;
+            // Edits made during the search leave its answer for patterns no longer on screen
+            if (this.getComparisonKey() !== key) {
+                container.innerHTML = '';
+                return;
+            }
+            this.equivalenceKey = key;
+            this.counterexample = result.text;
+            container.innerHTML = this.renderCounterexample(result);
+        });
+    }
+
+    // A worker of its own is terminated once the budget is well past, which is
+    // the only way out of a candidate one of the patterns backtracks on for
+    // too long. Without workers the search runs on the page, over shorter
+    // candidates when the analyzer reports a backtracking risk.
+    searchCounterexample(a, b) {
+        if (this.searchWorker) this.searchWorker.terminate();
+        this.searchWorker = null;
+
+        return new Promise(resolve => {
+            const runLocally = () => {
+                // Gives the message a chance to paint before the search starts
+                setTimeout(() => resolve(RegexCompare.findCounterexample(a, b, { maxLength: this.getCounterexampleLength(a, b) })), 20);
+            };
+
+            if (this.workerUnavailable || typeof Worker === 'undefined') {
+                runLocally();
+                return;
+            }
+            let worker;
+            try {
+                worker = new Worker('regex-worker.js');
+            } catch (e) {
+                runLocally();
+                return;
+            }
+
+            const startTime = performance.now();
+            const finish = result => {
+                clearTimeout(timeout);
+                worker.terminate();
+                if (this.searchWorker === worker) this.searchWorker = null;
+                resolve(result);
+            };
+            const timeout = setTimeout(() => finish({
+                text: null,
+                difference: null,
+                tried: null,
+                complete: false,
+                elapsed: Math.round(performance.now() - startTime)
+            }), RegexCompare.SEARCH_BUDGET + RegexCompare.SEARCH_GRACE);
+
+            worker.addEventListener('message', (e) => {
+                finish(e.data.error ? { text: null, difference: null, tried: 0, complete: false } : e.data);
+            });
+            worker.addEventListener('error', (e) => {
+                // The worker could not be loaded (e.g. opened from file://)
+                e.preventDefault();
+                clearTimeout(timeout);
+                worker.terminate();
+                this.workerUnavailable = true;
+                runLocally();
+            });
+
+            this.searchWorker = worker;
+            worker.postMessage({ task: 'counterexample', a, b });
+        });
+    }
+
+    getCounterexampleLength(a, b) {
+        const risky = [a, b].some(({ pattern, flags }) => {
+            try {
+                return RegexAnalyzer.analyze(pattern, flags).risk !== 'safe';
+            } catch (error) {
+                return false;
+            }
+        });
+        return risky ? RegexCompare.RISKY_COUNTEREXAMPLE_LENGTH : RegexCompare.MAX_COUNTEREXAMPLE_LENGTH;
+    }
+
+    renderCounterexample(result) {
+        if (result.text === null && result.tried === null) {
+            return `
+                <div class="compare-equivalent">
+                    <i class="fas fa-stopwatch"></i> The search was stopped after ${result.elapsed} ms - a candidate string made one of the patterns backtrack for too long.
+                </div>
+            `;
+        }
+        if (result.text === null) {
+            const verdict = result.complete
+                ? 'The patterns look equivalent, though a search is not a proof.'
+                : 'The search ran out of time.';
+            return `
+                <div class="compare-equivalent">
+                    <i class="fas fa-check"></i> No difference in ${result.tried} strings tried. ${verdict}
+                </div>
+            `;
+        }
+
+        const describe = match => (match
+            ? `matches <code>${this.escapeHtml(match.match)}</code> at ${this.formatGroupPosition({ start: match.index, end: match.index + match.match.length })}`
+            : 'finds no match');
+        const { difference } = result;
+        return `
+            <div class="compare-counterexample">
+                <div class="compare-counterexample-header">
+                    <span><i class="fas fa-not-equal"></i> Counterexample: <code>${this.escapeHtml(JSON.stringify(result.text))}</code></span>
+                    <button class="btn btn-secondary compare-add-text" title="Append it to the test string">
+                        <i class="fas fa-plus"></i> Add to Test String
+                    </button>
+                </div>
+                <div>A ${describe(difference.a)}, B ${describe(difference.b)}</div>
+                ${this.renderGroupDifferences(difference.groups)}
+            </div>
+        `;
+    }
+
+    highlightPatternRange(start, end) {
+        this.clearPatternHighlight();
+        if (start === end) return;
 
-        container.innerHTML = matchesHtml;
+        const value = this.regexEditor.getValue();
+        const offset = value.length - value.trimStart().length;
+        const doc = this.regexEditor.getDoc();
 
-        // Add copy functionality
-        container.querySelectorAll('.copy-match').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.copyToClipboard(btn.dataset.text);
-            });
+        this.patternHighlight = doc.markText(
+            doc.posFromIndex(offset + start),
+            doc.posFromIndex(offset + end),
+            { className: 'cm-pattern-highlight' }
+        );
+    }
+
+    // Nested classes only exist with the v flag
+    updateRegexMode() {
+        [[this.regexEditor, 'flagV'], [this.compareEditor, 'compareFlagV']].forEach(([editor, id]) => {
+            const unicodeSets = document.getElementById(id).checked;
+            if (editor.getOption('mode').unicodeSets !== unicodeSets) {
+                editor.setOption('mode', { name: 'regex', unicodeSets });
+            }
         });
+    }
 
-        // Add match highlighting on hover
-        container.querySelectorAll('.match-item').forEach(item => {
-            item.addEventListener('mouseenter', () => {
-                const index = parseInt(item.dataset.matchIndex);
-                this.highlightMatch(index, true);
-            });
-            item.addEventListener('mouseleave', () => {
-                this.highlightMatches();
-            });
+    // Typing only pops the list up where there is a specific context; Ctrl+Space always does
+    showRegexHints(typed) {
+        this.regexEditor.showHint({
+            hint: cm => this.getRegexHints(cm, typed),
+            completeSingle: false,
+            closeCharacters: /[\s)\]}>|]/
         });
     }
 
-    displayGroups() {
-        const container = document.getElementById('groupResults');
+    getRegexHints(cm, typed) {
+        const value = cm.getValue();
+        const offset = value.length - value.trimStart().length;
+        const cursor = cm.indexFromPos(cm.getCursor());
+        if (cursor < offset) return null;
 
-        if (this.currentMatches.length === 0 || this.currentMatches.every(m => m.groups.length <= 1)) {
-            container.innerHTML = '<div class="no-groups">No capturing groups found</div>';
+        const result = RegexHints.complete(value.slice(offset), cursor - offset, this.getSelectedFlags());
+        if (!result || (typed && (result.context === 'general' || result.context === 'class'))) return null;
+
+        const from = cm.posFromIndex(offset + result.from);
+        return {
+            from,
+            to: cm.posFromIndex(offset + result.to),
+            list: result.items.map(item => ({
+                text: item.text,
+                render: element => {
+                    element.innerHTML = `<code class="hint-text">${this.escapeHtml(item.label || item.text)}</code>` +
+                        `<span class="hint-description">${this.escapeHtml(item.description)}</span>`;
+                },
+                hint: (editor, data) => {
+                    editor.replaceRange(item.text, data.from, data.to, 'complete');
+                    if (item.select) {
+                        const start = editor.indexFromPos(data.from);
+                        editor.setSelection(editor.posFromIndex(start + item.select[0]), editor.posFromIndex(start + item.select[1]));
+                    }
+                    // Script= goes straight on to the script names
+                    if (item.text.endsWith('=')) this.showRegexHints(true);
+                }
+            }))
+        };
+    }
+
+    // RegExp errors carry no position; the parser follows the same rules and knows where it stopped
+    markPatternError(pattern, flags, message) {
+        let position;
+        try {
+            RegexParser.parse(pattern, flags);
             return;
+        } catch (error) {
+            if (error.position === undefined) return;
+            position = Math.min(error.position, pattern.length - 1);
         }
 
-        // Create groups table
-        let tableHtml = `
-            <table class="group-table">
-                <thead>
-                    <tr>
-                        <th>Match</th>
-                        <th>Group</th>
-                        <th>Value</th>
-                        <th>Position</th>
-                    </tr>
-                </thead>
-                <tbody>
-        `;
+        const value = this.regexEditor.getValue();
+        const offset = value.length - value.trimStart().length;
+        const doc = this.regexEditor.getDoc();
 
-        this.currentMatches.forEach((match, matchIndex) => {
-            match.groups.forEach((group, groupIndex) => {
-                if (groupIndex === 0) return; // Skip full match
+        this.patternError = doc.markText(
+            doc.posFromIndex(offset + position),
+            doc.posFromIndex(offset + position + 1),
+            { className: 'cm-regex-error-marker', attributes: { title: message } }
+        );
+    }
 
-                const groupValue = group || '';
-                const position = group ? this.findGroupPosition(match.match, group, match.index) : '';
+    clearPatternError() {
+        if (this.patternError) {
+            this.patternError.clear();
+            this.patternError = null;
+        }
+    }
 
-                tableHtml += `
-                    <tr>
-                        <td>${matchIndex + 1}</td>
-                        <td>${groupIndex}</td>
-                        <td>${this.escapeHtml(groupValue)}</td>
-                        <td>${position}</td>
-                    </tr>
-                `;
-            });
-        });
+    // Offsets are into the trimmed pattern, like highlightPatternRange
+    selectPatternRange(start, end) {
+        const value = this.regexEditor.getValue();
+        const offset = value.length - value.trimStart().length;
+        const doc = this.regexEditor.getDoc();
 
-        tableHtml += '</tbody></table>';
-        container.innerHTML = tableHtml;
+        this.clearPatternHighlight();
+        doc.setSelection(doc.posFromIndex(offset + start), doc.posFromIndex(offset + end));
+        this.regexEditor.focus();
     }
 
-    findGroupPosition(fullMatch, group, matchIndex) {
-        if (!group) return '-';
-        const groupIndex = fullMatch.indexOf(group);
-        if (groupIndex === -1) return '-';
-        const start = matchIndex + groupIndex;
-        return `${start}-${start + group.length - 1}`;
+    clearPatternHighlight() {
+        if (this.patternHighlight) {
+            this.patternHighlight.clear();
+            this.patternHighlight = null;
+        }
     }
 
-    highlightMatches() {
-        const testString = this.testEditor.getValue();
-        let highlightedText = '';
-        let lastIndex = 0;
+    toggleDarkMode() {
+        this.isDarkMode = !this.isDarkMode;
+        localStorage.setItem('darkMode', this.isDarkMode);
 
-        // Sort matches by position
-        const sortedMatches = [...this.currentMatches].sort((a, b) => a.index - b.index);
+        if (this.isDarkMode) {
+            document.body.setAttribute('data-theme', 'dark');
+            document.getElementById('darkModeToggle').innerHTML = '<i class="fas fa-sun"></i>';
+            this.regexEditor.setOption('theme', 'monokai');
+            this.testEditor.setOption('theme', 'monokai');
+            this.replaceEditor.setOption('theme', 'monokai');
+            this.testCasesEditor.setOption('theme', 'monokai');
+            this.compareEditor.setOption('theme', 'monokai');
+        } else {
+            document.body.removeAttribute('data-theme');
+            document.getElementById('darkModeToggle').innerHTML = '<i class="fas fa-moon"></i>';
+            this.regexEditor.setOption('theme', 'default');
+            this.testEditor.setOption('theme', 'default');
+            this.replaceEditor.setOption('theme', 'default');
+            this.testCasesEditor.setOption('theme', 'default');
+            this.compareEditor.setOption('theme', 'default');
+        }
+    }
 
-        sortedMatches.forEach((match, index) => {
-            // Add text before match
-            highlightedText += this.escapeHtml(testString.slice(lastIndex, match.index));
+    showLibrary() {
+        this.showModal('library');
+        this.hideLibraryForm();
+        this.showPatterns(this.libraryCategory);
+    }
 
-            // Add highlighted match
-            highlightedText += `<span class="highlight" data-match-index="${index}">${this.escapeHtml(match.match)}</span>`;
+    showPatterns(category) {
+        this.libraryCategory = category;
+        document.querySelectorAll('.category-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.category === category));
 
-            lastIndex = match.index + match.match.length;
-        });
+        const container = document.getElementById('libraryPatterns');
+        const query = document.getElementById('librarySearch').value;
+        const patterns = this.library.search(query, category);
 
-        // Add remaining text
-        highlightedText += this.escapeHtml(testString.slice(lastIndex));
+        if (patterns.length === 0) {
+            const message = query.trim() ? 'Nothing matches your search' :
+                category === 'custom' ? 'No custom patterns yet - add one with New or import a library file' :
+                    'No patterns available';
+            container.innerHTML = `<div class="no-patterns">${message}</div>`;
+            return;
+        }
 
-        // Update highlight layer
-        const highlightLayer = document.getElementById('highlightLayer');
-        highlightLayer.innerHTML = highlightedText;
+        // Search spans every category, so results say where they live
+        const showCategory = category === 'all' || query.trim() !== '';
+        container.innerHTML = patterns.map(entry => this.renderLibraryEntry(entry, showCategory)).join('');
     }
 
-    highlightMatch(index, active = false) {
-        const highlights = document.querySelectorAll('.highlight');
-        highlights.forEach((highlight, i) => {
-            highlight.classList.toggle('active', i === index && active);
-        });
-    }
+    renderLibraryEntry(entry, showCategory) {
+        const testCount = RegexTestSuite.parse(entry.tests).length;
+        const meta = [
+            entry.samples.length > 0 ? `${entry.samples.length} sample${entry.samples.length === 1 ? '' : 's'}` : '',
+            testCount > 0 ? `${testCount} test${testCount === 1 ? '' : 's'}` : ''
+        ].filter(Boolean).join(' &middot; ');
+        const tags = entry.tags.length > 0
+            ? `<div class="history-tags">${entry.tags.map(tag => `<span class="history-tag">#${this.escapeHtml(tag)}</span>`).join('')}</div>`
+            : '';
+        const editButtons = entry.builtin ? '' : `
+            <button class="btn-icon" data-action="edit" title="Edit"><i class="fas fa-pen"></i></button>
+            <button class="btn-icon" data-action="delete" title="Delete"><i class="fas fa-trash"></i></button>
+        `;
 
-    updateMatchCounter() {
-        const counter = document.getElementById('matchCount');
-        const count = this.currentMatches.length;
-        counter.textContent = `${count} ${count === 1 ? 'match' : 'matches'}`;
+        return `
+            <div class="pattern-item library-item" data-id="${this.escapeAttribute(entry.id)}">
+                <div class="history-item-main">
+                    <div class="history-item-header">
+                        <span class="pattern-title">${this.escapeHtml(entry.title)}</span>
+                        ${showCategory ? `<span class="history-mode">${RegexLibrary.CATEGORIES[entry.category]}</span>` : ''}
+                        ${meta ? `<span class="history-time">${meta}</span>` : ''}
+                    </div>
+                    <div class="pattern-regex">/${this.escapeHtml(entry.regex)}/${entry.flags}</div>
+                    ${entry.description ? `<div class="pattern-description">${this.escapeHtml(entry.description)}</div>` : ''}
+                    ${tags}
+                </div>
+                <div class="history-item-actions">
+                    <button class="btn-icon" data-action="duplicate" title="Duplicate as your own pattern"><i class="fas fa-clone"></i></button>
+                    ${editButtons}
+                </div>
+            </div>
+        `;
     }
 
-    updateRegexInfo() {
-        const pattern = this.regexEditor.getValue();
-        const length = document.getElementById('regexLength');
-        length.textContent = `${pattern.length} characters`;
+    // Samples and test cases only replace the editors when the entry has some
+    useLibraryPattern(entry) {
+        this.regexEditor.setValue(entry.regex);
+        this.flagNames.forEach(flag => {
+            document.getElementById(`flag${flag}`).checked = entry.flags.includes(flag.toLowerCase());
+        });
+        if (entry.samples.length > 0) this.testEditor.setValue(entry.samples.join('\n'));
+        if (entry.tests) this.testCasesEditor.setValue(entry.tests);
+
+        clearTimeout(this.testTimeout);
+        this.hideModal('library');
+        this.testRegex();
     }
 
-    updateTextInfo() {
-        const text = this.testEditor.getValue();
-        const length = document.getElementById('textLength');
-        const lines = document.getElementById('lineCount');
+    // Without an entry the form starts from whatever is in the editors
+    showLibraryForm(entry = null) {
+        this.editingLibraryId = entry ? entry.id : null;
 
-        length.textContent = `${text.length} characters`;
-        lines.textContent = `${text.split('\n').length} lines`;
+        const fields = entry || {
+            title: '',
+            regex: this.regexEditor.getValue().trim(),
+            flags: this.getSelectedFlags(),
+            category: 'custom',
+            tags: [],
+            description: '',
+            samples: this.testEditor.getValue().split('\n').filter(line => line.trim() !== ''),
+            tests: this.testCasesEditor.getValue()
+        };
+
+        document.getElementById('libraryTitle').value = fields.title;
+        document.getElementById('libraryCategory').value = fields.category;
+        document.getElementById('libraryRegex').value = fields.regex;
+        document.getElementById('libraryFlags').value = fields.flags;
+        document.getElementById('libraryTags').value = fields.tags.join(', ');
+        document.getElementById('libraryDescription').value = fields.description;
+        document.getElementById('librarySamples').value = fields.samples.join('\n');
+        document.getElementById('libraryTests').value = fields.tests;
+        document.getElementById('libraryFormError').textContent = '';
+        document.getElementById('libraryForm').style.display = '';
+        document.getElementById('libraryTitle').focus();
     }
 
-    updateRegexStatus(message, type) {
-        const status = document.getElementById('regexStatus');
-        status.textContent = message;
-        status.className = `status ${type}`;
+    hideLibraryForm() {
+        this.editingLibraryId = null;
+        document.getElementById('libraryForm').style.display = 'none';
     }
 
-    updateAnalysis(executionTime, pattern) {
-        document.getElementById('perfTime').textContent = `${executionTime}ms`;
+    // Entries are vetted before saving: the pattern has to compile and the test cases parse
+    submitLibraryForm() {
+        const value = id => document.getElementById(id).value;
+        const fields = {
+            title: value('libraryTitle').trim(),
+            category: value('libraryCategory'),
+            regex: value('libraryRegex'),
+            flags: value('libraryFlags').trim(),
+            tags: RegexHistory.parseTags(value('libraryTags')),
+            description: value('libraryDescription'),
+            samples: value('librarySamples').split('\n').filter(line => line.trim() !== ''),
+            tests: value('libraryTests')
+        };
+        const error = document.getElementById('libraryFormError');
+
+        if (!fields.title || !fields.regex) {
+            error.textContent = 'A title and a pattern are required';
+            return;
+        }
+        try {
+            new RegExp(fields.regex, fields.flags);
+        } catch (e) {
+            error.textContent = e.message;
+            return;
+        }
+        const invalid = RegexTestSuite.parse(fields.tests).find(testCase => testCase.error);
+        if (invalid) {
+            error.textContent = `Test case line ${invalid.line}: ${invalid.error}`;
+            return;
+        }
 
-        // Simple complexity analysis
-        let complexity = 'Low';
-        if (pattern.includes('*') || pattern.includes('+') || pattern.includes('{')) {
-            complexity = pattern.includes('.*') || pattern.includes('.+') ? 'High' : 'Medium';
+        const editing = this.editingLibraryId;
+        const entry = editing ? this.library.update(editing, fields) : this.library.create(fields);
+        if (!entry) {
+            error.textContent = 'Could not save - browser storage is full';
+            return;
         }
-        document.getElementById('complexity').textContent = complexity;
+
+        this.hideLibraryForm();
+        this.showPatterns(this.libraryCategory);
+        this.showNotification(editing ? `Updated "${entry.title}"` : `Added "${entry.title}" to the library`);
     }
 
-    clearResults() {
-        document.getElementById('matchResults').innerHTML = '<div class="no-matches">No matches found</div>';
-        document.getElementById('groupResults').innerHTML = '<div class="no-groups">No capturing groups found</div>';
-        document.getElementById('highlightLayer').innerHTML = '';
-        document.getElementById('matchCount').textContent = '0 matches';
-        document.getElementById('perfTime').textContent = '-';
-        document.getElementById('complexity').textContent = '-';
-        this.currentMatches = [];
-        this.currentGroups = [];
+    exportLibrary() {
+        const data = this.library.export();
+        if (data.patterns.length === 0) {
+            this.showNotification('Add your own patterns before exporting');
+            return;
+        }
+
+        this.downloadFile(JSON.stringify(data, null, 2), 'regex-library.json', 'application/json');
+        this.showNotification(`Exported ${data.patterns.length} pattern${data.patterns.length === 1 ? '' : 's'}`);
     }
 
-    clearAll() {
-        this.regexEditor.setValue('');
-        this.testEditor.setValue('');
-        this.clearResults();
-        this.updateRegexStatus('Enter a regex pattern', 'neutral');
+    async importLibrary(file) {
+        let summary;
+        try {
+            summary = this.library.import(JSON.parse(await file.text()));
+        } catch (error) {
+            const reason = error instanceof SyntaxError ? 'not valid JSON' : error.message;
+            this.showNotification(`Could not import ${file.name}: ${reason}`, 'error');
+            return;
+        }
 
-        // Clear flags
-        ['G', 'I', 'M', 'S', 'U', 'Y'].forEach(flag => {
-            document.getElementById(`flag${flag}`).checked = false;
-        });
+        this.showPatterns(this.libraryCategory);
+        const skipped = summary.skipped > 0 ? `, ${summary.skipped} skipped` : '';
+        this.showNotification(`Imported ${summary.added} new, ${summary.updated} updated${skipped}`);
     }
 
-    clearText() {
-        this.testEditor.setValue('');
-        this.clearResults();
+    showHistory(tab = this.historyTab) {
+        this.showModal('history');
+        this.hideSaveForm();
+        this.setHistoryTab(tab);
     }
 
-    loadSampleData() {
-        const sampleRegex = '\\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Z|a-z]{2,}\\b';
-        const sampleText = `Contact us at:
-support@example.com
-info@test-site.org
-admin@my-company.co.uk
-sales@startup123.io
+    setHistoryTab(tab) {
+        this.historyTab = tab;
+        document.querySelectorAll('.history-tab').forEach(btn => btn.classList.toggle('active', btn.dataset.tab === tab));
+        document.getElementById('saveCurrentBtn').style.display = tab === 'saved' ? '' : 'none';
+        document.getElementById('clearHistoryBtn').style.display = tab === 'history' ? '' : 'none';
+        this.renderHistoryList();
+    }
 
-Invalid emails:
-@invalid.com
-test@
-incomplete@domain
-spaces in@email.com`;
+    renderHistoryList() {
+        const container = document.getElementById('historyList');
+        const query = document.getElementById('historySearch').value;
+        const items = this.history.search(this.historyTab, query);
 
-        this.regexEditor.setValue(sampleRegex);
-        this.testEditor.setValue(sampleText);
-        document.getElementById('flagG').checked = true;
+        if (items.length === 0) {
+            let message = this.historyTab === 'saved'
+                ? 'No saved patterns yet'
+                : 'No history yet - every pattern you run is recorded here';
+            if (query.trim()) message = 'Nothing matches your search';
+            container.innerHTML = `<div class="no-patterns">${message}</div>`;
+            return;
+        }
 
-        setTimeout(() => this.testRegex(), 100);
+        container.innerHTML = items.map(item => this.renderHistoryItem(item)).join('');
     }
 
-    shareRegex() {
-        const regex = this.regexEditor.getValue();
-        const testString = this.testEditor.getValue();
-        const flags = this.getSelectedFlags();
-
-        const shareData = {
-            regex,
-            testString,
-            flags,
-            timestamp: new Date().toISOString()
-        };
-
-        const shareUrl = `${window.location.origin}${window.location.pathname}#${btoa(JSON.stringify(shareData))}`;
+    renderHistoryItem(item) {
+        const saved = this.historyTab === 'saved';
+        const text = item.text.length > 120 ? `${item.text.slice(0, 117)}...` : item.text;
+        const time = new Date(saved ? item.updated : item.time).toLocaleString();
+        const tags = saved && item.tags.length > 0
+            ? `<div class="history-tags">${item.tags.map(tag => `<span class="history-tag">#${this.escapeHtml(tag)}</span>`).join('')}</div>`
+            : '';
+        const notes = saved && item.notes
+            ? `<div class="pattern-description">${this.escapeHtml(item.notes)}</div>`
+            : '';
+        const secondary = saved
+            ? '<button class="btn-icon" data-action="edit" title="Edit name, tags and notes"><i class="fas fa-pen"></i></button>'
+            : '<button class="btn-icon" data-action="save" title="Save as a named pattern"><i class="fas fa-bookmark"></i></button>';
 
-        if (navigator.share) {
-            navigator.share({
-                title: 'RegEx Tester Pro - Shared Pattern',
-                text: `Regex pattern: /${regex}/${flags}`,
-                url: shareUrl
-            });
-        } else {
-            this.copyToClipboard(shareUrl);
-            this.showNotification('Share URL copied to clipboard!');
-        }
+        return `
+            <div class="pattern-item history-item ${item.pinned ? 'pinned' : ''}" data-id="${item.id}" title="Restore and run">
+                <div class="history-item-main">
+                    <div class="history-item-header">
+                        <span class="pattern-title">${saved ? this.escapeHtml(item.name) : time}</span>
+                        ${item.mode === 'replace' ? '<span class="history-mode">replace</span>' : ''}
+                        ${saved ? `<span class="history-time">${time}</span>` : ''}
+                    </div>
+                    <div class="pattern-regex">/${this.escapeHtml(item.pattern)}/${item.flags}</div>
+                    ${text ? `<div class="history-text">${this.escapeHtml(text)}</div>` : ''}
+                    ${tags}
+                    ${notes}
+                </div>
+                <div class="history-item-actions">
+                    <button class="btn-icon ${item.pinned ? 'active' : ''}" data-action="pin" title="${item.pinned ? 'Unpin' : 'Pin'}">
+                        <i class="fas fa-thumbtack"></i>
+                    </button>
+                    ${secondary}
+                    <button class="btn-icon" data-action="delete" title="Delete"><i class="fas fa-trash"></i></button>
+                </div>
+            </div>
+        `;
     }
 
-    explainRegex() {
-        const pattern = this.regexEditor.getValue().trim();
-        if (!pattern) {
+    saveCurrentPattern() {
+        if (!this.regexEditor.getValue().trim()) {
             this.showNotification('Enter a regex pattern first');
             return;
         }
-
-        // Open regex explanation in new tab
-        const explainUrl = `https://regex101.com/?regex=${encodeURIComponent(pattern)}&flags=${this.getSelectedFlags()}`;
-        window.open(explainUrl, '_blank');
+        this.showHistory('saved');
+        this.showSaveForm(this.getSnapshot());
     }
 
-    toggleDarkMode() {
-        this.isDarkMode = !this.isDarkMode;
-        localStorage.setItem('darkMode', this.isDarkMode);
+    // Either saves a snapshot as a new pattern or edits an existing one's details
+    showSaveForm(snapshot, existing = null) {
+        if (!snapshot && !existing) return;
+        this.savingSnapshot = snapshot;
+        this.editingSavedId = existing ? existing.id : null;
 
-        if (this.isDarkMode) {
-            document.body.setAttribute('data-theme', 'dark');
-            document.getElementById('darkModeToggle').innerHTML = '<i class="fas fa-sun"></i>';
-            this.regexEditor.setOption('theme', 'monokai');
-            this.testEditor.setOption('theme', 'monokai');
-        } else {
-            document.body.removeAttribute('data-theme');
-            document.getElementById('darkModeToggle').innerHTML = '<i class="fas fa-moon"></i>';
-            this.regexEditor.setOption('theme', 'default');
-            this.testEditor.setOption('theme', 'default');
-        }
+        if (this.historyTab !== 'saved') this.setHistoryTab('saved');
+
+        document.getElementById('savePatternName').value = existing ? existing.name : '';
+        document.getElementById('savePatternTags').value = existing ? existing.tags.join(', ') : '';
+        document.getElementById('savePatternNotes').value = existing ? existing.notes : '';
+        document.getElementById('savePatternForm').style.display = '';
+        document.getElementById('savePatternName').focus();
     }
 
-    showLibrary() {
-        this.showModal('library');
-        this.showPatterns('common');
+    hideSaveForm() {
+        this.savingSnapshot = null;
+        this.editingSavedId = null;
+        document.getElementById('savePatternForm').style.display = 'none';
     }
 
-    showPatterns(category) {
-        const container = document.getElementById('libraryPatterns');
-        const patterns = this.patterns[category] || [];
+    submitSaveForm() {
+        const name = document.getElementById('savePatternName').value.trim();
+        if (!name) return;
 
-        if (patterns.length === 0) {
-            container.innerHTML = '<div class="no-patterns">No patterns available</div>';
-            return;
-        }
+        const details = {
+            name,
+            tags: RegexHistory.parseTags(document.getElementById('savePatternTags').value),
+            notes: document.getElementById('savePatternNotes').value.trim()
+        };
 
-        const patternsHtml = patterns.map(pattern => `
-            <div class="pattern-item" data-regex="${this.escapeHtml(pattern.regex)}">
-                <div class="pattern-title">${pattern.title}</div>
-                <div class="pattern-regex">/${pattern.regex}/</div>
-                <div class="pattern-description">${pattern.description}</div>
-            </div>
-        `).join('');
+        const item = this.editingSavedId
+            ? this.history.update(this.editingSavedId, details)
+            : this.history.save(this.savingSnapshot, details);
 
-        container.innerHTML = patternsHtml;
+        if (!item) {
+            this.showNotification('Could not save - browser storage is full', 'error');
+            return;
+        }
 
-        // Add click handlers
-        container.querySelectorAll('.pattern-item').forEach(item => {
-            item.addEventListener('click', () => {
-                this.regexEditor.setValue(item.dataset.regex);
-                this.hideModal('library');
-                this.testRegex();
-            });
-        });
+        this.showNotification(this.editingSavedId ? 'Pattern updated' : `Saved "${name}"`);
+        this.hideSaveForm();
+        this.renderHistoryList();
     }
 
     showHelp() {
@@ -642,13 +3800,66 @@ spaces in@email.com`;
     }
 
     showExportModal() {
-        if (this.currentMatches.length === 0) {
-            this.showNotification('No results to export');
+        if (!this.regexEditor.getValue().trim()) {
+            this.showNotification('Enter a regex pattern to export');
             return;
         }
 
+        // Without matches there is still code to generate
         this.showModal('export');
-        this.updateExportPreview('txt');
+        this.setExportTab(this.currentMatches.length === 0 ? 'code' : this.exportTab);
+    }
+
+    setExportTab(tab) {
+        this.exportTab = tab;
+        document.querySelectorAll('.export-tab').forEach(btn => btn.classList.toggle('active', btn.dataset.tab === tab));
+        document.getElementById('exportResultsTab').style.display = tab === 'results' ? '' : 'none';
+        document.getElementById('exportCodeTab').style.display = tab === 'code' ? '' : 'none';
+
+        if (tab === 'code') {
+            this.updateCodePreview();
+        } else {
+            this.updateExportPreview('txt');
+        }
+    }
+
+    updateCodePreview() {
+        const preview = document.getElementById('codePreview');
+        const warnings = document.getElementById('codeWarnings');
+
+        let result;
+        try {
+            result = RegexCodeGenerator.generate(this.codeLanguage, {
+                pattern: this.regexEditor.getValue().trim(),
+                flags: this.getSelectedFlags(),
+                mode: this.mode,
+                replacement: this.replaceEditor.getValue(),
+                text: this.testEditor.getValue()
+            });
+        } catch (error) {
+            preview.value = '';
+            warnings.innerHTML = `
+                <div class="code-warning code-warning-error">
+                    <i class="fas fa-times-circle"></i> Invalid regex: ${this.escapeHtml(error.message)}
+                </div>
+            `;
+            return;
+        }
+
+        preview.value = result.code;
+        warnings.innerHTML = result.warnings.map(warning => {
+            const pattern = this.regexEditor.getValue().trim();
+            const token = warning.end > warning.start && warning.end - warning.start < pattern.length
+                ? ` <code>${this.escapeHtml(pattern.slice(warning.start, warning.end))}</code>`
+                : '';
+            const icon = warning.level === 'error' ? 'fa-exclamation-triangle' : 'fa-info-circle';
+            return `
+                <div class="code-warning code-warning-${warning.level}">
+                    <i class="fas ${icon}"></i>
+                    <span>${this.escapeHtml(warning.message)}${token}</span>
+                </div>
+            `;
+        }).join('');
     }
 
     updateExportPreview(format) {
@@ -670,52 +3881,32 @@ spaces in@email.com`;
         preview.value = content;
     }
 
-    generateTextExport() {
-        const regex = this.regexEditor.getValue();
-        const flags = this.getSelectedFlags();
-        const timestamp = new Date().toLocaleString();
-
-        let content = `RegEx Tester Pro - Export Results\n`;
-        content += `Generated: ${timestamp}\n`;
-        content += `Pattern: /${regex}/${flags}\n`;
-        content += `Matches: ${this.currentMatches.length}\n\n`;
-
-        this.currentMatches.forEach((match, index) => {
-            content += `Match ${index + 1}:\n`;
-            content += `  Text: "${match.match}"\n`;
-            content += `  Position: ${match.index}-${match.index + match.match.length - 1}\n`;
-
-            if (match.groups.length > 1) {
-                content += `  Groups:\n`;
-                match.groups.slice(1).forEach((group, groupIndex) => {
-                    content += `    Group ${groupIndex + 1}: "${group || ''}"\n`;
-                });
-            }
-            content += '\n';
-        });
-
-        return content;
-    }
-
-    generateJsonExport() {
-        return JSON.stringify({
+    // The current results in the shape RegexExport takes
+    getExportRun() {
+        const replacement = this.getReplacementResult();
+        return {
+            source: null,
             regex: this.regexEditor.getValue(),
             flags: this.getSelectedFlags(),
-            testString: this.testEditor.getValue(),
+            mode: this.mode,
+            text: this.currentText,
             matches: this.currentMatches,
-            timestamp: new Date().toISOString()
-        }, null, 2);
+            groupNames: this.currentGroupNames,
+            replacement: replacement ? { template: this.replaceEditor.getValue(), ...replacement } : null,
+            lines: this.mode === 'lines' ? this.lineResults : null
+        };
     }
 
-    generateCsvExport() {
-        let csv = 'Match,Text,Position,Length,Groups\n';
+    generateTextExport() {
+        return RegexExport.text(this.getExportRun());
+    }
 
-        this.currentMatches.forEach((match, index) => {
-            const groups = match.groups.slice(1).map(g => g || '').join(';');
-            csv += `${index + 1},"${match.match.replace(/"/g, '""')}",${match.index},${match.match.length},"${groups}"\n`;
-        });
+    generateJsonExport() {
+        return RegexExport.json(this.getExportRun());
+    }
 
-        return csv;
+    generateCsvExport() {
+        return RegexExport.csv(this.getExportRun());
     }
 
     exportResults(format) {
@@ -723,21 +3914,23 @@ spaces in@email.com`;
             format === 'json' ? this.generateJsonExport() :
                 this.generateCsvExport();
 
-        const blob = new Blob([content], {
-            type: format === 'json' ? 'application/json' : 'text/plain'
-        });
+        this.downloadFile(content, `regex-results.${format}`, format === 'json' ? 'application/json' : 'text/plain');
+
+        this.hideModal('export');
+        this.showNotification(`Results exported as ${format.toUpperCase()}`);
+    }
+
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
 
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `regex-results.${format}`;
+        a.download = filename;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
-
-        this.hideModal('export');
-        this.showNotification(`Results exported as ${format.toUpperCase()}`);
     }
 
     showModal(modalName) {
@@ -807,28 +4000,80 @@ spaces in@email.com`;
         return div.innerHTML;
     }
 
-    // Load shared regex from URL hash
-    loadSharedRegex() {
-        if (window.location.hash) {
-            try {
-                const data = JSON.parse(atob(window.location.hash.slice(1)));
-                this.regexEditor.setValue(data.regex || '');
-                this.testEditor.setValue(data.testString || '');
-
-                // Set flags
-                ['G', 'I', 'M', 'S', 'U', 'Y'].forEach(flag => {
-                    const checkbox = document.getElementById(`flag${flag}`);
-                    checkbox.checked = data.flags && data.flags.includes(flag.toLowerCase());
-                });
+    // innerHTML leaves quotes alone, which is only safe between tags
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
 
-                setTimeout(() => this.testRegex(), 100);
-            } catch (e) {
-                console.warn('Invalid share URL');
-            }
+    // Load shared regex from URL hash. A link that can't be read leaves the
+    // workspace untouched and says why.
+    async loadSharedRegex() {
+        const fragment = window.location.hash.slice(1);
+        if (!fragment) return;
+
+        let snapshot;
+        try {
+            snapshot = await RegexShareLink.decode(fragment);
+        } catch (error) {
+            if (!(error instanceof ShareLinkError)) throw error;
+            this.showShareError(error);
+            return;
         }
+
+        document.getElementById('shareBanner').style.display = 'none';
+        this.restoreSnapshot(snapshot);
+    }
+
+    showShareError(error) {
+        const advice = {
+            malformed: 'Ask for the link again, or check that it was copied completely.',
+            newer: 'Update the app to open it.',
+            unsupported: 'Open it in an up-to-date browser.'
+        };
+
+        document.getElementById('shareBannerMessage').textContent =
+            `${error.message}. ${advice[error.reason]} Your workspace has not been changed.`;
+        document.getElementById('shareReloadBtn').style.display = error.reason === 'newer' ? '' : 'none';
+        document.getElementById('shareBanner').style.display = '';
+    }
+
+    // Drops the bad fragment so a reload doesn't show the error again
+    dismissShareError() {
+        document.getElementById('shareBanner').style.display = 'none';
+        history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
     }
 }
 
+// Matches marked in the test editor per render of its viewport
+RegexTesterPro.MAX_VIEWPORT_MATCHES = 2000;
+// How long typing has to pause before the workspace and history are saved
+RegexTesterPro.SAVE_IDLE_MS = 2000;
+// Characters of an example shown in the generator's example list
+RegexTesterPro.MAX_EXAMPLE_LABEL = 40;
+// Compare mode: summary categories in display order, and caps on listed and marked differences
+RegexTesterPro.COMPARE_CATEGORIES = [
+    ['only-a', 'Only A'],
+    ['only-b', 'Only B'],
+    ['boundary', 'Different Boundaries'],
+    ['groups', 'Different Groups'],
+    ['same', 'Same']
+];
+RegexTesterPro.MAX_COMPARE_ROWS = 500;
+RegexTesterPro.MAX_COMPARE_MARKS = 2000;
+// Shown as labelled boxes while invisibles are on: controls, format characters,
+// unusual spaces, joiners and variation selectors. Tabs and line feeds are drawn separately.
+RegexTesterPro.INVISIBLE_CHARS = /[\u0000-\u0008\u000b-\u001f\u007f-\u00a0\u00ad\u061c\u180e\u2000-\u200f\u2028-\u202f\u205f-\u206f\u3000\ufe00-\ufe0f\ufeff\ufff9-\ufffc]/;
+// Marks runs of spaces so CSS can dot them
+RegexTesterPro.WHITESPACE_OVERLAY = {
+    token(stream) {
+        if (stream.eatWhile(' ')) return 'invisible-space';
+        if (!stream.skipTo(' ')) stream.skipToEnd();
+        return null;
+    }
+};
+// Split, table and each-line modes: rows rendered; copying the table still takes them all
+RegexTesterPro.MAX_OUTPUT_ROWS = 500;
+
 // Initialize the app when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     const app = new RegexTesterPro();
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'regex-tester.js');
+
+function cli(args, input = '') {
+    const result = spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8', timeout: 10000 });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+// Each test gets its own files, removed afterwards
+function fixtures(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'regex-tester-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(dir, name), content));
+    return name => path.join(dir, name);
+}
+
+test('matches stdin and exits 0', () => {
+    const { status, stdout } = cli(['\\d+', '-o', 'json'], 'a 12 b 3');
+
+    assert.strictEqual(status, 0);
+    assert.deepStrictEqual(JSON.parse(stdout).matches.map(match => match.match), ['12', '3']);
+});
+
+test('names each file when matching several', (t) => {
+    const file = fixtures(t, { 'a.txt': 'x1', 'b.txt': '22' });
+    const { status, stdout } = cli(['\\d', file('a.txt'), file('b.txt'), '-o', 'csv']);
+
+    assert.strictEqual(status, 0);
+    assert.match(stdout, /^Input,Match,/);
+    assert.strictEqual(stdout.trim().split('\n').length, 4);
+});
+
+test('exits 0 when every test passes and 1 when one fails', (t) => {
+    const file = fixtures(t, { 'pass.txt': '+ 12\n- ab\n', 'fail.txt': '+ 12\n+ ab\n' });
+
+    const passed = cli(['^\\d+$', '--tests', file('pass.txt')]);
+    assert.strictEqual(passed.status, 0);
+    assert.match(passed.stdout, /1 of 1 suite passed/);
+
+    const failed = cli(['^\\d+$', '--tests', file('fail.txt')]);
+    assert.strictEqual(failed.status, 1);
+    assert.match(failed.stdout, /FAIL line 2/);
+});
+
+test('exits 1 when a library suite fails', (t) => {
+    const file = fixtures(t, {
+        'library.json': JSON.stringify({
+            version: 1,
+            patterns: [
+                { id: 'digits', title: 'Digits', regex: '^\\d+$', flags: '', tests: '+ 1' },
+                { id: 'letters', title: 'Letters', regex: '^[a-z]+$', flags: '', tests: '+ 1' }
+            ]
+        })
+    });
+    const { status, stdout } = cli(['--suite', file('library.json')]);
+
+    assert.strictEqual(status, 1);
+    assert.match(stdout, /1 of 2 suites passed/);
+});
+
+test('exits 2 for bad usage', () => {
+    [
+        [],
+        ['a', '--format', 'xml'],
+        ['a', '--flags', 'q'],
+        ['a', '--bogus'],
+        ['(']
+    ].forEach(args => {
+        const { status, stderr } = cli(args);
+        assert.strictEqual(status, 2, args.join(' '));
+        assert.match(stderr, /^regex-tester: /);
+    });
+});
+
+test('exits 2 for unreadable or empty inputs', (t) => {
+    const file = fixtures(t, { 'empty.json': '[]', 'broken.json': '{' });
+
+    assert.strictEqual(cli(['a', file('missing.txt')]).status, 2);
+    assert.strictEqual(cli(['--suite', file('broken.json')]).status, 2);
+
+    const empty = cli(['--suite', file('empty.json')]);
+    assert.strictEqual(empty.status, 2);
+    assert.match(empty.stderr, /No patterns with tests found/);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RegexCore } = require('../regex-core.js');
+
+test('run returns matches with groups and positions', () => {
+    const run = RegexCore.run('(?<digit>\\d)', 'g', 'a1b2');
+
+    assert.strictEqual(run.mode, 'match');
+    assert.strictEqual(run.source, null);
+    assert.deepStrictEqual(run.matches.map(match => [match.match, match.index]), [['1', 1], ['2', 3]]);
+    assert.deepStrictEqual(run.groupNames, ['digit']);
+    assert.strictEqual(run.replacement, null);
+});
+
+test('run applies a replacement template', () => {
+    const run = RegexCore.run('(\\w+)@(\\w+)', 'g', 'me@home', { replacement: '$2 at $1' });
+
+    assert.strictEqual(run.mode, 'replace');
+    assert.strictEqual(run.replacement.template, '$2 at $1');
+    assert.strictEqual(run.replacement.output, 'home at me');
+});
+
+test('run tests every line on its own', () => {
+    const run = RegexCore.run('^\\d+$', '', '12\nab\n3', { perLine: true });
+
+    assert.strictEqual(run.mode, 'lines');
+    assert.deepStrictEqual(run.lines.map(line => line.matches), [1, 0, 1]);
+});
+
+test('run includes the analysis on request', () => {
+    assert.strictEqual(RegexCore.run('a', 'g', 'a').analysis, undefined);
+    assert.strictEqual(RegexCore.run('(a+)+$', 'g', 'a', { analyze: true }).analysis.risk, 'exponential');
+});
+
+test('run throws for an invalid pattern', () => {
+    assert.throws(() => RegexCore.run('(', 'g', 'a'), SyntaxError);
+});
+
+test('test reports passing and failing cases', () => {
+    const suite = RegexCore.test('^\\d+$', '', '+ 123\n- abc\n+ x1');
+
+    assert.strictEqual(suite.passed, 2);
+    assert.strictEqual(suite.failed, 1);
+    assert.deepStrictEqual(suite.results.map(result => result.pass), [true, true, false]);
+});
+
+test('testLibrary runs only the entries with tests', () => {
+    const results = RegexCore.testLibrary({
+        version: 1,
+        patterns: [
+            { id: 'digits', title: 'Digits', regex: '^\\d+$', flags: '', tests: '+ 42\n- x' },
+            { id: 'untested', title: 'Untested', regex: 'a', flags: '', tests: '' }
+        ]
+    });
+
+    assert.deepStrictEqual(results.map(({ entry }) => entry.id), ['digits']);
+    assert.strictEqual(results[0].suite.failed, 0);
+});
+
+test('export writes a single run as an object and several as a list', () => {
+    const one = RegexCore.run('\\d', 'g', 'a1');
+    const other = RegexCore.run('\\d', 'g', '22', { source: 'b.txt' });
+
+    const single = JSON.parse(RegexCore.export('json', one));
+    assert.strictEqual(single.testString, 'a1');
+    assert.strictEqual(single.matches.length, 1);
+
+    const list = JSON.parse(RegexCore.export('json', [{ ...one, source: 'a.txt' }, other]));
+    assert.deepStrictEqual(list.map(data => [data.input, data.matches.length]), [['a.txt', 1], ['b.txt', 2]]);
+});
+
+test('export names the input in CSV only for several runs', () => {
+    const run = RegexCore.run('"(\\d)"', 'g', 'x"1"');
+
+    const [header, row] = RegexCore.export('csv', run).trim().split('\n');
+    assert.strictEqual(header, 'Match,Text,Position,Length,Groups,Group Positions,Named Groups');
+    assert.strictEqual(row, '1,"""1""",1,3,"1","2-2",""');
+
+    const csv = RegexCore.export('csv', [{ ...run, source: 'a.txt' }, { ...run, source: 'b.txt' }]);
+    assert.match(csv, /^Input,Match,/);
+    assert.match(csv, /\n"b\.txt",1,/);
+});
+
+test('export writes text and rejects unknown formats', () => {
+    const text = RegexCore.export('txt', RegexCore.run('b', 'g', 'abc'));
+    assert.match(text, /Pattern: \/b\/g\n/);
+    assert.match(text, /Matches: 1\n/);
+
+    assert.throws(() => RegexCore.export('xml', RegexCore.run('b', 'g', 'abc')), /Unknown format "xml"/);
+});
+
+test('requiring the core leaves the globals alone', () => {
+    assert.strictEqual(typeof globalThis.RegexMatcher, 'undefined');
+    assert.strictEqual(typeof globalThis.RegexParser, 'undefined');
+});